@@ -22,7 +22,7 @@ class AMapPage extends React.Component {
     appKey: string,
     classes: object,
     children: node,
-
+    securityJsCode: string,
   };
 
   static defaultProps = {
@@ -44,6 +44,8 @@ class AMapPage extends React.Component {
         <AMap
           {...others}
           // proxyUrl={'http://0.0.0.0:8082/amap'}
+          // JS API 2.0 requires the security key paired with appKey, or serviceHost instead.
+          // serviceHost={'http://0.0.0.0:8082/_AMapService'}
           version={'2.0'}
           mapStyle={'amap://styles/24e5c77d4e3a7bc131df1b6dbafde743'}
         >
@@ -0,0 +1,71 @@
+import React from 'react';
+import { hot } from 'react-hot-loader';
+import { CanvasLayer } from '@gjyibus/react-amap-binding';
+import AMap from '../AMapPage';
+
+const bounds = [[116.328911, 39.937229], [116.342659, 39.946275]];
+
+const points = Array.from({ length: 200 }, () => [
+  116.328911 + (Math.random() * 0.013748),
+  39.937229 + (Math.random() * 0.009046),
+]);
+
+@hot(module)
+class CanvasLayerPage extends React.Component {
+  constructor(props) {
+    super(props);
+    this.state = {
+      color: 'red',
+      visible: true,
+    };
+  }
+
+  toggleColor = () => {
+    this.setState({
+      color: this.state.color === 'red' ? 'blue' : 'red',
+    });
+  };
+
+  toggleVisible = () => {
+    this.setState({
+      visible: !this.state.visible,
+    });
+  };
+
+  draw = (context, { width, height, project }) => {
+    context.strokeStyle = this.state.color;
+    context.strokeRect(0, 0, width, height);
+
+    context.fillStyle = this.state.color;
+    points.forEach((point) => {
+      const [x, y] = project(point);
+      context.beginPath();
+      context.arc(x, y, 3, 0, 2 * Math.PI);
+      context.fill();
+    });
+  };
+
+  render() {
+    const { color, visible } = this.state;
+    return (
+      <AMap>
+        <CanvasLayer
+          bounds={bounds}
+          draw={this.draw}
+          visible={visible}
+          zooms={[3, 20]}
+          onComplete={() => console.log('canvasLayer complete')}
+        />
+        <div
+          style={{ position: 'absolute', top: 10, left: 10, zIndex: 20, background: 'red', padding: 5, color: 'white' }}
+        >
+          <span onClick={this.toggleColor}>{color}</span>
+          {' | '}
+          <span onClick={this.toggleVisible}>{visible ? '隐藏' : '显示'}</span>
+        </div>
+      </AMap>
+    );
+  }
+}
+
+export default CanvasLayerPage;
@@ -0,0 +1,77 @@
+import React from 'react';
+import { hot } from 'react-hot-loader';
+import { CircleMarker } from '@gjyibus/react-amap-binding';
+import AMap from '../AMapPage';
+
+@hot(module)
+class CircleMarkerPage extends React.Component {
+  constructor(props) {
+    super(props);
+
+    this.state = {
+      circleMarkers: [{
+        center: [120.162692, 30.253647],
+        radius: 10,
+      }, {
+        center: [120.163071, 30.254444],
+        radius: 10,
+      }],
+    };
+  }
+
+  /**
+   * Test CircleMarker component update functionalities.
+   */
+  componentDidMount() {
+    setTimeout(() => {
+      this.setState((state) => {
+        return {
+          circleMarkers: [
+            {
+              ...state.circleMarkers[0],
+              visible: false,
+            },
+            {
+              ...state.circleMarkers[1],
+              radius: 20,
+            },
+          ],
+        };
+      });
+    }, 5000);
+  }
+
+  /**
+   * Click handler.
+   * @param {Object} circleMarker - AMap.CircleMarker instance
+   * @param {Object} e - Event
+   */
+  handleClick = (circleMarker, e) => {
+    console.log(circleMarker, e);
+  }
+
+  render() {
+    const {
+      circleMarkers,
+    } = this.state;
+
+    return (
+      <AMap>
+        {
+          circleMarkers.map((circleMarker, index) => {
+            return (
+              <CircleMarker
+                key={index}
+                {...circleMarker}
+                onClick={this.handleClick}
+              />
+            );
+          })
+        }
+      </AMap>
+    );
+  }
+}
+
+export default CircleMarkerPage;
+
@@ -0,0 +1,79 @@
+import React from 'react';
+import { hot } from 'react-hot-loader';
+import { CustomLayer } from '@gjyibus/react-amap-binding';
+import AMap from '../AMapPage';
+
+const stores = Array.from({ length: 100 }, (_, index) => ({
+  id: index,
+  name: `门店 ${index + 1}`,
+  position: [
+    116.328911 + (Math.random() * 0.05),
+    39.917229 + (Math.random() * 0.05),
+  ],
+}));
+
+/**
+ * CustomLayer reads position, StoreLabel does not need it.
+ */
+const StoreLabel = ({ name, selected, onClick }) => (
+  <div
+    style={{
+      background: selected ? 'red' : 'white',
+      border: '1px solid #999',
+      fontSize: 12,
+      padding: 2,
+      whiteSpace: 'nowrap',
+    }}
+    onClick={onClick}
+  >
+    {name}
+  </div>
+);
+
+@hot(module)
+class CustomLayerPage extends React.Component {
+  constructor(props) {
+    super(props);
+    this.state = {
+      selectedId: null,
+      visible: true,
+    };
+  }
+
+  toggleVisible = () => {
+    this.setState({
+      visible: !this.state.visible,
+    });
+  };
+
+  render() {
+    const { selectedId, visible } = this.state;
+    return (
+      <AMap>
+        <CustomLayer
+          visible={visible}
+          zIndex={120}
+          onComplete={() => console.log('customLayer complete')}
+        >
+          {stores.map(store => (
+            <StoreLabel
+              key={store.id}
+              position={store.position}
+              name={store.name}
+              selected={store.id === selectedId}
+              onClick={() => this.setState({ selectedId: store.id })}
+            />
+          ))}
+        </CustomLayer>
+        <div
+          style={{ position: 'absolute', top: 10, left: 10, zIndex: 200, background: 'red', padding: 5, color: 'white' }}
+          onClick={this.toggleVisible}
+        >
+          {visible ? '隐藏' : '显示'}
+        </div>
+      </AMap>
+    );
+  }
+}
+
+export default CustomLayerPage;
@@ -0,0 +1,72 @@
+import React from 'react';
+import { hot } from 'react-hot-loader';
+import { ElasticMarker } from '@gjyibus/react-amap-binding';
+import AMap from '../AMapPage';
+
+const icon = {
+  img: 'https://a.amap.com/jsapi_demos/static/resource/img/men3.png',
+  size: [16, 16],
+  anchor: 'bottom-center',
+  fitZoom: 14,
+  scaleFactor: 2,
+  maxScale: 2,
+  minScale: 1,
+};
+
+@hot(module)
+class ElasticMarkerPage extends React.Component {
+  constructor(props) {
+    super(props);
+
+    this.state = {
+      position: [120.162692, 30.253647],
+      styles: [{
+        icon,
+        label: {
+          content: 'West Lake',
+          position: 'BM',
+          minZoom: 15,
+        },
+      }],
+    };
+  }
+
+  /**
+   * Test ElasticMarker component update functionalities.
+   */
+  componentDidMount() {
+    setTimeout(() => {
+      this.setState({
+        position: [120.163071, 30.254444],
+        styles: [{
+          icon,
+          label: {
+            content: 'Broken Bridge',
+            offset: [0, 4],
+            position: 'BM',
+            minZoom: 15,
+          },
+        }],
+      });
+    }, 5000);
+  }
+
+  render() {
+    const {
+      position,
+      styles,
+    } = this.state;
+
+    return (
+      <AMap>
+        <ElasticMarker
+          position={position}
+          styles={styles}
+          zoomStyleMapping={{ 14: 0, 15: 0, 16: 0, 17: 0, 18: 0 }}
+        />
+      </AMap>
+    );
+  }
+}
+
+export default ElasticMarkerPage;
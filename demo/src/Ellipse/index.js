@@ -0,0 +1,55 @@
+import React from 'react';
+import { hot } from 'react-hot-loader';
+import { Ellipse } from '@gjyibus/react-amap-binding';
+import AMap from '../AMapPage';
+
+@hot(module)
+class EllipsePage extends React.Component {
+  constructor(props) {
+    super(props);
+
+    this.state = {
+      center: [120.162692, 30.253647],
+      radius: [200, 100],
+    };
+  }
+
+  /**
+   * Test Ellipse component update functionalities.
+   */
+  componentDidMount() {
+    setTimeout(() => {
+      this.setState({
+        radius: [100, 200],
+      });
+    }, 5000);
+  }
+
+  /**
+   * Click handler.
+   * @param {Object} ellipse - AMap.Ellipse instance
+   * @param {Object} e - Event
+   */
+  handleClick = (ellipse, e) => {
+    console.log(ellipse, e);
+  }
+
+  render() {
+    const {
+      center,
+      radius,
+    } = this.state;
+
+    return (
+      <AMap>
+        <Ellipse
+          center={center}
+          radius={radius}
+          onClick={this.handleClick}
+        />
+      </AMap>
+    );
+  }
+}
+
+export default EllipsePage;
@@ -0,0 +1,91 @@
+import React from 'react';
+import { hot } from 'react-hot-loader';
+import { GeoJSON, toGeoJSON } from '@gjyibus/react-amap-binding';
+import AMap from '../AMapPage';
+
+const zones = {
+  type: 'FeatureCollection',
+  features: [
+    {
+      type: 'Feature',
+      id: 'zone-1',
+      properties: { name: '一区', level: 1 },
+      geometry: {
+        type: 'Polygon',
+        coordinates: [
+          [[116.36, 39.90], [116.40, 39.90], [116.40, 39.93], [116.36, 39.93], [116.36, 39.90]],
+          [[116.37, 39.91], [116.38, 39.91], [116.38, 39.92], [116.37, 39.91]],
+        ],
+      },
+    },
+    {
+      type: 'Feature',
+      id: 'route-1',
+      properties: { name: '一号线' },
+      geometry: {
+        type: 'LineString',
+        coordinates: [[116.35, 39.89], [116.41, 39.92], [116.45, 39.90]],
+      },
+    },
+    {
+      type: 'Feature',
+      id: 'depots',
+      properties: { name: '仓库' },
+      geometry: {
+        type: 'MultiPoint',
+        coordinates: [[116.42, 39.91], [116.44, 39.93]],
+      },
+    },
+  ],
+};
+
+@hot(module)
+class GeoJSONPage extends React.Component {
+  constructor(props) {
+    super(props);
+    this.state = {
+      highlightId: null,
+    };
+  }
+
+  handleClick = (feature) => {
+    console.log('clicked feature', feature.properties.name);
+    this.setState({
+      highlightId: feature.id,
+    });
+  };
+
+  handleMapComplete = (map) => {
+    this.map = map;
+  };
+
+  exportGeoJSON = () => {
+    console.log(JSON.stringify(toGeoJSON(this.map)));
+  };
+
+  style = feature => ({
+    strokeColor: feature.id === this.state.highlightId ? 'red' : 'blue',
+    fillColor: feature.id === this.state.highlightId ? 'red' : 'blue',
+    fillOpacity: 0.3,
+  });
+
+  render() {
+    return (
+      <AMap onComplete={this.handleMapComplete}>
+        <GeoJSON
+          data={zones}
+          style={this.style}
+          onClick={this.handleClick}
+        />
+        <div
+          style={{ position: 'absolute', top: 10, left: 10, zIndex: 20, background: 'red', padding: 5, color: 'white' }}
+          onClick={this.exportGeoJSON}
+        >
+          导出 GeoJSON
+        </div>
+      </AMap>
+    );
+  }
+}
+
+export default GeoJSONPage;
@@ -0,0 +1,52 @@
+import React from 'react';
+import { hot } from 'react-hot-loader';
+import { HeatMap } from '@gjyibus/react-amap-binding';
+import AMap from '../AMapPage';
+
+/**
+ * Random points around West Lake.
+ */
+const createData = () => Array.from({ length: 500 }, () => ({
+  lng: 120.1 + Math.random() * 0.1,
+  lat: 30.2 + Math.random() * 0.1,
+  count: Math.ceil(Math.random() * 100),
+}));
+
+@hot(module)
+class HeatMapPage extends React.Component {
+  constructor(props) {
+    super(props);
+
+    this.state = {
+      data: createData(),
+      radius: 25,
+    };
+  }
+
+  /**
+   * Test HeatMap component update functionalities.
+   */
+  componentDidMount() {
+    setTimeout(() => {
+      this.setState({
+        data: createData(),
+        radius: 40,
+      });
+    }, 5000);
+  }
+
+  render() {
+    const {
+      data,
+      radius,
+    } = this.state;
+
+    return (
+      <AMap>
+        <HeatMap data={data} max={100} radius={radius} />
+      </AMap>
+    );
+  }
+}
+
+export default HeatMapPage;
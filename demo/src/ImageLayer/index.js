@@ -0,0 +1,64 @@
+import React from 'react';
+import { hot } from 'react-hot-loader';
+import { ImageLayer } from '@gjyibus/react-amap-binding';
+import AMap from '../AMapPage';
+
+const plans = [
+  {
+    url: 'https://a.amap.com/jsapi_demos/static/images/dongwuyuan.jpg',
+    bounds: [[116.327911, 39.939229], [116.342659, 39.946275]],
+  },
+  {
+    url: 'https://a.amap.com/jsapi_demos/static/images/dongwuyuan.jpg',
+    bounds: [[116.337911, 39.929229], [116.352659, 39.936275]],
+  },
+];
+
+@hot(module)
+class ImageLayerPage extends React.Component {
+  constructor(props) {
+    super(props);
+    this.state = {
+      planIndex: 0,
+      visible: true,
+    };
+  }
+
+  togglePlan = () => {
+    this.setState({
+      planIndex: (this.state.planIndex + 1) % plans.length,
+    });
+  };
+
+  toggleVisible = () => {
+    this.setState({
+      visible: !this.state.visible,
+    });
+  };
+
+  render() {
+    const { planIndex, visible } = this.state;
+    const { url, bounds } = plans[planIndex];
+    return (
+      <AMap>
+        <ImageLayer
+          url={url}
+          bounds={bounds}
+          opacity={0.8}
+          zooms={[14, 20]}
+          visible={visible}
+          onComplete={() => console.log('imageLayer complete')}
+        />
+        <div
+          style={{ position: 'absolute', top: 10, left: 10, zIndex: 20, background: 'red', padding: 5, color: 'white' }}
+        >
+          <span onClick={this.togglePlan}>{`plan ${planIndex + 1}`}</span>
+          {' | '}
+          <span onClick={this.toggleVisible}>{visible ? '隐藏' : '显示'}</span>
+        </div>
+      </AMap>
+    );
+  }
+}
+
+export default ImageLayerPage;
@@ -0,0 +1,75 @@
+import React from 'react';
+import { hot } from 'react-hot-loader';
+import { LabelMarker, LabelsLayer } from '@gjyibus/react-amap-binding';
+import AMap from '../AMapPage';
+
+@hot(module)
+class LabelsLayerPage extends React.Component {
+  constructor(props) {
+    super(props);
+
+    this.state = {
+      labels: Array.from({ length: 1000 }, (value, index) => ({
+        id: index,
+        position: [120.1 + (index % 40) * 0.003, 30.2 + Math.floor(index / 40) * 0.003],
+        name: `Label ${index}`,
+      })),
+    };
+  }
+
+  /**
+   * Test LabelMarker component update functionalities.
+   * Only the first label changes, the others are not updated.
+   */
+  componentDidMount() {
+    setTimeout(() => {
+      this.setState((state) => {
+        return {
+          labels: [
+            {
+              ...state.labels[0],
+              name: 'Updated label',
+            },
+            ...state.labels.slice(1),
+          ],
+        };
+      });
+    }, 5000);
+  }
+
+  /**
+   * Click handler.
+   * @param {Object} labelMarker - AMap.LabelMarker instance
+   * @param {Object} e - Event
+   */
+  handleClick = (labelMarker, e) => {
+    console.log(labelMarker, e);
+  }
+
+  render() {
+    const {
+      labels,
+    } = this.state;
+
+    return (
+      <AMap>
+        <LabelsLayer collision>
+          {
+            labels.map((label) => {
+              return (
+                <LabelMarker
+                  key={label.id}
+                  position={label.position}
+                  text={{ content: label.name, direction: 'right' }}
+                  onClick={this.handleClick}
+                />
+              );
+            })
+          }
+        </LabelsLayer>
+      </AMap>
+    );
+  }
+}
+
+export default LabelsLayerPage;
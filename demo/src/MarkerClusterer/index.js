@@ -0,0 +1,73 @@
+import React from 'react';
+import { hot } from 'react-hot-loader';
+import { Marker, MarkerClusterer } from '@gjyibus/react-amap-binding';
+import AMap from '../AMapPage';
+
+@hot(module)
+class MarkerClustererPage extends React.Component {
+  constructor(props) {
+    super(props);
+
+    this.state = {
+      markers: Array.from({ length: 5000 }, (value, index) => ({
+        id: index,
+        position: [120 + Math.random() * 0.4, 30.1 + Math.random() * 0.3],
+      })),
+    };
+  }
+
+  /**
+   * Test MarkerClusterer component update functionalities.
+   * Half of markers are removed from markerClusterer at once.
+   */
+  componentDidMount() {
+    setTimeout(() => {
+      this.setState((state) => {
+        return {
+          markers: state.markers.slice(0, 2500),
+        };
+      });
+    }, 5000);
+  }
+
+  /**
+   * Cluster click handler.
+   * @param {Object} markerClusterer - AMap.MarkerClusterer instance
+   * @param {Array} markers - AMap.Marker instances in the cluster
+   */
+  handleClusterClick = (markerClusterer, markers) => {
+    console.log(`You have clicked a cluster of ${markers.length} markers`);
+  }
+
+  renderCluster = (count) => {
+    return (
+      <div style={{ background: '#3f51b5', borderRadius: 12, color: '#fff', padding: '2px 8px' }}>
+        {count}
+      </div>
+    );
+  }
+
+  render() {
+    const {
+      markers,
+    } = this.state;
+
+    return (
+      <AMap>
+        <MarkerClusterer
+          gridSize={80}
+          renderCluster={this.renderCluster}
+          onClusterClick={this.handleClusterClick}
+        >
+          {
+            markers.map((marker) => {
+              return <Marker key={marker.id} position={marker.position} />;
+            })
+          }
+        </MarkerClusterer>
+      </AMap>
+    );
+  }
+}
+
+export default MarkerClustererPage;
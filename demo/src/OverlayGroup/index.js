@@ -0,0 +1,65 @@
+import React from 'react';
+import { hot } from 'react-hot-loader';
+import { Circle, Marker, OverlayGroup } from '@gjyibus/react-amap-binding';
+import AMap from '../AMapPage';
+
+@hot(module)
+class OverlayGroupPage extends React.Component {
+  constructor(props) {
+    super(props);
+
+    this.state = {
+      options: {
+        fillColor: '#3f51b5',
+      },
+      visible: true,
+    };
+  }
+
+  /**
+   * Test OverlayGroup component update functionalities.
+   */
+  componentDidMount() {
+    setTimeout(() => {
+      this.setState({
+        options: {
+          fillColor: '#f50057',
+        },
+      });
+    }, 5000);
+
+    setTimeout(() => {
+      this.setState({
+        visible: false,
+      });
+    }, 10000);
+  }
+
+  /**
+   * Click handler bound on every overlay of the group.
+   * @param {Object} overlay - AMap overlay instance
+   * @param {Object} e - Event
+   */
+  handleClick = (overlay, e) => {
+    console.log(overlay, e);
+  }
+
+  render() {
+    const {
+      options,
+      visible,
+    } = this.state;
+
+    return (
+      <AMap>
+        <OverlayGroup options={options} visible={visible} onClick={this.handleClick}>
+          <Marker position={[120.162692, 30.253647]} />
+          <Circle center={[120.162692, 30.253647]} radius={100} />
+          <Circle center={[120.163071, 30.254444]} radius={100} />
+        </OverlayGroup>
+      </AMap>
+    );
+  }
+}
+
+export default OverlayGroupPage;
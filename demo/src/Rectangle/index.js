@@ -0,0 +1,55 @@
+import React from 'react';
+import { hot } from 'react-hot-loader';
+import { Rectangle } from '@gjyibus/react-amap-binding';
+import AMap from '../AMapPage';
+
+@hot(module)
+class RectanglePage extends React.Component {
+  constructor(props) {
+    super(props);
+
+    this.state = {
+      bounds: [[120.161955, 30.253519], [120.163071, 30.254444]],
+      visible: true,
+    };
+  }
+
+  /**
+   * Test Rectangle component update functionalities.
+   */
+  componentDidMount() {
+    setTimeout(() => {
+      this.setState({
+        bounds: [[120.161955, 30.253519], [120.165071, 30.256444]],
+      });
+    }, 5000);
+  }
+
+  /**
+   * Click handler.
+   * @param {Object} rectangle - AMap.Rectangle instance
+   * @param {Object} e - Event
+   */
+  handleClick = (rectangle, e) => {
+    console.log(rectangle, e);
+  }
+
+  render() {
+    const {
+      bounds,
+      visible,
+    } = this.state;
+
+    return (
+      <AMap>
+        <Rectangle
+          bounds={bounds}
+          visible={visible}
+          onClick={this.handleClick}
+        />
+      </AMap>
+    );
+  }
+}
+
+export default RectanglePage;
@@ -0,0 +1,67 @@
+import React from 'react';
+import { hot } from 'react-hot-loader';
+import { Text } from '@gjyibus/react-amap-binding';
+import AMap from '../AMapPage';
+
+@hot(module)
+class TextPage extends React.Component {
+  constructor(props) {
+    super(props);
+
+    this.state = {
+      count: 0,
+      style: {
+        color: '#3f51b5',
+      },
+    };
+  }
+
+  /**
+   * Test Text component update functionalities.
+   */
+  componentDidMount() {
+    setTimeout(() => {
+      this.setState({
+        ...this.state,
+        style: {
+          color: '#f50057',
+        },
+      });
+    }, 5000);
+  }
+
+  /**
+   * Click handler.
+   * @param {Object} text - AMap.Text instance
+   * @param {Object} e - Event
+   */
+  handleClick = (text, e) => {
+    console.log('You have clicked a text', text, e);
+
+    this.setState({
+      ...this.state,
+      count: this.state.count + 1,
+    });
+  }
+
+  render() {
+    const {
+      count,
+      style,
+    } = this.state;
+
+    return (
+      <AMap>
+        <Text
+          position={[120.162692, 30.253647]}
+          style={style}
+          onClick={this.handleClick}
+        >
+          Clicked {count} times
+        </Text>
+      </AMap>
+    );
+  }
+}
+
+export default TextPage;
@@ -0,0 +1,68 @@
+import React from 'react';
+import { hot } from 'react-hot-loader';
+import { TileLayer } from '@gjyibus/react-amap-binding';
+import AMap from '../AMapPage';
+
+const types = ['default', 'Satellite', 'RoadNet'];
+
+@hot(module)
+class TileLayerPage extends React.Component {
+  constructor(props) {
+    super(props);
+    this.state = {
+      typeIndex: 1,
+      opacity: 1,
+      visible: true,
+    };
+  }
+
+  toggleType = () => {
+    this.setState({
+      typeIndex: (this.state.typeIndex + 1) % types.length,
+    });
+  };
+
+  toggleOpacity = () => {
+    this.setState({
+      opacity: this.state.opacity === 1 ? 0.5 : 1,
+    });
+  };
+
+  toggleVisible = () => {
+    this.setState({
+      visible: !this.state.visible,
+    });
+  };
+
+  render() {
+    const { typeIndex, opacity, visible } = this.state;
+    return (
+      <AMap>
+        <TileLayer
+          type={types[typeIndex]}
+          opacity={opacity}
+          visible={visible}
+          zIndex={10}
+          onComplete={() => console.log('tileLayer complete')}
+        />
+        <TileLayer
+          getTileUrl="https://webrd01.is.autonavi.com/appmaptile?lang=zh_cn&size=1&scale=1&style=8&x=[x]&y=[y]&z=[z]"
+          opacity={0.3}
+          zooms={[3, 18]}
+          zIndex={11}
+        />
+        <div
+          style={{ position: 'absolute', top: 10, left: 10, zIndex: 20, background: 'red', padding: 5, color: 'white' }}
+        >
+          <span onClick={this.toggleType}>{types[typeIndex]}</span>
+          {' | '}
+          <span onClick={this.toggleOpacity}>{`opacity ${opacity}`}</span>
+          {' | '}
+          <span onClick={this.toggleVisible}>{visible ? '隐藏' : '显示'}</span>
+        </div>
+      </AMap>
+    );
+  }
+}
+
+export default TileLayerPage;
@@ -24,6 +24,20 @@ import TileLayerTraffic from './TileLayerTraffic';
 import InfoWindow from './InfoWindow';
 import Polyline from './Polyline';
 import Loca from './Loca';
+import Text from './Text';
+import Rectangle from './Rectangle';
+import Ellipse from './Ellipse';
+import CircleMarker from './CircleMarker';
+import ElasticMarker from './ElasticMarker';
+import LabelsLayer from './LabelsLayer';
+import OverlayGroup from './OverlayGroup';
+import MarkerClusterer from './MarkerClusterer';
+import HeatMap from './HeatMap';
+import TileLayer from './TileLayer';
+import ImageLayer from './ImageLayer';
+import CanvasLayer from './CanvasLayer';
+import CustomLayer from './CustomLayer';
+import GeoJSON from './GeoJSON';
 
 export default function Router() {
   return (
@@ -41,6 +55,20 @@ export default function Router() {
         <Route exact path="/infoWindow" component={InfoWindow} />
         <Route exact path="/polyline" component={Polyline} />
         <Route exact path="/loca" component={Loca} />
+        <Route exact path="/text" component={Text} />
+        <Route exact path="/rectangle" component={Rectangle} />
+        <Route exact path="/ellipse" component={Ellipse} />
+        <Route exact path="/circleMarker" component={CircleMarker} />
+        <Route exact path="/elasticMarker" component={ElasticMarker} />
+        <Route exact path="/labelsLayer" component={LabelsLayer} />
+        <Route exact path="/overlayGroup" component={OverlayGroup} />
+        <Route exact path="/markerClusterer" component={MarkerClusterer} />
+        <Route exact path="/heatMap" component={HeatMap} />
+        <Route exact path="/tileLayer" component={TileLayer} />
+        <Route exact path="/imageLayer" component={ImageLayer} />
+        <Route exact path="/canvasLayer" component={CanvasLayer} />
+        <Route exact path="/customLayer" component={CustomLayer} />
+        <Route exact path="/geoJSON" component={GeoJSON} />
       </div>
     </BrowserRouter>
   );
@@ -1,15 +1,41 @@
 import React from 'react';
 import PropTypes from 'prop-types';
+import isEqual from 'lodash/isEqual';
 import AMapContext from '../AMapContext';
+import AMapStatusContext from '../AMapStatusContext';
 import createEventCallback from '../utils/createEventCallback';
 import isShallowEqual from '../utils/isShallowEqual';
+import loadScript from '../utils/loadScript';
+import requireLibrary, {
+  LIBRARY_NAMES,
+  requireAMapUI,
+  requireLoca,
+  setLibraryOptions,
+} from '../utils/requireLibrary';
 import { bindInstanceEvent, removeInstanceEvent } from '../utils/instanceEventHandler';
+import { toBounds } from '../utils/coordinates';
+import { subscribeErrors } from '../utils/errorRegistry';
+import { overlaysToGeoJSON, toGeoJSON } from '../utils/geoJSON';
+import { getOverlays, subscribeOverlays } from '../utils/overlayRegistry';
 import version2Flag from '../utils/mapVersion2Flag';
+import { callInstanceAPI, isVersion2, omitUnsupported } from '../utils/versionAdapter';
+import { getViewport, isCurrentViewportValue, isSameViewport } from '../utils/viewport';
 
 const mapContainerStyle = { width: '100%', height: '100%' };
 
 /**
- * This module imports AMap libraries (JS API, JS UI API, and Loca), and creates a map scope.
+ * Loader state passed down through AMapStatusContext.
+ */
+const getLoadStatus = ({ error, map }) => {
+  if (error !== void 0) return 'error';
+
+  return map === void 0 ? 'pending' : 'loaded';
+};
+
+/**
+ * This module imports AMap JS API library, and creates a map scope.
+ * Optional libraries (JS UI API and Loca) are loaded with the map if listed in libraries,
+ * otherwise they are loaded on demand when the first component requiring them mounts.
  * All other map component should be descendant of this component.
  */
 class AMap extends React.PureComponent {
@@ -19,6 +45,19 @@ class AMap extends React.PureComponent {
    * {@link http://lbs.amap.com/api/javascript-api/reference/map}
    */
   static propTypes = {
+    /**
+     * self defined prop: Animate center and zoom changes as a single transition.
+     * true uses AMap default duration.
+     */
+    animateViewport: PropTypes.oneOfType([
+      PropTypes.bool,
+      PropTypes.shape({
+        /**
+         * Milliseconds.
+         */
+        duration: PropTypes.number,
+      }),
+    ]),
     /**
      * AMap JS App key.
      */
@@ -35,11 +74,62 @@ class AMap extends React.PureComponent {
        */
       PropTypes.object,
     ]),
-    plugins: PropTypes.arrayOf(PropTypes.string),
     /**
      * Child components.
      */
     children: PropTypes.node,
+    /**
+     * self defined prop: Render prop called instead of rendering the map when map libraries,
+     * or libraries and plugins requested by descendants, fail to load.
+     * Signature:
+     * (error) => node
+     */
+    fallback: PropTypes.func,
+    /**
+     * self defined prop: Fit viewport to overlays created by child components.
+     * Viewport is fitted again once overlays are added or removed, or fitView changes.
+     * Moving or reshaping an overlay, through props or by dragging and editing, does not fit
+     * viewport again, so that map does not jump while users drag. Call setFitView of the ref
+     * instead.
+     * true fits all overlays.
+     */
+    fitView: PropTypes.oneOfType([
+      PropTypes.bool,
+      PropTypes.shape({
+        /**
+         * Skip animation.
+         */
+        immediately: PropTypes.bool,
+        /**
+         * Only fit overlays whose overlayKey prop is in keys.
+         */
+        keys: PropTypes.arrayOf(PropTypes.string),
+        /**
+         * Maximum zoom level after fitting.
+         */
+        maxZoom: PropTypes.number,
+        /**
+         * Pixels kept clear around overlays, a number or [top, right, bottom, left].
+         */
+        padding: PropTypes.oneOfType([
+          PropTypes.number,
+          PropTypes.arrayOf(PropTypes.number),
+        ]),
+      }),
+    ]),
+    /**
+     * self defined prop: Optional libraries to load before rendering child components.
+     * Libraries not listed here are loaded once a component requiring them mounts.
+     */
+    libraries: PropTypes.arrayOf(PropTypes.oneOf(LIBRARY_NAMES)),
+    /**
+     * self defined prop: Number of times to retry loading a library script before failing.
+     */
+    loadRetries: PropTypes.number,
+    /**
+     * self defined prop: Milliseconds to wait for each library script to load, 0 waits forever.
+     */
+    loadTimeout: PropTypes.number,
     /**
      * Loca library version.
      * Loca will be deprecated in the next major version. Please consider react-amap-2drender for
@@ -62,6 +152,13 @@ class AMap extends React.PureComponent {
      * self defined prop: AMap proxy url.
      */
     onDragEnd: PropTypes.func,
+    /**
+     * self defined prop: Called if map libraries, or libraries and plugins requested by
+     * descendants, fail to load.
+     * Signature:
+     * (error) => void
+     */
+    onError: PropTypes.func,
     /**
      * Event callback.
      * Signature:
@@ -89,17 +186,43 @@ class AMap extends React.PureComponent {
     onTouchEnd: PropTypes.func,
     onTouchMove: PropTypes.func,
     onTouchStart: PropTypes.func,
+    /**
+     * self defined prop: Called once map stops moving or zooming, including changes made by user
+     * interactions. Passing the reported center, zoom, rotation and pitch back as props keeps
+     * the map controlled without setting the same values again.
+     * Signature:
+     * (viewport, map) => void
+     * viewport: { center, zoom, rotation, pitch, bounds }
+     * center: [lng, lat]
+     * bounds: [[southWest], [northEast]]
+     */
+    onViewportChange: PropTypes.func,
     onZoomChange: PropTypes.func,
     onZoomEnd: PropTypes.func,
     onZoomStart: PropTypes.func,
+    plugins: PropTypes.arrayOf(PropTypes.string),
     protocol: PropTypes.oneOf(['http', 'https']),
     proxyUrl: PropTypes.string,
+    /**
+     * self defined prop: JS API 2.x security key, paired with appKey.
+     * Exposing the key in frontend code is recommended for development only, consider serviceHost
+     * in production.
+     */
+    securityJsCode: PropTypes.string,
+    /**
+     * self defined prop: JS API 2.x proxy server which appends security key to service requests.
+     * i.e. 'https://your.domain/_AMapService'
+     */
+    serviceHost: PropTypes.string,
     uiVersion: PropTypes.string,
     version: PropTypes.string,
     /* eslint-enable */
   };
 
   static defaultProps = {
+    libraries: [],
+    loadRetries: 0,
+    loadTimeout: 0,
     locaVersion: '1.0.5',
     protocol: 'https',
     version: '1.4.15',
@@ -112,13 +235,22 @@ class AMap extends React.PureComponent {
    */
   static parseMapOptions(props) {
     const {
+      animateViewport,
       appKey,
       children,
+      fallback,
+      fitView,
+      libraries,
+      loadRetries,
+      loadTimeout,
       locaVersion,
       protocol,
+      securityJsCode,
+      serviceHost,
       uiVersion,
       version,
       onComplete,
+      onError,
       onClick,
       onDblClick,
       onMapMove,
@@ -144,6 +276,7 @@ class AMap extends React.PureComponent {
       onTouchStart,
       onTouchMove,
       onTouchEnd,
+      onViewportChange,
       ...mapOptions
     } = props;
 
@@ -161,19 +294,10 @@ class AMap extends React.PureComponent {
          */
         if (window.AMap === void 0) return void 0;
 
-        /**
-         * The most anticipated value.
-         */
-        if (bounds instanceof window.AMap.Bounds) return bounds;
-
         /**
          * Transform [[soutWest], [northEast]] to AMap.Bounds instance.
          */
-        if (bounds instanceof Array) {
-          return new window.AMap.Bounds(...bounds);
-        }
-
-        return bounds;
+        return toBounds(bounds);
       })(),
       /**
        * Memorise props.bounds.
@@ -197,25 +321,45 @@ class AMap extends React.PureComponent {
 
   /**
    * Create script tag to load some scripts.
+   * Scripts requested more than once share the same request.
    */
-  static loadScript(src) {
-    const scriptTag = document.createElement('script');
-    scriptTag.type = 'text/javascript';
-    scriptTag.src = src;
+  static loadScript(src, options) {
+    return loadScript(src, options);
+  }
 
-    document.head.appendChild(scriptTag);
+  /**
+   * Configure window._AMapSecurityConfig which JS API 2.x reads when its script loads.
+   * serviceHost takes precedence over securityJsCode.
+   * Throw error if JS API 2.x is requested without security config.
+   */
+  /* eslint-disable no-underscore-dangle */
+  static configureSecurity({ securityJsCode, serviceHost, version }) {
+    if (serviceHost) {
+      window._AMapSecurityConfig = { serviceHost };
+      return;
+    }
 
-    return new Promise((resolve) => {
-      scriptTag.onload = () => {
-        return resolve();
-      };
-    });
+    if (securityJsCode) {
+      window._AMapSecurityConfig = { securityJsCode };
+      return;
+    }
+
+    /**
+     * Security config may have been set globally before AMap library is requested.
+     */
+    if (version2Flag(version) && window._AMapSecurityConfig === void 0) {
+      throw Error(
+        `AMap JS API ${version} requires security config. ` +
+        'Please provide either securityJsCode or serviceHost to AMap.',
+      );
+    }
   }
+  /* eslint-enable no-underscore-dangle */
 
   /**
    * Create script tag to require AMap library.
    */
-  static requireAMap({ appKey, protocol, version, proxyUrl, plugins }) {
+  static requireAMap({ appKey, protocol, version, proxyUrl, plugins, ...loadOptions }) {
     let src = `${protocol}://webapi.amap.com/maps?v=${version}&key=${appKey}`;
     if (proxyUrl) {
       src = `${proxyUrl}/maps?v=${version}&key=${appKey}`;
@@ -224,33 +368,21 @@ class AMap extends React.PureComponent {
       src += `&plugin=${plugins.join(',')}`;
     }
 
-    return AMap.loadScript(src);
+    return AMap.loadScript(src, loadOptions);
   }
 
   /**
    * Create script tag to require AMapUI library.
    */
-  static async requireAMapUI({ protocol, version, proxyUrl }) {
-    let src = `${protocol}://webapi.amap.com/ui/${version}/main-async.js`;
-    if (proxyUrl) {
-      src = `${proxyUrl}/ui/${version}/main-async.js`;
-    }
-
-    await AMap.loadScript(src);
-
-    window.initAMapUI();
+  static requireAMapUI(options) {
+    return requireAMapUI(options);
   }
 
   /**
    * Create script tag to require Loca library.
    */
-  static requireLoca({ appKey, protocol, version, proxyUrl }) {
-    let src = `${protocol}://webapi.amap.com/loca?key=${appKey}&v=${version}`;
-    if (proxyUrl) {
-      src = `${proxyUrl}/loca?key=${appKey}&v=${version}`;
-    }
-
-    return AMap.loadScript(src);
+  static requireLoca(options) {
+    return requireLoca(options);
   }
 
   /**
@@ -260,10 +392,16 @@ class AMap extends React.PureComponent {
     super(props);
 
     this.state = {
+      error: void 0,
       map: void 0,
     };
 
     this.mapOptions = AMap.parseMapOptions(this.props);
+
+    /**
+     * AMap library reads security config only once, when its script is executed.
+     */
+    if (window.AMap === void 0) AMap.configureSecurity(this.props);
   }
 
   /**
@@ -277,7 +415,7 @@ class AMap extends React.PureComponent {
   /**
    * Update this.map by calling AMap.Map methods.
    */
-  componentDidUpdate() {
+  componentDidUpdate(prevProps) {
     /**
      * Hold all updates until map has been created.
      */
@@ -285,12 +423,15 @@ class AMap extends React.PureComponent {
 
     const nextMapOptions = AMap.parseMapOptions(this.props);
 
-    this.updateMapWithAPI('setZoom', this.mapOptions.zoom, nextMapOptions.zoom);
+    this.updateViewport(nextMapOptions);
     this.updateMapWithAPI('setLabelzIndex', this.mapOptions.labelzIndex,
       nextMapOptions.labelzIndex);
-    // Calling setLayers causes fatal exceptions
-    // this.updateMapWithApi('setLayers', this.mapOptions.layers, nextMapOptions.layers);
-    this.updateMapWithAPI('setCenter', this.mapOptions.center, nextMapOptions.center);
+    /**
+     * Calling setLayers causes fatal exceptions on JS API 1.4.
+     */
+    if (isVersion2()) {
+      this.updateMapWithAPI('setLayers', this.mapOptions.layers, nextMapOptions.layers);
+    }
     this.updateMapWithAPI('setCity', this.mapOptions.city, nextMapOptions.city);
     /**
      * Comparing props.bounds instead of bounds because bounds are newly created everytime
@@ -310,6 +451,8 @@ class AMap extends React.PureComponent {
     this.updateMapWithAPI('setPitch', this.mapOptions.pitch, nextMapOptions.pitch);
 
     this.mapOptions = nextMapOptions;
+
+    if (!isEqual(prevProps.fitView, this.props.fitView)) this.scheduleFitView();
   }
 
   /**
@@ -325,10 +468,141 @@ class AMap extends React.PureComponent {
     if (map !== void 0) {
       removeInstanceEvent(map, this.AMapEventListeners);
 
+      this.unsubscribeOverlays();
+      this.unsubscribeErrors();
+
+      clearTimeout(this.fitViewTimer);
+
       map.destroy();
     }
   }
 
+  /**
+   * Ref handle: AMap.Map instance.
+   * Undefined until AMap library has been loaded.
+   */
+  getInstance() {
+    return this.map;
+  }
+
+  /**
+   * Ref handle: Fit map viewport to overlays, all overlays on map if none is given.
+   * Arguments are the same as AMap.Map.setFitView.
+   * Do nothing until map has been created.
+   */
+  setFitView(...args) {
+    this.map && this.map.setFitView(...args);
+  }
+
+  /**
+   * Ref handle: Pan map to position, an array of lng and lat or AMap.LngLat.
+   * Do nothing until map has been created.
+   */
+  panTo(position) {
+    this.map && this.map.panTo(position);
+  }
+
+  /**
+   * Ref handle: GeoJSON FeatureCollection of overlays created by child components, all overlays
+   * if keys is not given, i.e. to save markers after dragging.
+   * Empty until map has been created.
+   */
+  toGeoJSON(keys) {
+    if (!this.map) return overlaysToGeoJSON([]);
+
+    return toGeoJSON(this.map, keys);
+  }
+
+  /**
+   * Call onViewportChange with current viewport.
+   * Zooming fires both zoomend and moveend, the same viewport is reported only once.
+   */
+  handleViewportChange() {
+    const { onViewportChange } = this.props;
+
+    if (typeof onViewportChange !== 'function') return;
+
+    const viewport = getViewport(this.map);
+
+    if (isSameViewport(viewport, this.reportedViewport)) return;
+
+    this.reportedViewport = viewport;
+
+    onViewportChange(viewport, this.map);
+  }
+
+  /**
+   * Fit viewport to overlays selected by fitView prop.
+   */
+  fitOverlays() {
+    const { fitView } = this.props;
+
+    if (!fitView) return;
+
+    const {
+      immediately = false,
+      keys,
+      maxZoom,
+      padding = 0,
+    } = fitView === true ? {} : fitView;
+
+    const overlays = getOverlays(this.map, keys).map(overlay => overlay.instance);
+
+    if (overlays.length === 0) return;
+
+    this.map.setFitView(
+      overlays,
+      immediately,
+      padding instanceof Array ? padding : [padding, padding, padding, padding],
+      maxZoom,
+    );
+  }
+
+  /**
+   * Fit viewport once, after all overlays of a render have been added or removed.
+   */
+  scheduleFitView() {
+    if (!this.props.fitView) return;
+
+    clearTimeout(this.fitViewTimer);
+
+    this.fitViewTimer = setTimeout(() => this.fitOverlays(), 0);
+  }
+
+  /**
+   * Update center and zoom.
+   * Animate them with a single setZoomAndCenter call if animateViewport is set, otherwise call
+   * setZoom and setCenter separately.
+   */
+  updateViewport(nextMapOptions) {
+    const { animateViewport } = this.props;
+
+    if (!animateViewport) {
+      this.updateMapWithAPI('setZoom', this.mapOptions.zoom, nextMapOptions.zoom);
+      this.updateMapWithAPI('setCenter', this.mapOptions.center, nextMapOptions.center);
+      return;
+    }
+
+    const isZoomChanged = !isShallowEqual(this.mapOptions.zoom, nextMapOptions.zoom)
+      && nextMapOptions.zoom !== void 0
+      && !isCurrentViewportValue(this.map, 'setZoom', nextMapOptions.zoom);
+
+    const isCenterChanged = !isShallowEqual(this.mapOptions.center, nextMapOptions.center)
+      && !!nextMapOptions.center
+      && !isCurrentViewportValue(this.map, 'setCenter', nextMapOptions.center);
+
+    if (!isZoomChanged && !isCenterChanged) return;
+
+    const { duration } = animateViewport === true ? {} : animateViewport;
+
+    this.map.setZoomAndCenter(
+      isZoomChanged ? nextMapOptions.zoom : this.map.getZoom(),
+      isCenterChanged ? nextMapOptions.center : this.map.getCenter(),
+      false,
+      duration,
+    );
+  }
+
   /**
    * Bind all events on map instance, and save event listeners which will be removed in
    * componentWillUnmount lifecycle.
@@ -342,14 +616,39 @@ class AMap extends React.PureComponent {
     this.eventCallbacks = this.parseEvents();
 
     bindInstanceEvent(this.map, this.eventCallbacks, this.AMapEventListeners);
+
+    /**
+     * Report viewport once map stops moving or zooming.
+     */
+    bindInstanceEvent(this.map, {
+      onMoveEnd: this.handleViewportChange.bind(this),
+      onZoomEnd: this.handleViewportChange.bind(this),
+    }, this.AMapEventListeners);
+  }
+
+  /**
+   * Report a library loading failure through onError, and render fallback instead of the map.
+   */
+  handleError(error) {
+    const { onError } = this.props;
+
+    typeof onError === 'function' && onError(error);
+
+    this.setState({
+      error,
+    });
   }
 
   /**
    * Load AMap library and instantiate map object by calling AMap.Map.
+   * Library loading failures are reported through onError and rendered with fallback.
    */
   async initAMap() {
     const {
       appKey,
+      libraries,
+      loadRetries,
+      loadTimeout,
       locaVersion,
       protocol,
       uiVersion,
@@ -358,24 +657,59 @@ class AMap extends React.PureComponent {
       plugins,
     } = this.props;
 
-    if (window.AMap === void 0) {
-      await AMap.requireAMap({ appKey, protocol, version, proxyUrl, plugins });
+    const loadOptions = { retries: loadRetries, timeout: loadTimeout };
+
+    /**
+     * Descendants request optional libraries with the same options as AMap library.
+     */
+    setLibraryOptions({
+      appKey,
+      locaVersion,
+      protocol,
+      proxyUrl,
+      uiVersion,
+      version,
+      ...loadOptions,
+    });
+
+    try {
+      if (window.AMap === void 0) {
+        await AMap.requireAMap({ appKey, protocol, version, proxyUrl, plugins, ...loadOptions });
+      }
+
+      /**
+       * Load listed optional libraries in parallel.
+       */
+      await Promise.all(libraries.map(requireLibrary));
+    } catch (error) {
       /**
-       * Load AMapUI and Loca in parallel.
+       * Map container has been removed if component unmounts before libraries are loaded.
        */
-      const newUiVersion = version2Flag(version) ? '1.1' : uiVersion;
-      const AMapUI = AMap.requireAMapUI({ protocol, version: newUiVersion, proxyUrl });
-      const Loca = AMap.requireLoca({ appKey, protocol, version: locaVersion, proxyUrl });
-      await AMapUI;
-      await Loca;
+      if (this.mapContainer === null) return;
+
+      this.handleError(error);
+
+      return;
     }
 
+    if (this.mapContainer === null) return;
+
     this.map = new window.AMap.Map(this.mapContainer, {
       ...this.mapOptions,
     });
 
     this.bindEvents();
 
+    /**
+     * Child overlays are created once map is passed down, fit viewport after they are added.
+     */
+    this.unsubscribeOverlays = subscribeOverlays(this.map, () => this.scheduleFitView());
+
+    /**
+     * Libraries and plugins requested by descendants fail the same way as listed libraries.
+     */
+    this.unsubscribeErrors = subscribeErrors(this.map, error => this.handleError(error));
+
     this.setState({
       map: this.map,
     });
@@ -385,7 +719,7 @@ class AMap extends React.PureComponent {
    * Return an object of all supported event callbacks.
   */
   parseEvents() {
-    return {
+    return omitUnsupported('AMap', {
       onComplete: createEventCallback('onComplete', this.map).bind(this),
       onClick: createEventCallback('onClick', this.map).bind(this),
       onDblClick: createEventCallback('onDblClick', this.map).bind(this),
@@ -412,7 +746,7 @@ class AMap extends React.PureComponent {
       onTouchStart: createEventCallback('onTouchStart', this.map).bind(this),
       onTouchMove: createEventCallback('onTouchMove', this.map).bind(this),
       onTouchEnd: createEventCallback('onTouchEnd', this.map).bind(this),
-    };
+    }, this.props);
   }
 
   /**
@@ -432,7 +766,13 @@ class AMap extends React.PureComponent {
       if (apiName === 'setCenter' && !nextProp) {
         return;
       }
-      this.map[apiName](nextProp);
+      /**
+       * Map is already there, i.e. props echo the viewport reported by onViewportChange.
+       */
+      if (isCurrentViewportValue(this.map, apiName, nextProp)) {
+        return;
+      }
+      callInstanceAPI('AMap', this.map, apiName, nextProp);
     }
   }
 
@@ -442,16 +782,24 @@ class AMap extends React.PureComponent {
   render() {
     const {
       children,
+      fallback,
     } = this.props;
 
     const {
+      error,
       map,
     } = this.state;
 
+    if (error !== void 0 && typeof fallback === 'function') {
+      return fallback(error);
+    }
+
     return (
       <div ref={(self) => { this.mapContainer = self; }} style={mapContainerStyle}>
         <AMapContext.Provider value={map}>
-          {map !== void 0 && children}
+          <AMapStatusContext.Provider value={getLoadStatus(this.state)}>
+            {map !== void 0 && children}
+          </AMapStatusContext.Provider>
         </AMapContext.Provider>
       </div>
     );
@@ -0,0 +1,43 @@
+/* eslint-disable no-underscore-dangle */
+import AMap from '.';
+
+afterEach(() => {
+  delete window._AMapSecurityConfig;
+});
+
+test('Configure security with serviceHost in preference to securityJsCode', () => {
+  AMap.configureSecurity({
+    securityJsCode: 'code',
+    serviceHost: 'https://example.com/_AMapService',
+    version: '2.0',
+  });
+
+  expect(window._AMapSecurityConfig).toEqual({
+    serviceHost: 'https://example.com/_AMapService',
+  });
+});
+
+test('Configure security with securityJsCode', () => {
+  AMap.configureSecurity({ securityJsCode: 'code', version: '2.0' });
+
+  expect(window._AMapSecurityConfig).toEqual({ securityJsCode: 'code' });
+});
+
+test('Respect existing security config', () => {
+  const securityConfig = { securityJsCode: 'existing' };
+
+  window._AMapSecurityConfig = securityConfig;
+
+  expect(() => AMap.configureSecurity({ version: '2.0' })).not.toThrow();
+  expect(window._AMapSecurityConfig).toBe(securityConfig);
+});
+
+test('Throw if JS API 2.x is requested without security config', () => {
+  expect(() => AMap.configureSecurity({ version: '2.0' })).toThrow(/requires security config/);
+  expect(window._AMapSecurityConfig).toBeUndefined();
+});
+
+test('Do not require security config for JS API 1.4', () => {
+  expect(() => AMap.configureSecurity({ version: '1.4.15' })).not.toThrow();
+  expect(window._AMapSecurityConfig).toBeUndefined();
+});
@@ -0,0 +1,8 @@
+import React from 'react';
+
+/**
+ * Loader state of the closest AMap.
+ * Value: 'pending' until the map has been created, 'loaded' afterwards, or 'error' once map
+ * libraries, or libraries and plugins requested by descendants, fail to load.
+ */
+export default React.createContext();
@@ -6,6 +6,8 @@ import cloneDeep from '../utils/cloneDeep';
 import createEventCallback from '../utils/createEventCallback';
 import isShallowEqual from '../utils/isShallowEqual';
 import { bindInstanceEvent, removeInstanceEvent } from '../utils/instanceEventHandler';
+import { registerOverlay } from '../utils/overlayRegistry';
+import { callInstanceAPI } from '../utils/versionAdapter';
 
 /**
  * Fields that need to be deep copied.
@@ -21,6 +23,10 @@ const NEED_DEEP_COPY_FIELDS = ['path'];
  */
 class BezierCurve extends React.Component {
   static propTypes = {
+    /**
+     * self defined prop: Key to select this overlay in AMap fitView.
+     */
+    overlayKey: PropTypes.string,
     /**
      * Show BezierCurve by default, you can toggle show or hide by changing visible.
      */
@@ -77,6 +83,7 @@ class BezierCurve extends React.Component {
       onChange,
       onTouchStart,
       onTouchEnd,
+      overlayKey,
       ...bezierCurveOptions
     } = props;
 
@@ -101,6 +108,12 @@ class BezierCurve extends React.Component {
 
     this.bezierCurve = this.initBezierCurve(map);
 
+    this.unregisterOverlay = registerOverlay(map, {
+      instance: this.bezierCurve,
+      type: 'BezierCurve',
+      key: this.props.overlayKey,
+    });
+
     this.bindEvents();
 
     typeof onComplete === 'function' && onComplete(map, this.bezierCurve);
@@ -134,10 +147,33 @@ class BezierCurve extends React.Component {
   componentWillUnmount() {
     removeInstanceEvent(this.bezierCurve, this.AMapEventListeners);
 
+    this.unregisterOverlay();
+
     this.bezierCurve.setMap(null);
     this.bezierCurve = null;
   }
 
+  /**
+   * Ref handle: AMap.BezierCurve instance.
+   */
+  getInstance() {
+    return this.bezierCurve;
+  }
+
+  /**
+   * Ref handle: Length in meters.
+   */
+  getLength() {
+    return this.bezierCurve.getLength();
+  }
+
+  /**
+   * Ref handle: Current path, which may differ from props after editing.
+   */
+  getPath() {
+    return this.bezierCurve.getPath();
+  }
+
   /**
    * Bind all events on map instance, and save event listeners which will be removed in
    * componentWillUnmount lifecycle.
@@ -206,7 +242,7 @@ class BezierCurve extends React.Component {
    */
   updateBezierCurveWithAPI(apiName, previousProp, nextProp, newProp) {
     if (!isShallowEqual(previousProp, nextProp)) {
-      this.bezierCurve[apiName](newProp);
+      callInstanceAPI('BezierCurve', this.bezierCurve, apiName, newProp);
     }
   }
 
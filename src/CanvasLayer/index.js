@@ -0,0 +1,270 @@
+import React from 'react';
+import PropTypes from 'prop-types';
+import AMapContext from '../AMapContext';
+import breakIfNotChildOfAMap from '../utils/breakIfNotChildOfAMap';
+import canvasProjection from '../utils/canvasProjection';
+import { toBounds, toBoundsArray } from '../utils/coordinates';
+import createEventCallback from '../utils/createEventCallback';
+import isShallowEqual from '../utils/isShallowEqual';
+import { bindInstanceEvent, removeInstanceEvent } from '../utils/instanceEventHandler';
+import { callInstanceAPI } from '../utils/versionAdapter';
+
+/**
+ * Largest width or height of canvas in device pixels.
+ */
+const MAX_CANVAS_SIZE = 4096;
+
+/**
+ * CanvasLayer binding.
+ * CanvasLayer has the same options as AMap.CanvasLayer unless highlighted below.
+ * {@link https://lbs.amap.com/api/javascript-api/reference/layer#canvaslayer}
+ * CanvasLayer owns its canvas, which is drawn again once map moving or zooming ends and once
+ * props change.
+ */
+class CanvasLayer extends React.Component {
+  static propTypes = {
+    /**
+     * South west and north east lng lat position covered by canvas, i.e.
+     * [[southWest], [northEast]], or AMap.Bounds instance.
+     */
+    /* eslint-disable react/no-unused-prop-types */
+    bounds: PropTypes.oneOfType([
+      PropTypes.arrayOf(PropTypes.arrayOf(PropTypes.number)),
+      PropTypes.object,
+    ]).isRequired,
+    /**
+     * self defined prop: Draw canvas.
+     * Signature:
+     * (context, { width, height, project }) => void
+     * context: CanvasRenderingContext2D of canvas, cleared and scaled to device pixel ratio.
+     * width, height: Size of canvas in pixels at current zoom level.
+     * project: ([lng, lat]) => [x, y], lng lat position to canvas pixel position.
+     */
+    draw: PropTypes.func.isRequired,
+    /**
+     * Shows CanvasLayer by default, you can toggle show or hide by setting visible.
+     */
+    visible: PropTypes.bool,
+    /**
+     * Event callback.
+     * Signature:
+     * (canvasLayer, ...event) => void
+     * canvasLayer: AMap.CanvasLayer instance.
+     * event: AMap event.
+     */
+    /* eslint-disable react/sort-prop-types,react/no-unused-prop-types */
+    onComplete: PropTypes.func,
+    /* eslint-enable */
+  };
+
+  static defaultProps = {
+    visible: true,
+  };
+
+  /**
+   * AMap map instance.
+   */
+  static contextType = AMapContext;
+
+  /**
+   * Parse AMap.CanvasLayer options.
+   * Named properties are event callbacks, other properties are canvasLayer options.
+   * Bounds is kept as it is so that unchanged bounds props compare equal, it is transformed
+   * into AMap.Bounds right before calling AMap.
+   */
+  static parseCanvasLayerOptions(props) {
+    const {
+      draw,
+      onComplete,
+      ...canvasLayerOptions
+    } = props;
+
+    return canvasLayerOptions;
+  }
+
+  /**
+   * Define event name mapping relations of react binding CanvasLayer and AMap.CanvasLayer.
+   * Create canvas, initialise AMap.CanvasLayer, bind events and draw canvas.
+   */
+  constructor(props, context) {
+    super(props);
+
+    const map = context;
+
+    breakIfNotChildOfAMap('CanvasLayer', map);
+
+    this.map = map;
+
+    this.canvasLayerOptions = CanvasLayer.parseCanvasLayerOptions(this.props);
+
+    this.canvas = document.createElement('canvas');
+
+    this.canvasLayer = this.initCanvasLayer(map);
+
+    this.bindEvents();
+
+    this.drawCanvas(this.props);
+  }
+
+  /**
+   * Update this.canvasLayer by calling AMap.CanvasLayer methods.
+   * Draw canvas again with next props.
+   */
+  shouldComponentUpdate(nextProps) {
+    const nextCanvasLayerOptions = CanvasLayer.parseCanvasLayerOptions(nextProps);
+
+    this.toggleVisible(this.canvasLayerOptions.visible, nextCanvasLayerOptions.visible);
+
+    /**
+     * Comparing props.bounds instead of AMap.Bounds because AMap.Bounds is newly created everytime
+     * even though props.bounds does not change.
+     */
+    this.updateCanvasLayerWithAPI('setBounds', this.canvasLayerOptions.bounds,
+      nextCanvasLayerOptions.bounds, toBounds(nextCanvasLayerOptions.bounds));
+
+    this.updateCanvasLayerWithAPI('setOpacity', this.canvasLayerOptions.opacity,
+      nextCanvasLayerOptions.opacity);
+
+    this.updateCanvasLayerWithAPI('setzIndex', this.canvasLayerOptions.zIndex,
+      nextCanvasLayerOptions.zIndex);
+
+    this.updateCanvasLayerWithAPI('setZooms', this.canvasLayerOptions.zooms,
+      nextCanvasLayerOptions.zooms);
+
+    this.canvasLayerOptions = nextCanvasLayerOptions;
+
+    this.drawCanvas(nextProps);
+
+    return false;
+  }
+
+  /**
+   * Remove event listeners.
+   * Destroy canvasLayer instance.
+   */
+  componentWillUnmount() {
+    removeInstanceEvent(this.canvasLayer, this.AMapEventListeners);
+    removeInstanceEvent(this.map, this.mapEventListeners);
+
+    this.canvasLayer.setMap(null);
+    this.canvasLayer = null;
+  }
+
+  /**
+   * Ref handle: AMap.CanvasLayer instance.
+   */
+  getInstance() {
+    return this.canvasLayer;
+  }
+
+  /**
+   * Ref handle: Draw canvas again, i.e. after data read by draw has been mutated.
+   */
+  redraw() {
+    this.drawCanvas(this.props);
+  }
+
+  /**
+   * Bind all events on canvasLayer instance, and save event listeners which will be removed in
+   * componentWillUnmount lifecycle.
+   * Draw canvas again once map moving or zooming ends.
+   */
+  bindEvents() {
+    this.AMapEventListeners = [];
+    this.mapEventListeners = [];
+
+    /**
+     * Construct event callbacks.
+     */
+    const eventCallbacks = this.parseEvents();
+
+    bindInstanceEvent(this.canvasLayer, eventCallbacks, this.AMapEventListeners);
+
+    bindInstanceEvent(this.map, {
+      onMoveEnd: () => this.drawCanvas(this.props),
+      onZoomEnd: () => this.drawCanvas(this.props),
+    }, this.mapEventListeners);
+  }
+
+  /**
+   * Resize canvas to bounds at current zoom level, call draw and refresh canvasLayer.
+   * Canvas is sized in device pixels, draw works in css pixels through a scaled context.
+   */
+  drawCanvas(props) {
+    const { bounds, draw } = props;
+
+    const pixelRatio = window.devicePixelRatio || 1;
+
+    const { width, height, project } = canvasProjection(toBoundsArray(bounds),
+      this.map.getZoom(), MAX_CANVAS_SIZE / pixelRatio);
+
+    this.canvas.width = Math.ceil(width * pixelRatio);
+    this.canvas.height = Math.ceil(height * pixelRatio);
+
+    const context = this.canvas.getContext('2d');
+
+    context.setTransform(pixelRatio, 0, 0, pixelRatio, 0, 0);
+    context.clearRect(0, 0, width, height);
+
+    draw(context, { width, height, project });
+
+    this.canvasLayer.reFresh();
+  }
+
+  /**
+   * Initialise canvasLayer with canvas.
+   */
+  initCanvasLayer(map) {
+    const { visible } = this.props;
+
+    const canvasLayer = new window.AMap.CanvasLayer({
+      ...this.canvasLayerOptions,
+      bounds: toBounds(this.canvasLayerOptions.bounds),
+      canvas: this.canvas,
+    });
+
+    canvasLayer.setMap(map);
+
+    if (visible === false) canvasLayer.hide();
+
+    return canvasLayer;
+  }
+
+  /**
+   * Return an object of all supported event callbacks.
+   */
+  parseEvents() {
+    return {
+      onComplete: createEventCallback('onComplete', this.canvasLayer).bind(this),
+    };
+  }
+
+  /**
+   * Hide or show canvasLayer.
+   */
+  toggleVisible(previousProp, nextProp) {
+    if (!isShallowEqual(previousProp, nextProp)) {
+      if (nextProp === true) this.canvasLayer.show();
+      if (nextProp === false) this.canvasLayer.hide();
+    }
+  }
+
+  /**
+   * Update AMap.CanvasLayer instance with named API and given value.
+   * Won't call API if the given value does not change.
+   */
+  updateCanvasLayerWithAPI(apiName, previousProp, nextProp, newProp = nextProp) {
+    if (!isShallowEqual(previousProp, nextProp)) {
+      callInstanceAPI('CanvasLayer', this.canvasLayer, apiName, newProp);
+    }
+  }
+
+  /**
+   * Render nothing.
+   */
+  render() {
+    return null;
+  }
+}
+
+export default CanvasLayer;
@@ -1,12 +1,15 @@
 import React from 'react';
 import PropTypes from 'prop-types';
 import AMapContext from '../AMapContext';
+import OverlayContainerContext from '../OverlayContainerContext';
 import breakIfNotChildOfAMap from '../utils/breakIfNotChildOfAMap';
 import cloneDeep from '../utils/cloneDeep';
 import createEventCallback from '../utils/createEventCallback';
 import isShallowEqual from '../utils/isShallowEqual';
 import { bindInstanceEvent, removeInstanceEvent } from '../utils/instanceEventHandler';
-import version2Flag from '../utils/mapVersion2Flag';
+import { registerOverlay } from '../utils/overlayRegistry';
+import { callInstanceAPI, isVersion2 } from '../utils/versionAdapter';
+import withContextProp from '../utils/withContextProp';
 
 /**
  * Fields that need to be deep copied.
@@ -22,6 +25,14 @@ const NEED_DEEP_COPY_FIELDS = ['center'];
  */
 class Circle extends React.Component {
   static propTypes = {
+    /**
+     * Closest overlay container, i.e. OverlayGroup, read from context.
+     */
+    overlayContainer: PropTypes.object,
+    /**
+     * self defined prop: Key to select this overlay in AMap fitView.
+     */
+    overlayKey: PropTypes.string,
     /**
      * Show Circle by default, you can toggle show or hide by changing visible.
      */
@@ -80,6 +91,8 @@ class Circle extends React.Component {
       onTouchStart,
       onTouchMove,
       onTouchEnd,
+      overlayContainer,
+      overlayKey,
       ...circleOptions
     } = props;
 
@@ -104,11 +117,26 @@ class Circle extends React.Component {
 
     this.circle = this.initCircle(map);
 
+    this.unregisterOverlay = registerOverlay(map, {
+      instance: this.circle,
+      type: 'Circle',
+      key: this.props.overlayKey,
+    });
+
     this.bindEvents();
 
     typeof onComplete === 'function' && onComplete(map, this.circle);
   }
 
+  /**
+   * Hand circle over to the closest OverlayGroup, if there is one.
+   */
+  componentDidMount() {
+    const { overlayContainer } = this.props;
+
+    overlayContainer && overlayContainer.addOverlay(this.circle);
+  }
+
   /**
    * Update this.circle by calling AMap.Circle methods.
    */
@@ -137,10 +165,37 @@ class Circle extends React.Component {
   componentWillUnmount() {
     removeInstanceEvent(this.circle, this.AMapEventListeners);
 
+    this.unregisterOverlay();
+
+    const { overlayContainer } = this.props;
+
+    overlayContainer && overlayContainer.removeOverlay(this.circle);
+
     this.circle.setMap(null);
     this.circle = null;
   }
 
+  /**
+   * Ref handle: AMap.Circle instance.
+   */
+  getInstance() {
+    return this.circle;
+  }
+
+  /**
+   * Ref handle: Bounds of circle.
+   */
+  getBounds() {
+    return this.circle.getBounds();
+  }
+
+  /**
+   * Ref handle: Whether circle contains point, an array of lng and lat or AMap.LngLat.
+   */
+  contains(point) {
+    return this.circle.contains(point);
+  }
+
   /**
    * Bind all events on map instance, and save event listeners which will be removed in
    * componentWillUnmount lifecycle.
@@ -210,9 +265,9 @@ class Circle extends React.Component {
    */
   updateCircleWithAPI(apiName, previousProp, nextProp, newProp) {
     if (!isShallowEqual(previousProp, nextProp)) {
-      this.circle[apiName](newProp);
+      callInstanceAPI('Circle', this.circle, apiName, newProp);
       // version 2.0 radius is a special property, it has to be handled differently.
-      if (version2Flag(window.AMap.version) && previousProp.radius !== nextProp.radius) {
+      if (isVersion2() && previousProp.radius !== nextProp.radius) {
         this.circle.setRadius(newProp.radius);
       }
     }
@@ -226,4 +281,4 @@ class Circle extends React.Component {
   }
 }
 
-export default Circle;
+export default withContextProp(OverlayContainerContext, 'overlayContainer', Circle);
@@ -0,0 +1,308 @@
+import React from 'react';
+import PropTypes from 'prop-types';
+import AMapContext from '../AMapContext';
+import OverlayContainerContext from '../OverlayContainerContext';
+import breakIfNotChildOfAMap from '../utils/breakIfNotChildOfAMap';
+import cloneDeep from '../utils/cloneDeep';
+import createEventCallback from '../utils/createEventCallback';
+import isShallowEqual from '../utils/isShallowEqual';
+import { bindInstanceEvent, removeInstanceEvent } from '../utils/instanceEventHandler';
+import { registerOverlay } from '../utils/overlayRegistry';
+import { callInstanceAPI, isVersion2 } from '../utils/versionAdapter';
+import warnOnce from '../utils/warnOnce';
+import withContextProp from '../utils/withContextProp';
+
+/**
+ * Fields that need to be deep copied.
+ * AMap LBS library mutates options. Deep copy those options before passing to AMap so that
+ * props won't be mutated.
+ */
+const NEED_DEEP_COPY_FIELDS = ['center'];
+
+/**
+ * The largest radius in pixels AMap.CircleMarker draws.
+ */
+const MAX_RADIUS = 35;
+
+/**
+ * CircleMarker binding.
+ * CircleMarker has the same options as AMap.CircleMarker unless highlighted below.
+ * Unlike Circle, radius is in pixels so that circleMarker keeps its size while zooming.
+ * {@link https://lbs.amap.com/api/javascript-api/reference/overlay#CircleMarker}
+ */
+class CircleMarker extends React.Component {
+  static propTypes = {
+    /**
+     * An array of two numbers, lng and lat, or AMap.LngLat.
+     */
+    /* eslint-disable react/no-unused-prop-types */
+    center: PropTypes.oneOfType([
+      PropTypes.arrayOf(PropTypes.number),
+      PropTypes.object,
+    ]).isRequired,
+    /**
+     * Closest overlay container, i.e. OverlayGroup, read from context.
+     */
+    overlayContainer: PropTypes.object,
+    /**
+     * self defined prop: Key to select this overlay in AMap fitView.
+     */
+    overlayKey: PropTypes.string,
+    /**
+     * Radius in pixels, no more than 35.
+     * A larger radius is clamped to 35 with a warning.
+     */
+    radius: PropTypes.number,
+    /* eslint-enable */
+    /**
+     * Show CircleMarker by default, you can toggle show or hide by changing visible.
+     */
+    visible: PropTypes.bool,
+    /**
+     * Event callback.
+     * Signature:
+     * (circleMarker, ...event) => void
+     * circleMarker: AMap.CircleMarker instance.
+     * event: AMap event.
+     */
+    /* eslint-disable react/sort-prop-types,react/no-unused-prop-types */
+    onComplete: PropTypes.func,
+    onClick: PropTypes.func,
+    onDblClick: PropTypes.func,
+    onRightClick: PropTypes.func,
+    onHide: PropTypes.func,
+    onShow: PropTypes.func,
+    onMouseDown: PropTypes.func,
+    onMouseUp: PropTypes.func,
+    onMouseOver: PropTypes.func,
+    onMouseOut: PropTypes.func,
+    onChange: PropTypes.func,
+    onTouchStart: PropTypes.func,
+    onTouchMove: PropTypes.func,
+    onTouchEnd: PropTypes.func,
+    /* eslint-enable */
+  };
+
+  static defaultProps = {
+    visible: true,
+  };
+
+  /**
+   * AMap map instance.
+   */
+  static contextType = AMapContext;
+
+  /**
+   * Parse AMap.CircleMarker options.
+   * Named properties are event callbacks, other properties are circleMarker options.
+   * Clamp radius, AMap.CircleMarker supports radius no more than 35 pixels.
+   */
+  static parseCircleMarkerOptions(props) {
+    const {
+      onComplete,
+      onClick,
+      onDblClick,
+      onRightClick,
+      onHide,
+      onShow,
+      onMouseDown,
+      onMouseUp,
+      onMouseOver,
+      onMouseOut,
+      onChange,
+      onTouchStart,
+      onTouchMove,
+      onTouchEnd,
+      overlayContainer,
+      overlayKey,
+      ...circleMarkerOptions
+    } = props;
+
+    const { radius } = circleMarkerOptions;
+
+    if (radius > MAX_RADIUS) {
+      warnOnce(`CircleMarker radius ${radius} is larger than ${MAX_RADIUS} pixels, ` +
+        `it is clamped to ${MAX_RADIUS}.`);
+
+      return { ...circleMarkerOptions, radius: MAX_RADIUS };
+    }
+
+    return circleMarkerOptions;
+  }
+
+  /**
+   * Define event name mapping relations of react binding CircleMarker and AMap.CircleMarker.
+   * Initialise AMap.CircleMarker and bind events.
+   * Fire complete action as soon as circleMarker has been created.
+   */
+  constructor(props, context) {
+    super(props);
+
+    const { onComplete } = this.props;
+
+    const map = context;
+
+    breakIfNotChildOfAMap('CircleMarker', map);
+
+    this.circleMarkerOptions = CircleMarker.parseCircleMarkerOptions(this.props);
+
+    this.circleMarker = this.initCircleMarker(map);
+
+    this.unregisterOverlay = registerOverlay(map, {
+      instance: this.circleMarker,
+      type: 'CircleMarker',
+      key: this.props.overlayKey,
+    });
+
+    this.bindEvents();
+
+    typeof onComplete === 'function' && onComplete(map, this.circleMarker);
+  }
+
+  /**
+   * Hand circleMarker over to the closest OverlayGroup, if there is one.
+   */
+  componentDidMount() {
+    const { overlayContainer } = this.props;
+
+    overlayContainer && overlayContainer.addOverlay(this.circleMarker);
+  }
+
+  /**
+   * Update this.circleMarker by calling AMap.CircleMarker methods.
+   */
+  shouldComponentUpdate(nextProps) {
+    const nextCircleMarkerOptions = CircleMarker.parseCircleMarkerOptions(nextProps);
+
+    const newCircleMarkerOptions = cloneDeep(nextCircleMarkerOptions, NEED_DEEP_COPY_FIELDS);
+
+    this.toggleVisible(this.circleMarkerOptions.visible, nextCircleMarkerOptions.visible);
+    /**
+     * Instead of calling one API for a specific option change, AMap.CircleMarker exposes
+     * a master method: setOptions, which will update every options with a single function call.
+     */
+    this.updateCircleMarkerWithAPI('setOptions', this.circleMarkerOptions, nextCircleMarkerOptions,
+      newCircleMarkerOptions);
+
+    this.circleMarkerOptions = nextCircleMarkerOptions;
+
+    return false;
+  }
+
+  /**
+   * Remove event listeners.
+   * Destroy circleMarker instance.
+   */
+  componentWillUnmount() {
+    removeInstanceEvent(this.circleMarker, this.AMapEventListeners);
+
+    this.unregisterOverlay();
+
+    const { overlayContainer } = this.props;
+
+    overlayContainer && overlayContainer.removeOverlay(this.circleMarker);
+
+    this.circleMarker.setMap(null);
+    this.circleMarker = null;
+  }
+
+  /**
+   * Ref handle: AMap.CircleMarker instance.
+   */
+  getInstance() {
+    return this.circleMarker;
+  }
+
+  /**
+   * Ref handle: Whether circleMarker contains point, an array of lng and lat or AMap.LngLat.
+   */
+  contains(point) {
+    return this.circleMarker.contains(point);
+  }
+
+  /**
+   * Bind all events on map instance, and save event listeners which will be removed in
+   * componentWillUnmount lifecycle.
+   */
+  bindEvents() {
+    this.AMapEventListeners = [];
+
+    /**
+     * Construct event callbacks.
+     */
+    const eventCallbacks = this.parseEvents();
+
+    bindInstanceEvent(this.circleMarker, eventCallbacks, this.AMapEventListeners);
+  }
+
+  /**
+   * Initialise AMap.CircleMarker.
+   */
+  initCircleMarker(map) {
+    const { visible } = this.props;
+
+    const newCircleMarkerOptions = cloneDeep(this.circleMarkerOptions, NEED_DEEP_COPY_FIELDS);
+
+    const circleMarker = new window.AMap.CircleMarker(newCircleMarkerOptions);
+
+    circleMarker.setMap(map);
+
+    if (visible === false) circleMarker.hide();
+
+    return circleMarker;
+  }
+
+  /**
+   * Return an object of all supported event callbacks.
+   */
+  parseEvents() {
+    return {
+      onClick: createEventCallback('onClick', this.circleMarker).bind(this),
+      onDblClick: createEventCallback('onDblClick', this.circleMarker).bind(this),
+      onRightClick: createEventCallback('onRightClick', this.circleMarker).bind(this),
+      onHide: createEventCallback('onHide', this.circleMarker).bind(this),
+      onShow: createEventCallback('onShow', this.circleMarker).bind(this),
+      onMouseOver: createEventCallback('onMouseOver', this.circleMarker).bind(this),
+      onMouseOut: createEventCallback('onMouseOut', this.circleMarker).bind(this),
+      onMouseDown: createEventCallback('onMouseDown', this.circleMarker).bind(this),
+      onMouseUp: createEventCallback('onMouseUp', this.circleMarker).bind(this),
+      onChange: createEventCallback('onChange', this.circleMarker).bind(this),
+      onTouchStart: createEventCallback('onTouchStart', this.circleMarker).bind(this),
+      onTouchMove: createEventCallback('onTouchMove', this.circleMarker).bind(this),
+      onTouchEnd: createEventCallback('onTouchEnd', this.circleMarker).bind(this),
+    };
+  }
+
+  /**
+   * Hide or show circleMarker.
+   */
+  toggleVisible(previousProp, nextProp) {
+    if (!isShallowEqual(previousProp, nextProp)) {
+      if (nextProp === true) this.circleMarker.show();
+      if (nextProp === false) this.circleMarker.hide();
+    }
+  }
+
+  /**
+   * Update AMap.CircleMarker instance with named API.
+   * Won't call API if prop does not change.
+   */
+  updateCircleMarkerWithAPI(apiName, previousProp, nextProp, newProp) {
+    if (!isShallowEqual(previousProp, nextProp)) {
+      callInstanceAPI('CircleMarker', this.circleMarker, apiName, newProp);
+      // version 2.0 radius is a special property, it has to be handled differently.
+      if (isVersion2() && previousProp.radius !== nextProp.radius) {
+        this.circleMarker.setRadius(newProp.radius);
+      }
+    }
+  }
+
+  /**
+   * Render nothing.
+   */
+  render() {
+    return null;
+  }
+}
+
+export default withContextProp(OverlayContainerContext, 'overlayContainer', CircleMarker);
@@ -0,0 +1,70 @@
+import React from 'react';
+import ReactDOM from 'react-dom';
+import AMapContext from '../AMapContext';
+import CircleMarker from '.';
+
+let container;
+let circleMarkers;
+let consoleWarn;
+
+class MockCircleMarker {
+  constructor(options) {
+    this.options = options;
+    this.setMap = jest.fn();
+    this.setOptions = jest.fn();
+    this.on = jest.fn();
+    this.off = jest.fn();
+
+    circleMarkers.push(this);
+  }
+}
+
+beforeEach(() => {
+  circleMarkers = [];
+  window.AMap = { CircleMarker: MockCircleMarker };
+  container = document.createElement('div');
+  consoleWarn = jest.spyOn(console, 'warn').mockImplementation(() => {});
+});
+
+afterEach(() => {
+  ReactDOM.unmountComponentAtNode(container);
+  delete window.AMap;
+  consoleWarn.mockRestore();
+});
+
+const renderCircleMarker = (map, radius) => {
+  ReactDOM.render(
+    <AMapContext.Provider value={map}>
+      <CircleMarker center={[120, 30]} radius={radius} />
+    </AMapContext.Provider>,
+    container,
+  );
+};
+
+test('Create AMap.CircleMarker', () => {
+  const map = {};
+
+  renderCircleMarker(map, 10);
+
+  const [circleMarker] = circleMarkers;
+
+  expect(circleMarker.options).toEqual({ center: [120, 30], radius: 10, visible: true });
+  expect(circleMarker.setMap).toHaveBeenCalledWith(map);
+  expect(consoleWarn).not.toHaveBeenCalled();
+});
+
+test('Clamp radius larger than 35 pixels with a warning', () => {
+  const map = {};
+
+  renderCircleMarker(map, 50);
+
+  const [circleMarker] = circleMarkers;
+
+  expect(circleMarker.options.radius).toBe(35);
+  expect(consoleWarn).toHaveBeenCalledTimes(1);
+
+  renderCircleMarker(map, 20);
+  renderCircleMarker(map, 60);
+
+  expect(circleMarker.setOptions).toHaveBeenLastCalledWith(expect.objectContaining({ radius: 35 }));
+});
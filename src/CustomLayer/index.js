@@ -0,0 +1,272 @@
+import React from 'react';
+import ReactDOM from 'react-dom';
+import PropTypes from 'prop-types';
+import AMapContext from '../AMapContext';
+import breakIfNotChildOfAMap from '../utils/breakIfNotChildOfAMap';
+import { toLngLat } from '../utils/coordinates';
+import isShallowEqual from '../utils/isShallowEqual';
+import { callInstanceAPI } from '../utils/versionAdapter';
+
+/**
+ * Absolutely positioned wrapper of a CustomLayer child, which CustomLayer moves to position.
+ * Position is read from the child and passed as a prop, the child is rendered without it.
+ */
+class CustomLayerItem extends React.Component {
+  static propTypes = {
+    children: PropTypes.element.isRequired,
+    /**
+     * [lng, lat] or AMap.LngLat, read by CustomLayer.
+     */
+    /* eslint-disable react/no-unused-prop-types */
+    position: PropTypes.oneOfType([
+      PropTypes.arrayOf(PropTypes.number),
+      PropTypes.object,
+    ]).isRequired,
+    /* eslint-enable */
+    register: PropTypes.func.isRequired,
+    unregister: PropTypes.func.isRequired,
+  };
+
+  /**
+   * Let CustomLayer position wrapper of this item.
+   */
+  componentDidMount() {
+    this.props.register(this);
+  }
+
+  /**
+   * Stop positioning wrapper of this item.
+   */
+  componentWillUnmount() {
+    this.props.unregister(this);
+  }
+
+  /**
+   * Render child without its position prop in a wrapper.
+   */
+  render() {
+    const { children } = this.props;
+
+    return (
+      <div
+        ref={(wrapper) => { this.wrapper = wrapper; }}
+        style={{ position: 'absolute', left: 0, top: 0 }}
+      >
+        {React.cloneElement(children, { position: void 0 })}
+      </div>
+    );
+  }
+}
+
+/**
+ * CustomLayer binding.
+ * CustomLayer has the same options as AMap.CustomLayer unless highlighted below.
+ * {@link https://lbs.amap.com/api/javascript-api/reference/self-own-layers#customlayer}
+ * Children are rendered into the layer through a single portal, and moved to the container
+ * pixel position of their position prop on every map frame. Lightweight HTML annotations don't
+ * need an AMap.Marker each.
+ */
+class CustomLayer extends React.Component {
+  static propTypes = {
+    /**
+     * self defined prop: React elements with a position prop of [lng, lat] or AMap.LngLat.
+     * Top left corner of each element is placed at its position. Elements are rendered without
+     * position prop.
+     */
+    children: PropTypes.node,
+    /**
+     * Shows CustomLayer by default, you can toggle show or hide by setting visible.
+     */
+    /* eslint-disable react/no-unused-prop-types */
+    visible: PropTypes.bool,
+    /**
+     * Event callback.
+     * Signature:
+     * (map, customLayer) => void
+     * map: AMap.Map instance.
+     * customLayer: AMap.CustomLayer instance.
+     */
+    /* eslint-disable react/sort-prop-types,react/no-unused-prop-types */
+    onComplete: PropTypes.func,
+    /* eslint-enable */
+  };
+
+  static defaultProps = {
+    visible: true,
+  };
+
+  /**
+   * AMap map instance.
+   */
+  static contextType = AMapContext;
+
+  /**
+   * Parse AMap.CustomLayer options.
+   * Named properties are event callbacks, other properties are customLayer options.
+   */
+  static parseCustomLayerOptions(props) {
+    const {
+      children,
+      onComplete,
+      ...customLayerOptions
+    } = props;
+
+    return customLayerOptions;
+  }
+
+  /**
+   * Create container of children.
+   * Initialise AMap.CustomLayer.
+   * Fire complete action as soon as customLayer has been created.
+   */
+  constructor(props, context) {
+    super(props);
+
+    const { onComplete } = this.props;
+
+    const map = context;
+
+    breakIfNotChildOfAMap('CustomLayer', map);
+
+    this.map = map;
+
+    this.container = document.createElement('div');
+
+    /**
+     * Mounted CustomLayerItem of each child.
+     */
+    this.items = new Set();
+
+    this.registerItem = item => this.items.add(item);
+    this.unregisterItem = item => this.items.delete(item);
+
+    this.customLayerOptions = CustomLayer.parseCustomLayerOptions(this.props);
+
+    this.customLayer = this.initCustomLayer(map);
+
+    typeof onComplete === 'function' && onComplete(map, this.customLayer);
+  }
+
+  /**
+   * Position children once they have been rendered.
+   */
+  componentDidMount() {
+    this.positionChildren();
+  }
+
+  /**
+   * Update this.customLayer by calling AMap.CustomLayer methods.
+   * Render again so that children receive their changes.
+   */
+  shouldComponentUpdate(nextProps) {
+    const nextCustomLayerOptions = CustomLayer.parseCustomLayerOptions(nextProps);
+
+    this.toggleVisible(this.customLayerOptions.visible, nextCustomLayerOptions.visible);
+
+    this.updateCustomLayerWithAPI('setzIndex', this.customLayerOptions.zIndex,
+      nextCustomLayerOptions.zIndex);
+
+    this.updateCustomLayerWithAPI('setZooms', this.customLayerOptions.zooms,
+      nextCustomLayerOptions.zooms);
+
+    this.customLayerOptions = nextCustomLayerOptions;
+
+    return true;
+  }
+
+  /**
+   * Position children which have been added or moved.
+   */
+  componentDidUpdate() {
+    this.positionChildren();
+  }
+
+  /**
+   * Destroy customLayer instance.
+   */
+  componentWillUnmount() {
+    this.customLayer.render = null;
+
+    this.customLayer.setMap(null);
+    this.customLayer = null;
+  }
+
+  /**
+   * Ref handle: AMap.CustomLayer instance.
+   */
+  getInstance() {
+    return this.customLayer;
+  }
+
+  /**
+   * Initialise AMap.CustomLayer with container.
+   * AMap calls render of customLayer on every map frame.
+   */
+  initCustomLayer(map) {
+    const { visible } = this.props;
+
+    const customLayer = new window.AMap.CustomLayer(this.container, this.customLayerOptions);
+
+    customLayer.render = () => this.positionChildren();
+
+    customLayer.setMap(map);
+
+    if (visible === false) customLayer.hide();
+
+    return customLayer;
+  }
+
+  /**
+   * Move wrapper of each child to container pixel position of its position prop.
+   */
+  positionChildren() {
+    this.items.forEach(({ props, wrapper }) => {
+      const { x, y } = this.map.lngLatToContainer(toLngLat(props.position));
+
+      wrapper.style.transform = `translate(${x}px, ${y}px)`;
+    });
+  }
+
+  /**
+   * Hide or show customLayer.
+   */
+  toggleVisible(previousProp, nextProp) {
+    if (!isShallowEqual(previousProp, nextProp)) {
+      if (nextProp === true) this.customLayer.show();
+      if (nextProp === false) this.customLayer.hide();
+    }
+  }
+
+  /**
+   * Update AMap.CustomLayer instance with named API and given value.
+   * Won't call API if the given value does not change.
+   */
+  updateCustomLayerWithAPI(apiName, previousProp, nextProp) {
+    if (!isShallowEqual(previousProp, nextProp)) {
+      callInstanceAPI('CustomLayer', this.customLayer, apiName, nextProp);
+    }
+  }
+
+  /**
+   * Render children into container, each in an absolutely positioned wrapper.
+   */
+  render() {
+    const { children } = this.props;
+
+    return ReactDOM.createPortal(
+      React.Children.toArray(children).filter(React.isValidElement).map(element => (
+        <CustomLayerItem
+          key={element.key}
+          position={element.props.position}
+          register={this.registerItem}
+          unregister={this.unregisterItem}
+        >
+          {element}
+        </CustomLayerItem>
+      )),
+      this.container,
+    );
+  }
+}
+
+export default CustomLayer;
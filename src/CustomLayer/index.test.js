@@ -0,0 +1,85 @@
+import React from 'react';
+import ReactDOM from 'react-dom';
+import AMapContext from '../AMapContext';
+import CustomLayer from '.';
+
+let container;
+let customLayers;
+let consoleError;
+
+class MockCustomLayer {
+  constructor(layerContainer, options) {
+    this.container = layerContainer;
+    this.options = options;
+    this.setMap = jest.fn();
+
+    customLayers.push(this);
+  }
+}
+
+const createMap = () => ({
+  lngLatToContainer: ({ lng, lat }) => ({ x: lng * 10, y: lat * 10 }),
+});
+
+beforeEach(() => {
+  customLayers = [];
+  window.AMap = {
+    CustomLayer: MockCustomLayer,
+    LngLat: function LngLat(lng, lat) {
+      this.lng = lng;
+      this.lat = lat;
+    },
+  };
+  container = document.createElement('div');
+  consoleError = jest.spyOn(console, 'error').mockImplementation(() => {});
+});
+
+afterEach(() => {
+  ReactDOM.unmountComponentAtNode(container);
+  delete window.AMap;
+  consoleError.mockRestore();
+});
+
+const renderCustomLayer = (map, positions) => {
+  ReactDOM.render(
+    <AMapContext.Provider value={map}>
+      <CustomLayer>
+        {positions.map(([id, position]) => (
+          // eslint-disable-next-line react/no-unknown-property
+          <span key={id} position={position}>{id}</span>
+        ))}
+      </CustomLayer>
+    </AMapContext.Provider>,
+    container,
+  );
+};
+
+const getTransforms = () => Array.from(customLayers[0].container.childNodes)
+  .map(wrapper => [wrapper.textContent, wrapper.style.transform]);
+
+test('Move children to their positions', () => {
+  const map = createMap();
+
+  renderCustomLayer(map, [['a', [1, 2]], ['b', [3, 4]]]);
+
+  expect(getTransforms()).toEqual([
+    ['a', 'translate(10px, 20px)'],
+    ['b', 'translate(30px, 40px)'],
+  ]);
+
+  renderCustomLayer(map, [['b', [5, 6]], ['c', [7, 8]]]);
+
+  expect(getTransforms()).toEqual([
+    ['b', 'translate(50px, 60px)'],
+    ['c', 'translate(70px, 80px)'],
+  ]);
+});
+
+test('Render children without position prop', () => {
+  const map = createMap();
+
+  renderCustomLayer(map, [['a', [1, 2]]]);
+
+  expect(customLayers[0].container.querySelector('span').hasAttribute('position')).toBe(false);
+  expect(consoleError).not.toHaveBeenCalled();
+});
@@ -0,0 +1,450 @@
+import React from 'react';
+import PropTypes from 'prop-types';
+import isEqual from 'lodash/isEqual';
+import isUndefined from 'lodash/isUndefined';
+import omitBy from 'lodash/omitBy';
+import AMapContext from '../AMapContext';
+import OverlayContainerContext from '../OverlayContainerContext';
+import breakIfNotChildOfAMap from '../utils/breakIfNotChildOfAMap';
+import cloneDeep from '../utils/cloneDeep';
+import createEventCallback from '../utils/createEventCallback';
+import isShallowEqual from '../utils/isShallowEqual';
+import { bindInstanceEvent, removeInstanceEvent } from '../utils/instanceEventHandler';
+import { reportError } from '../utils/errorRegistry';
+import { registerOverlay } from '../utils/overlayRegistry';
+import { requirePlugin } from '../utils/requireLibrary';
+import { callInstanceAPI, toPixel, toSize } from '../utils/versionAdapter';
+import withContextProp from '../utils/withContextProp';
+
+/**
+ * Fields that need to be deep copied.
+ * AMap LBS library mutates options. Deep copy those options before passing to AMap so that
+ * props won't be mutated.
+ */
+const NEED_DEEP_COPY_FIELDS = ['position'];
+
+/**
+ * An array of two numbers or AMap.Pixel.
+ */
+const pixelPropType = PropTypes.oneOfType([
+  PropTypes.arrayOf(PropTypes.number),
+  PropTypes.object,
+]);
+
+/**
+ * An array of two numbers, width and height or AMap.Size.
+ */
+const sizePropType = PropTypes.oneOfType([
+  PropTypes.arrayOf(PropTypes.number),
+  PropTypes.object,
+]);
+
+/**
+ * ElasticMarker binding.
+ * ElasticMarker has the same options as AMap.ElasticMarker unless highlighted below.
+ * AMap.ElasticMarker plugin is requested on demand if it has not been loaded.
+ * {@link https://lbs.amap.com/api/javascript-api/reference/plugin#AMap.ElasticMarker}
+ * AMap.ElasticMarker has no API for updating styles, elasticMarker is created again once styles
+ * or zoomStyleMapping change.
+ */
+class ElasticMarker extends React.Component {
+  static propTypes = {
+    /**
+     * Closest overlay container, i.e. OverlayGroup, read from context.
+     */
+    overlayContainer: PropTypes.object,
+    /**
+     * self defined prop: Key to select this overlay in AMap fitView.
+     */
+    /* eslint-disable react/no-unused-prop-types */
+    overlayKey: PropTypes.string,
+    /**
+     * An array of two numbers, lng and lat, or AMap.LngLat.
+     */
+    position: PropTypes.oneOfType([
+      PropTypes.arrayOf(PropTypes.number),
+      PropTypes.object,
+    ]).isRequired,
+    /**
+     * Styles to choose from by zoomStyleMapping.
+     */
+    styles: PropTypes.arrayOf(PropTypes.shape({
+      icon: PropTypes.shape({
+        anchor: PropTypes.oneOfType([
+          pixelPropType,
+          /**
+           * i.e. bottom-center
+           */
+          PropTypes.string,
+        ]),
+        fitZoom: PropTypes.number,
+        imageOffset: pixelPropType,
+        imageSize: sizePropType,
+        img: PropTypes.string,
+        maxScale: PropTypes.number,
+        minScale: PropTypes.number,
+        scaleFactor: PropTypes.number,
+        size: sizePropType,
+      }),
+      label: PropTypes.shape({
+        content: PropTypes.string,
+        minZoom: PropTypes.number,
+        offset: pixelPropType,
+        position: PropTypes.string,
+      }),
+    })).isRequired,
+    /**
+     * Show ElasticMarker by default, you can toggle show or hide by changing visible.
+     */
+    visible: PropTypes.bool,
+    /**
+     * Index of style in styles, keyed by zoom level, i.e. { 14: 0, 15: 0, 16: 1 }.
+     */
+    zoomStyleMapping: PropTypes.objectOf(PropTypes.number).isRequired,
+    /**
+     * Event callback.
+     * Signature:
+     * (elasticMarker, ...event) => void
+     * elasticMarker: AMap.ElasticMarker instance.
+     * event: AMap event.
+     */
+    /* eslint-disable react/sort-prop-types,react/no-unused-prop-types */
+    onComplete: PropTypes.func,
+    onClick: PropTypes.func,
+    onDblClick: PropTypes.func,
+    onRightClick: PropTypes.func,
+    onMouseMove: PropTypes.func,
+    onMouseOver: PropTypes.func,
+    onMouseOut: PropTypes.func,
+    onMouseDown: PropTypes.func,
+    onMouseUp: PropTypes.func,
+    onDragStart: PropTypes.func,
+    onDragging: PropTypes.func,
+    onDragEnd: PropTypes.func,
+    onMoving: PropTypes.func,
+    onMoveEnd: PropTypes.func,
+    onMoveAlong: PropTypes.func,
+    onTouchStart: PropTypes.func,
+    onTouchMove: PropTypes.func,
+    onTouchEnd: PropTypes.func,
+    /* eslint-enable */
+  };
+
+  static defaultProps = {
+    visible: true,
+  };
+
+  /**
+   * AMap map instance.
+   */
+  static contextType = AMapContext;
+
+  /**
+   * Parse AMap.ElasticMarker options.
+   * Named properties are event callbacks, other properties are elasticMarker options.
+   */
+  static parseElasticMarkerOptions(props) {
+    const {
+      onComplete,
+      onClick,
+      onDblClick,
+      onRightClick,
+      onMouseMove,
+      onMouseOver,
+      onMouseOut,
+      onMouseDown,
+      onMouseUp,
+      onDragStart,
+      onDragging,
+      onDragEnd,
+      onMoving,
+      onMoveEnd,
+      onMoveAlong,
+      onTouchStart,
+      onTouchMove,
+      onTouchEnd,
+      overlayContainer,
+      overlayKey,
+      ...elasticMarkerOptions
+    } = props;
+
+    const {
+      offset,
+      styles = [],
+    } = elasticMarkerOptions;
+
+    return {
+      ...elasticMarkerOptions,
+      // Will transform an array of two numbers into a Pixel instance
+      offset: toPixel(offset),
+      styles: styles.map(({ icon, label, ...style }) => omitBy({
+        ...style,
+        icon: icon && omitBy({
+          ...icon,
+          // Will transform an array of two numbers into a Pixel instance
+          anchor: typeof icon.anchor === 'string' ? icon.anchor : toPixel(icon.anchor),
+          imageOffset: toPixel(icon.imageOffset),
+          // Will transform an array of two numbers into a Size instance
+          imageSize: toSize(icon.imageSize),
+          size: toSize(icon.size),
+        }, isUndefined),
+        label: label && omitBy({
+          ...label,
+          // Will transform an array of two numbers into a Pixel instance
+          offset: toPixel(label.offset),
+        }, isUndefined),
+      }, isUndefined)),
+    };
+  }
+
+  /**
+   * Define event name mapping relations of react binding ElasticMarker and AMap.ElasticMarker.
+   */
+  constructor(props, context) {
+    super(props);
+
+    const map = context;
+
+    breakIfNotChildOfAMap('ElasticMarker', map);
+  }
+
+  /**
+   * Asynchronously load AMap.ElasticMarker plugin if it has not been loaded.
+   * Initialise AMap.ElasticMarker and bind events.
+   * Fire complete action as soon as elasticMarker has been created.
+   * Loading failures are reported to AMap, which handles them with onError and fallback.
+   */
+  async componentDidMount() {
+    try {
+      await requirePlugin('AMap.ElasticMarker');
+    } catch (error) {
+      if (this.isUnmounted !== true) reportError(this.context, error);
+
+      return;
+    }
+
+    /**
+     * Component may unmount before the plugin has been loaded.
+     */
+    if (this.isUnmounted === true) return;
+
+    const { onComplete } = this.props;
+
+    const map = this.context;
+
+    this.elasticMarkerOptions = ElasticMarker.parseElasticMarkerOptions(this.props);
+
+    this.createElasticMarker(map);
+
+    typeof onComplete === 'function' && onComplete(map, this.elasticMarker);
+  }
+
+  /**
+   * Update this.elasticMarker by calling AMap.ElasticMarker methods.
+   * Create elasticMarker again if styles or zoomStyleMapping change.
+   */
+  shouldComponentUpdate(nextProps) {
+    /**
+     * AMap.ElasticMarker plugin has not been loaded.
+     */
+    if (this.elasticMarker === void 0) return false;
+
+    const nextElasticMarkerOptions = ElasticMarker.parseElasticMarkerOptions(nextProps);
+
+    if (!isEqual(this.elasticMarkerOptions.styles, nextElasticMarkerOptions.styles) ||
+      !isEqual(this.elasticMarkerOptions.zoomStyleMapping,
+        nextElasticMarkerOptions.zoomStyleMapping)) {
+      this.elasticMarkerOptions = nextElasticMarkerOptions;
+
+      this.destroyElasticMarker();
+      this.createElasticMarker(this.context, nextProps);
+
+      return false;
+    }
+
+    const newElasticMarkerOptions = cloneDeep(nextElasticMarkerOptions, NEED_DEEP_COPY_FIELDS);
+
+    this.toggleVisible(this.elasticMarkerOptions.visible, nextElasticMarkerOptions.visible);
+
+    this.updateElasticMarkerWithAPI('setPosition', this.elasticMarkerOptions.position,
+      nextElasticMarkerOptions.position, newElasticMarkerOptions.position);
+
+    this.updateElasticMarkerWithAPI('setOffset', this.elasticMarkerOptions.offset,
+      nextElasticMarkerOptions.offset, newElasticMarkerOptions.offset);
+
+    this.updateElasticMarkerWithAPI('setzIndex', this.elasticMarkerOptions.zIndex,
+      nextElasticMarkerOptions.zIndex, newElasticMarkerOptions.zIndex);
+
+    this.updateElasticMarkerWithAPI('setClickable', this.elasticMarkerOptions.clickable,
+      nextElasticMarkerOptions.clickable, newElasticMarkerOptions.clickable);
+
+    this.updateElasticMarkerWithAPI('setDraggable', this.elasticMarkerOptions.draggable,
+      nextElasticMarkerOptions.draggable, newElasticMarkerOptions.draggable);
+
+    this.updateElasticMarkerWithAPI('setCursor', this.elasticMarkerOptions.cursor,
+      nextElasticMarkerOptions.cursor, newElasticMarkerOptions.cursor);
+
+    this.updateElasticMarkerWithAPI('setTitle', this.elasticMarkerOptions.title,
+      nextElasticMarkerOptions.title, newElasticMarkerOptions.title);
+
+    this.updateElasticMarkerWithAPI('setExtData', this.elasticMarkerOptions.extData,
+      nextElasticMarkerOptions.extData, newElasticMarkerOptions.extData);
+
+    this.elasticMarkerOptions = nextElasticMarkerOptions;
+
+    return false;
+  }
+
+  /**
+   * Remove event listeners.
+   * Destroy elasticMarker instance.
+   */
+  componentWillUnmount() {
+    this.isUnmounted = true;
+
+    /**
+     * ElasticMarker is created after the asynchronous plugin has been loaded.
+     */
+    if (this.elasticMarker !== void 0) this.destroyElasticMarker();
+  }
+
+  /**
+   * Ref handle: AMap.ElasticMarker instance, undefined until the plugin has been loaded.
+   */
+  getInstance() {
+    return this.elasticMarker;
+  }
+
+  /**
+   * Ref handle: Current position, which may differ from props after dragging.
+   */
+  getPosition() {
+    return this.elasticMarker.getPosition();
+  }
+
+  /**
+   * Bind all events on map instance, and save event listeners which will be removed in
+   * componentWillUnmount lifecycle.
+   */
+  bindEvents() {
+    this.AMapEventListeners = [];
+
+    /**
+     * Construct event callbacks.
+     */
+    const eventCallbacks = this.parseEvents();
+
+    bindInstanceEvent(this.elasticMarker, eventCallbacks, this.AMapEventListeners);
+  }
+
+  /**
+   * Create elasticMarker with this.elasticMarkerOptions, bind events, register overlay and hand it
+   * over to the closest OverlayGroup, if there is one.
+   * props are the props elasticMarker is created with, which are next props in
+   * shouldComponentUpdate.
+   */
+  createElasticMarker(map, props = this.props) {
+    this.elasticMarker = this.initElasticMarker(map);
+
+    this.unregisterOverlay = registerOverlay(map, {
+      instance: this.elasticMarker,
+      type: 'ElasticMarker',
+      key: props.overlayKey,
+    });
+
+    props.overlayContainer && props.overlayContainer.addOverlay(this.elasticMarker);
+
+    this.bindEvents();
+  }
+
+  /**
+   * Remove event listeners, unregister overlay and remove elasticMarker from its group and map.
+   */
+  destroyElasticMarker() {
+    const { overlayContainer } = this.props;
+
+    removeInstanceEvent(this.elasticMarker, this.AMapEventListeners);
+
+    this.unregisterOverlay();
+
+    overlayContainer && overlayContainer.removeOverlay(this.elasticMarker);
+
+    this.elasticMarker.setMap(null);
+    this.elasticMarker = void 0;
+  }
+
+  /**
+   * Initialise AMap.ElasticMarker
+   */
+  initElasticMarker(map) {
+    const { visible } = this.elasticMarkerOptions;
+
+    const newElasticMarkerOptions = cloneDeep(this.elasticMarkerOptions, NEED_DEEP_COPY_FIELDS);
+
+    /**
+     * Leave options which are not set, i.e. offset, to AMap defaults.
+     */
+    const elasticMarker = new window.AMap.ElasticMarker(omitBy(newElasticMarkerOptions,
+      isUndefined));
+
+    elasticMarker.setMap(map);
+
+    if (visible === false) elasticMarker.hide();
+
+    return elasticMarker;
+  }
+
+  /**
+   * Return an object of all supported event callbacks.
+   */
+  parseEvents() {
+    return {
+      onClick: createEventCallback('onClick', this.elasticMarker).bind(this),
+      onDblClick: createEventCallback('onDblClick', this.elasticMarker).bind(this),
+      onRightClick: createEventCallback('onRightClick', this.elasticMarker).bind(this),
+      onMouseMove: createEventCallback('onMouseMove', this.elasticMarker).bind(this),
+      onMouseOver: createEventCallback('onMouseOver', this.elasticMarker).bind(this),
+      onMouseOut: createEventCallback('onMouseOut', this.elasticMarker).bind(this),
+      onMouseDown: createEventCallback('onMouseDown', this.elasticMarker).bind(this),
+      onMouseUp: createEventCallback('onMouseUp', this.elasticMarker).bind(this),
+      onDragStart: createEventCallback('onDragStart', this.elasticMarker).bind(this),
+      onDragging: createEventCallback('onDragging', this.elasticMarker).bind(this),
+      onDragEnd: createEventCallback('onDragEnd', this.elasticMarker).bind(this),
+      onMoving: createEventCallback('onMoving', this.elasticMarker).bind(this),
+      onMoveEnd: createEventCallback('onMoveEnd', this.elasticMarker).bind(this),
+      onMoveAlong: createEventCallback('onMoveAlong', this.elasticMarker).bind(this),
+      onTouchStart: createEventCallback('onTouchStart', this.elasticMarker).bind(this),
+      onTouchMove: createEventCallback('onTouchMove', this.elasticMarker).bind(this),
+      onTouchEnd: createEventCallback('onTouchEnd', this.elasticMarker).bind(this),
+    };
+  }
+
+  /**
+   * Hide or show elasticMarker.
+   */
+  toggleVisible(previousProp, nextProp) {
+    if (!isShallowEqual(previousProp, nextProp)) {
+      if (nextProp === true) this.elasticMarker.show();
+      if (nextProp === false) this.elasticMarker.hide();
+    }
+  }
+
+  /**
+   * Update AMap.ElasticMarker instance with named API and given value.
+   * Won't call API if the given value does not change.
+   */
+  updateElasticMarkerWithAPI(apiName, previousProp, nextProp, newProp) {
+    if (!isShallowEqual(previousProp, nextProp)) {
+      callInstanceAPI('ElasticMarker', this.elasticMarker, apiName, newProp);
+    }
+  }
+
+  /**
+   * Render nothing.
+   */
+  render() {
+    return null;
+  }
+}
+
+export default withContextProp(OverlayContainerContext, 'overlayContainer', ElasticMarker);
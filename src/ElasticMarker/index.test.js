@@ -0,0 +1,119 @@
+import React from 'react';
+import ReactDOM from 'react-dom';
+import AMapContext from '../AMapContext';
+import { requirePlugin } from '../utils/requireLibrary';
+import { subscribeErrors } from '../utils/errorRegistry';
+import { getOverlays } from '../utils/overlayRegistry';
+import ElasticMarker from '.';
+
+jest.mock('../utils/requireLibrary');
+
+const flushPromises = () => new Promise(resolve => setTimeout(resolve, 0));
+
+let container;
+let elasticMarkers;
+
+class MockElasticMarker {
+  constructor(options) {
+    this.options = options;
+    this.setMap = jest.fn();
+    this.hide = jest.fn();
+    this.show = jest.fn();
+    this.on = jest.fn();
+    this.off = jest.fn();
+
+    elasticMarkers.push(this);
+  }
+}
+
+beforeEach(() => {
+  elasticMarkers = [];
+  window.AMap = {
+    ElasticMarker: MockElasticMarker,
+    Pixel: class Pixel {},
+    Size: class Size {},
+  };
+  container = document.createElement('div');
+});
+
+afterEach(() => {
+  ReactDOM.unmountComponentAtNode(container);
+  delete window.AMap;
+});
+
+const renderElasticMarker = (map, props) => {
+  ReactDOM.render(
+    <AMapContext.Provider value={map}>
+      <ElasticMarker
+        position={[120, 30]}
+        styles={[{ icon: { img: 'marker.png' } }]}
+        zoomStyleMapping={{ 14: 0 }}
+        {...props}
+      />
+    </AMapContext.Provider>,
+    container,
+  );
+};
+
+test('Report plugin loading failure to AMap', async () => {
+  const map = {};
+  const error = Error('AMap.ElasticMarker is not available.');
+  const listener = jest.fn();
+
+  subscribeErrors(map, listener);
+  requirePlugin.mockImplementation(() => Promise.reject(error));
+
+  renderElasticMarker(map);
+
+  await flushPromises();
+
+  expect(listener).toHaveBeenCalledWith(error);
+  expect(elasticMarkers).toHaveLength(0);
+});
+
+test('Create nothing once unmounted before plugin has been loaded', async () => {
+  const map = {};
+  const listener = jest.fn();
+  let resolvePlugin;
+
+  subscribeErrors(map, listener);
+  requirePlugin.mockImplementation(() => new Promise((resolve) => {
+    resolvePlugin = resolve;
+  }));
+
+  renderElasticMarker(map);
+
+  ReactDOM.unmountComponentAtNode(container);
+
+  resolvePlugin(MockElasticMarker);
+
+  await flushPromises();
+
+  expect(elasticMarkers).toHaveLength(0);
+  expect(listener).not.toHaveBeenCalled();
+});
+
+test('Create elasticMarker again with next props once styles change', async () => {
+  const map = {};
+
+  requirePlugin.mockImplementation(() => Promise.resolve(MockElasticMarker));
+
+  renderElasticMarker(map, { overlayKey: 'first' });
+
+  await flushPromises();
+
+  renderElasticMarker(map, {
+    overlayKey: 'second',
+    styles: [{ icon: { img: 'other.png' } }],
+    visible: false,
+  });
+
+  const [first, second] = elasticMarkers;
+
+  expect(first.setMap).toHaveBeenLastCalledWith(null);
+  expect(second.setMap).toHaveBeenCalledWith(map);
+  expect(second.hide).toHaveBeenCalled();
+  expect(getOverlays(map)).toEqual([
+    { instance: second, type: 'ElasticMarker', key: 'second' },
+  ]);
+});
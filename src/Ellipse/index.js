@@ -0,0 +1,297 @@
+import React from 'react';
+import PropTypes from 'prop-types';
+import AMapContext from '../AMapContext';
+import OverlayContainerContext from '../OverlayContainerContext';
+import breakIfNotChildOfAMap from '../utils/breakIfNotChildOfAMap';
+import cloneDeep from '../utils/cloneDeep';
+import createEventCallback from '../utils/createEventCallback';
+import isShallowEqual from '../utils/isShallowEqual';
+import { bindInstanceEvent, removeInstanceEvent } from '../utils/instanceEventHandler';
+import { registerOverlay } from '../utils/overlayRegistry';
+import { callInstanceAPI, isVersion2 } from '../utils/versionAdapter';
+import withContextProp from '../utils/withContextProp';
+
+/**
+ * Fields that need to be deep copied.
+ * AMap LBS library mutates options. Deep copy those options before passing to AMap so that
+ * props won't be mutated.
+ */
+const NEED_DEEP_COPY_FIELDS = ['center'];
+
+/**
+ * Ellipse binding.
+ * Ellipse has the same options as AMap.Ellipse unless highlighted below.
+ * {@link https://lbs.amap.com/api/javascript-api/reference/overlay#ellipse}
+ */
+class Ellipse extends React.Component {
+  static propTypes = {
+    /**
+     * An array of two numbers, lng and lat, or AMap.LngLat.
+     */
+    /* eslint-disable react/no-unused-prop-types */
+    center: PropTypes.oneOfType([
+      PropTypes.arrayOf(PropTypes.number),
+      PropTypes.object,
+    ]).isRequired,
+    /**
+     * Closest overlay container, i.e. OverlayGroup, read from context.
+     */
+    overlayContainer: PropTypes.object,
+    /**
+     * self defined prop: Key to select this overlay in AMap fitView.
+     */
+    overlayKey: PropTypes.string,
+    /**
+     * Horizontal and vertical radius in meters, i.e. [rx, ry].
+     */
+    radius: PropTypes.arrayOf(PropTypes.number).isRequired,
+    /* eslint-enable */
+    /**
+     * Show Ellipse by default, you can toggle show or hide by changing visible.
+     */
+    visible: PropTypes.bool,
+    /**
+     * Event callback.
+     * Signature:
+     * (ellipse, ...event) => void
+     * ellipse: AMap.Ellipse instance.
+     * event: AMap event.
+     */
+    /* eslint-disable react/sort-prop-types,react/no-unused-prop-types */
+    onComplete: PropTypes.func,
+    onClick: PropTypes.func,
+    onDblClick: PropTypes.func,
+    onRightClick: PropTypes.func,
+    onHide: PropTypes.func,
+    onShow: PropTypes.func,
+    onMouseDown: PropTypes.func,
+    onMouseUp: PropTypes.func,
+    onMouseOver: PropTypes.func,
+    onMouseOut: PropTypes.func,
+    onChange: PropTypes.func,
+    onTouchStart: PropTypes.func,
+    onTouchMove: PropTypes.func,
+    onTouchEnd: PropTypes.func,
+    /* eslint-enable */
+  };
+
+  static defaultProps = {
+    visible: true,
+  };
+
+  /**
+   * AMap map instance.
+   */
+  static contextType = AMapContext;
+
+  /**
+   * Parse AMap.Ellipse options.
+   * Named properties are event callbacks, other properties are ellipse options.
+   */
+  static parseEllipseOptions(props) {
+    const {
+      onComplete,
+      onClick,
+      onDblClick,
+      onRightClick,
+      onHide,
+      onShow,
+      onMouseDown,
+      onMouseUp,
+      onMouseOver,
+      onMouseOut,
+      onChange,
+      onTouchStart,
+      onTouchMove,
+      onTouchEnd,
+      overlayContainer,
+      overlayKey,
+      ...ellipseOptions
+    } = props;
+
+    return ellipseOptions;
+  }
+
+  /**
+   * Define event name mapping relations of react binding Ellipse and AMap.Ellipse.
+   * Initialise AMap.Ellipse and bind events.
+   * Fire complete action as soon as ellipse has been created.
+   */
+  constructor(props, context) {
+    super(props);
+
+    const { onComplete } = this.props;
+
+    const map = context;
+
+    breakIfNotChildOfAMap('Ellipse', map);
+
+    this.ellipseOptions = Ellipse.parseEllipseOptions(this.props);
+
+    this.ellipse = this.initEllipse(map);
+
+    this.unregisterOverlay = registerOverlay(map, {
+      instance: this.ellipse,
+      type: 'Ellipse',
+      key: this.props.overlayKey,
+    });
+
+    this.bindEvents();
+
+    typeof onComplete === 'function' && onComplete(map, this.ellipse);
+  }
+
+  /**
+   * Hand ellipse over to the closest OverlayGroup, if there is one.
+   */
+  componentDidMount() {
+    const { overlayContainer } = this.props;
+
+    overlayContainer && overlayContainer.addOverlay(this.ellipse);
+  }
+
+  /**
+   * Update this.ellipse by calling AMap.Ellipse methods.
+   */
+  shouldComponentUpdate(nextProps) {
+    const nextEllipseOptions = Ellipse.parseEllipseOptions(nextProps);
+
+    const newEllipseOptions = cloneDeep(nextEllipseOptions, NEED_DEEP_COPY_FIELDS);
+
+    this.toggleVisible(this.ellipseOptions.visible, nextEllipseOptions.visible);
+    /**
+     * Instead of calling one API for a specific option change, AMap.Ellipse exposes
+     * a master method: setOptions, which will update every options with a single function call.
+     */
+    this.updateEllipseWithAPI('setOptions', this.ellipseOptions, nextEllipseOptions,
+      newEllipseOptions);
+
+    this.ellipseOptions = nextEllipseOptions;
+
+    return false;
+  }
+
+  /**
+   * Remove event listeners.
+   * Destroy ellipse instance.
+   */
+  componentWillUnmount() {
+    removeInstanceEvent(this.ellipse, this.AMapEventListeners);
+
+    this.unregisterOverlay();
+
+    const { overlayContainer } = this.props;
+
+    overlayContainer && overlayContainer.removeOverlay(this.ellipse);
+
+    this.ellipse.setMap(null);
+    this.ellipse = null;
+  }
+
+  /**
+   * Ref handle: AMap.Ellipse instance.
+   */
+  getInstance() {
+    return this.ellipse;
+  }
+
+  /**
+   * Ref handle: Bounds of ellipse.
+   */
+  getBounds() {
+    return this.ellipse.getBounds();
+  }
+
+  /**
+   * Ref handle: Whether ellipse contains point, an array of lng and lat or AMap.LngLat.
+   */
+  contains(point) {
+    return this.ellipse.contains(point);
+  }
+
+  /**
+   * Bind all events on map instance, and save event listeners which will be removed in
+   * componentWillUnmount lifecycle.
+   */
+  bindEvents() {
+    this.AMapEventListeners = [];
+
+    /**
+     * Construct event callbacks.
+     */
+    const eventCallbacks = this.parseEvents();
+
+    bindInstanceEvent(this.ellipse, eventCallbacks, this.AMapEventListeners);
+  }
+
+  /**
+   * Initialise AMap.Ellipse.
+   */
+  initEllipse(map) {
+    const { visible } = this.props;
+
+    const newEllipseOptions = cloneDeep(this.ellipseOptions, NEED_DEEP_COPY_FIELDS);
+
+    const ellipse = new window.AMap.Ellipse(newEllipseOptions);
+
+    ellipse.setMap(map);
+
+    if (visible === false) ellipse.hide();
+
+    return ellipse;
+  }
+
+  /**
+   * Return an object of all supported event callbacks.
+   */
+  parseEvents() {
+    return {
+      onClick: createEventCallback('onClick', this.ellipse).bind(this),
+      onDblClick: createEventCallback('onDblClick', this.ellipse).bind(this),
+      onRightClick: createEventCallback('onRightClick', this.ellipse).bind(this),
+      onHide: createEventCallback('onHide', this.ellipse).bind(this),
+      onShow: createEventCallback('onShow', this.ellipse).bind(this),
+      onMouseOver: createEventCallback('onMouseOver', this.ellipse).bind(this),
+      onMouseOut: createEventCallback('onMouseOut', this.ellipse).bind(this),
+      onMouseDown: createEventCallback('onMouseDown', this.ellipse).bind(this),
+      onMouseUp: createEventCallback('onMouseUp', this.ellipse).bind(this),
+      onChange: createEventCallback('onChange', this.ellipse).bind(this),
+      onTouchStart: createEventCallback('onTouchStart', this.ellipse).bind(this),
+      onTouchMove: createEventCallback('onTouchMove', this.ellipse).bind(this),
+      onTouchEnd: createEventCallback('onTouchEnd', this.ellipse).bind(this),
+    };
+  }
+
+  /**
+   * Hide or show ellipse.
+   */
+  toggleVisible(previousProp, nextProp) {
+    if (!isShallowEqual(previousProp, nextProp)) {
+      if (nextProp === true) this.ellipse.show();
+      if (nextProp === false) this.ellipse.hide();
+    }
+  }
+
+  /**
+   * Update AMap.Ellipse instance with named API.
+   * Won't call API if prop does not change.
+   */
+  updateEllipseWithAPI(apiName, previousProp, nextProp, newProp) {
+    if (!isShallowEqual(previousProp, nextProp)) {
+      callInstanceAPI('Ellipse', this.ellipse, apiName, newProp);
+      // version 2.0 radius is a special property, it has to be handled differently.
+      if (isVersion2() && !isShallowEqual(previousProp.radius, nextProp.radius)) {
+        callInstanceAPI('Ellipse', this.ellipse, 'setRadius', newProp.radius);
+      }
+    }
+  }
+
+  /**
+   * Render nothing.
+   */
+  render() {
+    return null;
+  }
+}
+
+export default withContextProp(OverlayContainerContext, 'overlayContainer', Ellipse);
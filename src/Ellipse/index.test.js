@@ -0,0 +1,98 @@
+import React from 'react';
+import ReactDOM from 'react-dom';
+import AMapContext from '../AMapContext';
+import Ellipse from '.';
+
+let container;
+let ellipses;
+
+const center = [120, 30];
+
+class MockEllipse {
+  constructor(options) {
+    this.options = options;
+    this.setMap = jest.fn();
+    this.setOptions = jest.fn();
+    this.setRadius = jest.fn();
+    this.on = jest.fn();
+    this.off = jest.fn();
+
+    ellipses.push(this);
+  }
+}
+
+beforeEach(() => {
+  ellipses = [];
+  window.AMap = {
+    Ellipse: MockEllipse,
+  };
+  container = document.createElement('div');
+});
+
+afterEach(() => {
+  ReactDOM.unmountComponentAtNode(container);
+  delete window.AMap;
+});
+
+const renderEllipse = (map, props) => {
+  ReactDOM.render(
+    <AMapContext.Provider value={map}>
+      <Ellipse center={center} {...props} />
+    </AMapContext.Provider>,
+    container,
+  );
+};
+
+test('Create AMap.Ellipse', () => {
+  const map = {};
+
+  renderEllipse(map, { radius: [1000, 500] });
+
+  const [ellipse] = ellipses;
+
+  expect(ellipse.options).toEqual({ center: [120, 30], radius: [1000, 500], visible: true });
+  expect(ellipse.setMap).toHaveBeenCalledWith(map);
+});
+
+test('Update radius with setOptions on JS API 1.4', () => {
+  const map = {};
+
+  renderEllipse(map, { radius: [1000, 500] });
+  renderEllipse(map, { radius: [2000, 1000] });
+
+  const [ellipse] = ellipses;
+
+  expect(ellipse.setOptions).toHaveBeenCalledTimes(1);
+  expect(ellipse.setOptions.mock.calls[0][0].radius).toEqual([2000, 1000]);
+  expect(ellipse.setRadius).not.toHaveBeenCalled();
+});
+
+test('Update radius with setRadius as well on JS API 2.0', () => {
+  const map = {};
+
+  window.AMap.version = '2.0';
+
+  renderEllipse(map, { radius: [1000, 500] });
+  renderEllipse(map, { radius: [2000, 1000] });
+
+  const [ellipse] = ellipses;
+
+  expect(ellipse.setOptions).toHaveBeenCalledTimes(1);
+  expect(ellipse.setRadius).toHaveBeenCalledTimes(1);
+  expect(ellipse.setRadius).toHaveBeenCalledWith([2000, 1000]);
+});
+
+test('Do not update AMap.Ellipse if radius does not change', () => {
+  const map = {};
+  const radius = [1000, 500];
+
+  window.AMap.version = '2.0';
+
+  renderEllipse(map, { radius });
+  renderEllipse(map, { radius });
+
+  const [ellipse] = ellipses;
+
+  expect(ellipse.setOptions).not.toHaveBeenCalled();
+  expect(ellipse.setRadius).not.toHaveBeenCalled();
+});
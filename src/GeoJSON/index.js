@@ -0,0 +1,191 @@
+import React from 'react';
+import PropTypes from 'prop-types';
+import isEqual from 'lodash/isEqual';
+import AMapContext from '../AMapContext';
+import Marker from '../Marker';
+import Polygon from '../Polygon';
+import Polyline from '../Polyline';
+import breakIfNotChildOfAMap from '../utils/breakIfNotChildOfAMap';
+import { toComponentGeometries, toFeatures } from '../utils/geoJSON';
+
+/**
+ * Binding components of geometry types.
+ */
+const COMPONENTS = {
+  Marker,
+  Polygon,
+  Polyline,
+};
+
+/**
+ * Event callbacks forwarded from overlays with their originating feature.
+ */
+const EVENT_NAMES = [
+  'onClick',
+  'onDblClick',
+  'onRightClick',
+  'onMouseOver',
+  'onMouseOut',
+  'onMouseDown',
+  'onMouseUp',
+  'onTouchStart',
+  'onTouchMove',
+  'onTouchEnd',
+];
+
+/**
+ * GeoJSON binding.
+ * Features are rendered as Marker, Polyline and Polygon components: Point and MultiPoint as
+ * Marker, LineString and MultiLineString as Polyline, Polygon and MultiPolygon as Polygon with
+ * holes. Multi geometries render one component of each part.
+ * Components are keyed by feature.id, so that changing data only updates features which have
+ * changed. Features without id are keyed by index.
+ */
+class GeoJSON extends React.Component {
+  static propTypes = {
+    /**
+     * self defined prop: GeoJSON FeatureCollection, Feature or geometry object.
+     */
+    data: PropTypes.object.isRequired,
+    /**
+     * self defined prop: Render points instead of the default Marker.
+     * Signature:
+     * (feature, position) => element
+     * feature: GeoJSON feature of the point.
+     * position: [lng, lat] of the point, one of MultiPoint points.
+     */
+    pointToLayer: PropTypes.func,
+    /**
+     * self defined prop: Props of the component rendering a feature, i.e. strokeColor of Polygon.
+     * Signature:
+     * (feature) => props
+     * Components take feature.properties as extData unless style returns extData.
+     */
+    style: PropTypes.func,
+    /**
+     * Event callback bound on every overlay of the features.
+     * Signature:
+     * (feature, overlay, ...event) => void
+     * feature: GeoJSON feature of the overlay.
+     * overlay: AMap overlay instance which fires the event.
+     * event: AMap event.
+     */
+    /* eslint-disable react/sort-prop-types,react/no-unused-prop-types */
+    onClick: PropTypes.func,
+    onDblClick: PropTypes.func,
+    onRightClick: PropTypes.func,
+    onMouseOver: PropTypes.func,
+    onMouseOut: PropTypes.func,
+    onMouseDown: PropTypes.func,
+    onMouseUp: PropTypes.func,
+    onTouchStart: PropTypes.func,
+    onTouchMove: PropTypes.func,
+    onTouchEnd: PropTypes.func,
+    /* eslint-enable */
+  };
+
+  /**
+   * AMap map instance.
+   */
+  static contextType = AMapContext;
+
+  /**
+   * Check whether GeoJSON is a child of AMap.
+   */
+  constructor(props, context) {
+    super(props);
+
+    const map = context;
+
+    breakIfNotChildOfAMap('GeoJSON', map);
+
+    /**
+     * Geometries of features rendered last time, keyed by feature key.
+     * Geometries which have not changed keep their positions and paths so that components do not
+     * call AMap with equal values.
+     */
+    this.geometries = new Map();
+  }
+
+  /**
+   * Return an object of event callbacks passed to components of a feature.
+   */
+  parseEvents(feature) {
+    return EVENT_NAMES.reduce((eventCallbacks, eventName) => ({
+      ...eventCallbacks,
+      [eventName]: (overlay, ...event) => {
+        const callback = this.props[eventName];
+
+        typeof callback === 'function' && callback(feature, overlay, ...event);
+      },
+    }), {});
+  }
+
+  /**
+   * Render component of a geometry.
+   * Points are rendered by pointToLayer if it is set.
+   */
+  renderGeometry(feature, componentGeometry, key) {
+    const { pointToLayer, style } = this.props;
+
+    const { type, ...geometryProps } = componentGeometry;
+
+    const eventCallbacks = this.parseEvents(feature);
+
+    if (type === 'Marker' && typeof pointToLayer === 'function') {
+      const element = pointToLayer(feature, geometryProps.position);
+
+      if (!React.isValidElement(element)) return null;
+
+      return React.cloneElement(element, { ...eventCallbacks, ...element.props, key });
+    }
+
+    const Component = COMPONENTS[type];
+
+    return (
+      <Component
+        key={key}
+        extData={feature.properties}
+        {...(typeof style === 'function' ? style(feature) : {})}
+        {...eventCallbacks}
+        {...geometryProps}
+      />
+    );
+  }
+
+  /**
+   * Render components of all features.
+   */
+  render() {
+    const { data } = this.props;
+
+    const geometries = new Map();
+
+    const elements = toFeatures(data).map((feature, index) => {
+      const featureKey = feature.id !== void 0 ? `id-${feature.id}` : `index-${index}`;
+
+      const previous = this.geometries.get(featureKey);
+
+      const componentGeometries =
+        previous !== void 0 && isEqual(previous.geometry, feature.geometry)
+          ? previous.componentGeometries
+          : toComponentGeometries(feature.geometry);
+
+      geometries.set(featureKey, { geometry: feature.geometry, componentGeometries });
+
+      return componentGeometries.map((componentGeometry, part) => {
+        return this.renderGeometry(feature, componentGeometry, `${featureKey}-${part}`);
+      });
+    });
+
+    this.geometries = geometries;
+
+    /**
+     * Flatten components of all features into one list, keys of nested lists only apply within
+     * each list, and features after a removed one would be created again.
+     */
+    return [].concat(...elements);
+  }
+}
+
+export default GeoJSON;
@@ -0,0 +1,98 @@
+import React from 'react';
+import ReactDOM from 'react-dom';
+import AMapContext from '../AMapContext';
+import GeoJSON from '.';
+
+let container;
+let overlays;
+
+class MockOverlay {
+  constructor(options) {
+    this.options = options;
+    [
+      'setMap', 'setOptions', 'setPath', 'setPosition', 'setExtData', 'setOffset', 'setLabel',
+      'setIcon', 'on', 'off',
+    ].forEach((name) => {
+      this[name] = jest.fn();
+    });
+
+    overlays.push(this);
+  }
+}
+
+const roadProperties = { name: 'road' };
+
+const createData = pointCoordinates => ({
+  type: 'FeatureCollection',
+  features: [
+    {
+      type: 'Feature',
+      id: 'store',
+      properties: { name: 'store' },
+      geometry: { type: 'Point', coordinates: pointCoordinates },
+    },
+    {
+      type: 'Feature',
+      id: 'road',
+      properties: roadProperties,
+      geometry: { type: 'LineString', coordinates: [[120, 30], [121, 31]] },
+    },
+  ],
+});
+
+beforeEach(() => {
+  overlays = [];
+  window.AMap = {
+    Marker: class MockMarker extends MockOverlay {},
+    Pixel: class Pixel {},
+    Polyline: class MockPolyline extends MockOverlay {},
+  };
+  container = document.createElement('div');
+});
+
+afterEach(() => {
+  ReactDOM.unmountComponentAtNode(container);
+  delete window.AMap;
+});
+
+const renderGeoJSON = (map, data) => {
+  ReactDOM.render(
+    <AMapContext.Provider value={map}>
+      <GeoJSON data={data} />
+    </AMapContext.Provider>,
+    container,
+  );
+};
+
+test('Update only features which have changed', () => {
+  const map = {};
+
+  renderGeoJSON(map, createData([120, 30]));
+
+  const [marker, polyline] = overlays;
+
+  expect(marker).toBeInstanceOf(window.AMap.Marker);
+  expect(polyline).toBeInstanceOf(window.AMap.Polyline);
+  expect(polyline.options.path).toEqual([[120, 30], [121, 31]]);
+
+  renderGeoJSON(map, createData([122, 32]));
+
+  expect(overlays).toHaveLength(2);
+  expect(marker.setPosition).toHaveBeenCalledWith([122, 32]);
+  expect(polyline.setPath).not.toHaveBeenCalled();
+  expect(polyline.setOptions).not.toHaveBeenCalled();
+});
+
+test('Remove components of features which have been removed', () => {
+  const map = {};
+  const data = createData([120, 30]);
+
+  renderGeoJSON(map, data);
+
+  const [marker, polyline] = overlays;
+
+  renderGeoJSON(map, { ...data, features: data.features.slice(1) });
+
+  expect(marker.setMap).toHaveBeenLastCalledWith(null);
+  expect(polyline.setMap).not.toHaveBeenCalledWith(null);
+});
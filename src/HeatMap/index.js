@@ -0,0 +1,247 @@
+import React from 'react';
+import PropTypes from 'prop-types';
+import AMapContext from '../AMapContext';
+import breakIfNotChildOfAMap from '../utils/breakIfNotChildOfAMap';
+import cloneDeep from '../utils/cloneDeep';
+import isShallowEqual from '../utils/isShallowEqual';
+import { reportError } from '../utils/errorRegistry';
+import { requirePlugin } from '../utils/requireLibrary';
+import { callInstanceAPI, isVersion2 } from '../utils/versionAdapter';
+
+/**
+ * HeatMap binding.
+ * HeatMap has the same options as AMap.Heatmap unless highlighted below.
+ * AMap.Heatmap plugin, AMap.HeatMap on JS API 2.x, is requested on demand if it has not been
+ * loaded.
+ * {@link https://lbs.amap.com/api/javascript-api/reference/layer#heatmap}
+ */
+class HeatMap extends React.Component {
+  static propTypes = {
+    /**
+     * self defined prop: Points of heatMap.
+     */
+    /* eslint-disable react/no-unused-prop-types */
+    data: PropTypes.arrayOf(PropTypes.shape({
+      count: PropTypes.number,
+      lat: PropTypes.number.isRequired,
+      lng: PropTypes.number.isRequired,
+    })).isRequired,
+    /**
+     * Colors keyed by stops between 0 and 1, i.e. { 0.5: 'blue', 1: 'red' }.
+     */
+    gradient: PropTypes.objectOf(PropTypes.string),
+    /**
+     * self defined prop: Count of the hottest point, the largest count in data by default.
+     */
+    max: PropTypes.number,
+    /**
+     * Minimum and maximum opacity, i.e. [0, 0.8].
+     */
+    opacity: PropTypes.arrayOf(PropTypes.number),
+    /**
+     * Radius of points in pixels.
+     */
+    radius: PropTypes.number,
+    /**
+     * Shows HeatMap by default, you can toggle show or hide by setting visible.
+     */
+    visible: PropTypes.bool,
+    /**
+     * Minimum and maximum zoom level to show heatMap, i.e. [3, 18].
+     */
+    zooms: PropTypes.arrayOf(PropTypes.number),
+    /**
+     * Event callback.
+     * Signature:
+     * (map, heatMap) => void
+     * map: AMap.Map instance.
+     * heatMap: AMap.Heatmap instance.
+     */
+    /* eslint-disable react/sort-prop-types,react/no-unused-prop-types */
+    onComplete: PropTypes.func,
+    /* eslint-enable */
+  };
+
+  static defaultProps = {
+    visible: true,
+  };
+
+  /**
+   * AMap map instance.
+   */
+  static contextType = AMapContext;
+
+  /**
+   * Parse AMap.Heatmap options.
+   * Named properties are event callbacks, data and max are dataSet, other properties are heatMap
+   * options.
+   */
+  static parseHeatMapOptions(props) {
+    const {
+      onComplete,
+      data,
+      max,
+      visible,
+      ...heatMapOptions
+    } = props;
+
+    return heatMapOptions;
+  }
+
+  /**
+   * Parse dataSet passed to setDataSet.
+   */
+  static parseDataSet(props) {
+    const {
+      data,
+      max,
+    } = props;
+
+    return {
+      data,
+      max: max !== void 0
+        ? max
+        : data.reduce((result, { count = 1 }) => Math.max(result, count), 0),
+    };
+  }
+
+  /**
+   * Check whether HeatMap is a child of AMap.
+   */
+  constructor(props, context) {
+    super(props);
+
+    const map = context;
+
+    breakIfNotChildOfAMap('HeatMap', map);
+  }
+
+  /**
+   * Asynchronously load AMap.Heatmap plugin if it has not been loaded.
+   * Initialise AMap.Heatmap and set its dataSet.
+   * Fire complete action as soon as heatMap has been created.
+   * Loading failures are reported to AMap, which handles them with onError and fallback.
+   */
+  async componentDidMount() {
+    let HeatMapClass;
+
+    try {
+      HeatMapClass = await requirePlugin(isVersion2() ? 'AMap.HeatMap' : 'AMap.Heatmap');
+    } catch (error) {
+      if (this.isUnmounted !== true) reportError(this.context, error);
+
+      return;
+    }
+
+    /**
+     * Component may unmount before the plugin has been loaded.
+     */
+    if (this.isUnmounted === true) return;
+
+    const { onComplete } = this.props;
+
+    const map = this.context;
+
+    this.heatMapOptions = HeatMap.parseHeatMapOptions(this.props);
+    this.dataSet = HeatMap.parseDataSet(this.props);
+
+    this.heatMap = this.initHeatMap(map, HeatMapClass);
+
+    typeof onComplete === 'function' && onComplete(map, this.heatMap);
+  }
+
+  /**
+   * Update this.heatMap by calling AMap.Heatmap methods.
+   */
+  shouldComponentUpdate(nextProps) {
+    /**
+     * AMap.Heatmap plugin has not been loaded.
+     */
+    if (this.heatMap === void 0) return false;
+
+    const nextHeatMapOptions = HeatMap.parseHeatMapOptions(nextProps);
+    const nextDataSet = HeatMap.parseDataSet(nextProps);
+
+    this.toggleVisible(this.props.visible, nextProps.visible);
+
+    /**
+     * Instead of calling one API for a specific option change, AMap.Heatmap exposes
+     * a master method: setOptions, which will update every options with a single function call.
+     */
+    this.updateHeatMapWithAPI('setOptions', this.heatMapOptions, nextHeatMapOptions,
+      cloneDeep(nextHeatMapOptions));
+
+    this.updateHeatMapWithAPI('setDataSet', this.dataSet, nextDataSet, cloneDeep(nextDataSet));
+
+    this.heatMapOptions = nextHeatMapOptions;
+    this.dataSet = nextDataSet;
+
+    return false;
+  }
+
+  /**
+   * Destroy heatMap instance.
+   */
+  componentWillUnmount() {
+    this.isUnmounted = true;
+
+    /**
+     * HeatMap is created after the asynchronous plugin has been loaded.
+     */
+    if (this.heatMap !== void 0) {
+      this.heatMap.setMap(null);
+      this.heatMap = null;
+    }
+  }
+
+  /**
+   * Ref handle: AMap.Heatmap instance, undefined until the plugin has been loaded.
+   */
+  getInstance() {
+    return this.heatMap;
+  }
+
+  /**
+   * Initialise AMap.Heatmap.
+   */
+  initHeatMap(map, HeatMapClass) {
+    const { visible } = this.props;
+
+    const heatMap = new HeatMapClass(map, cloneDeep(this.heatMapOptions));
+
+    heatMap.setDataSet(cloneDeep(this.dataSet));
+
+    if (visible === false) heatMap.hide();
+
+    return heatMap;
+  }
+
+  /**
+   * Hide or show heatMap.
+   */
+  toggleVisible(previousProp, nextProp) {
+    if (!isShallowEqual(previousProp, nextProp)) {
+      if (nextProp === true) this.heatMap.show();
+      if (nextProp === false) this.heatMap.hide();
+    }
+  }
+
+  /**
+   * Update AMap.Heatmap instance with named API and given value.
+   * Won't call API if the given value does not change.
+   */
+  updateHeatMapWithAPI(apiName, previousProp, nextProp, newProp) {
+    if (!isShallowEqual(previousProp, nextProp)) {
+      callInstanceAPI('HeatMap', this.heatMap, apiName, newProp);
+    }
+  }
+
+  /**
+   * Render nothing.
+   */
+  render() {
+    return null;
+  }
+}
+
+export default HeatMap;
@@ -0,0 +1,98 @@
+import React from 'react';
+import ReactDOM from 'react-dom';
+import AMapContext from '../AMapContext';
+import { requirePlugin } from '../utils/requireLibrary';
+import { subscribeErrors } from '../utils/errorRegistry';
+import HeatMap from '.';
+
+jest.mock('../utils/requireLibrary');
+
+const flushPromises = () => new Promise(resolve => setTimeout(resolve, 0));
+
+const data = [{ lng: 120, lat: 30, count: 10 }];
+
+let container;
+let heatMaps;
+
+class MockHeatMap {
+  constructor(map, options) {
+    this.map = map;
+    this.options = options;
+    this.setDataSet = jest.fn();
+    this.setMap = jest.fn();
+
+    heatMaps.push(this);
+  }
+}
+
+beforeEach(() => {
+  heatMaps = [];
+  window.AMap = {};
+  container = document.createElement('div');
+  requirePlugin.mockReset();
+});
+
+afterEach(() => {
+  ReactDOM.unmountComponentAtNode(container);
+  delete window.AMap;
+});
+
+const renderHeatMap = (map) => {
+  ReactDOM.render(
+    <AMapContext.Provider value={map}>
+      <HeatMap data={data} max={100} />
+    </AMapContext.Provider>,
+    container,
+  );
+};
+
+test('Request plugin of the loaded JS API version', async () => {
+  const map = {};
+
+  window.AMap.version = '2.0';
+  requirePlugin.mockImplementation(() => Promise.resolve(MockHeatMap));
+
+  renderHeatMap(map);
+
+  await flushPromises();
+
+  expect(requirePlugin).toHaveBeenCalledWith('AMap.HeatMap');
+  expect(heatMaps[0].map).toBe(map);
+  expect(heatMaps[0].setDataSet).toHaveBeenCalledWith({ data, max: 100 });
+});
+
+test('Report plugin loading failure to AMap', async () => {
+  const map = {};
+  const error = Error('AMap.Heatmap is not available.');
+  const listener = jest.fn();
+
+  subscribeErrors(map, listener);
+  requirePlugin.mockImplementation(() => Promise.reject(error));
+
+  renderHeatMap(map);
+
+  await flushPromises();
+
+  expect(requirePlugin).toHaveBeenCalledWith('AMap.Heatmap');
+  expect(listener).toHaveBeenCalledWith(error);
+  expect(heatMaps).toHaveLength(0);
+});
+
+test('Create nothing once unmounted before plugin has been loaded', async () => {
+  const map = {};
+  let resolvePlugin;
+
+  requirePlugin.mockImplementation(() => new Promise((resolve) => {
+    resolvePlugin = resolve;
+  }));
+
+  renderHeatMap(map);
+
+  ReactDOM.unmountComponentAtNode(container);
+
+  resolvePlugin(MockHeatMap);
+
+  await flushPromises();
+
+  expect(heatMaps).toHaveLength(0);
+});
@@ -0,0 +1,209 @@
+import React from 'react';
+import PropTypes from 'prop-types';
+import AMapContext from '../AMapContext';
+import breakIfNotChildOfAMap from '../utils/breakIfNotChildOfAMap';
+import { toBounds } from '../utils/coordinates';
+import createEventCallback from '../utils/createEventCallback';
+import isShallowEqual from '../utils/isShallowEqual';
+import { bindInstanceEvent, removeInstanceEvent } from '../utils/instanceEventHandler';
+import { callInstanceAPI } from '../utils/versionAdapter';
+
+/**
+ * ImageLayer binding.
+ * ImageLayer has the same options as AMap.ImageLayer unless highlighted below.
+ * {@link https://lbs.amap.com/api/javascript-api/reference/layer#imagelayer}
+ */
+class ImageLayer extends React.Component {
+  static propTypes = {
+    /**
+     * South west and north east lng lat position of image, i.e. [[southWest], [northEast]], or
+     * AMap.Bounds instance.
+     */
+    /* eslint-disable react/no-unused-prop-types */
+    bounds: PropTypes.oneOfType([
+      PropTypes.arrayOf(PropTypes.arrayOf(PropTypes.number)),
+      PropTypes.object,
+    ]).isRequired,
+    /**
+     * Image url.
+     */
+    url: PropTypes.string.isRequired,
+    /**
+     * Shows ImageLayer by default, you can toggle show or hide by setting visible.
+     */
+    visible: PropTypes.bool,
+    /**
+     * Event callback.
+     * Signature:
+     * (imageLayer, ...event) => void
+     * imageLayer: AMap.ImageLayer instance.
+     * event: AMap event.
+     */
+    /* eslint-disable react/sort-prop-types,react/no-unused-prop-types */
+    onComplete: PropTypes.func,
+    /* eslint-enable */
+  };
+
+  static defaultProps = {
+    visible: true,
+  };
+
+  /**
+   * AMap map instance.
+   */
+  static contextType = AMapContext;
+
+  /**
+   * Parse AMap.ImageLayer options.
+   * Named properties are event callbacks, other properties are imageLayer options.
+   * Bounds is kept as it is so that unchanged bounds props compare equal, it is transformed
+   * into AMap.Bounds right before calling AMap.
+   */
+  static parseImageLayerOptions(props) {
+    const {
+      onComplete,
+      ...imageLayerOptions
+    } = props;
+
+    return imageLayerOptions;
+  }
+
+  /**
+   * Define event name mapping relations of react binding ImageLayer and AMap.ImageLayer.
+   * Initialise AMap.ImageLayer and bind events.
+   */
+  constructor(props, context) {
+    super(props);
+
+    const map = context;
+
+    breakIfNotChildOfAMap('ImageLayer', map);
+
+    this.imageLayerOptions = ImageLayer.parseImageLayerOptions(this.props);
+
+    this.imageLayer = this.initImageLayer(map);
+
+    this.bindEvents();
+  }
+
+  /**
+   * Update this.imageLayer by calling AMap.ImageLayer methods.
+   */
+  shouldComponentUpdate(nextProps) {
+    const nextImageLayerOptions = ImageLayer.parseImageLayerOptions(nextProps);
+
+    this.toggleVisible(this.imageLayerOptions.visible, nextImageLayerOptions.visible);
+
+    this.updateImageLayerWithAPI('setImageUrl', this.imageLayerOptions.url,
+      nextImageLayerOptions.url);
+
+    /**
+     * Comparing props.bounds instead of AMap.Bounds because AMap.Bounds is newly created everytime
+     * even though props.bounds does not change.
+     */
+    this.updateImageLayerWithAPI('setBounds', this.imageLayerOptions.bounds,
+      nextImageLayerOptions.bounds, toBounds(nextImageLayerOptions.bounds));
+
+    this.updateImageLayerWithAPI('setOpacity', this.imageLayerOptions.opacity,
+      nextImageLayerOptions.opacity);
+
+    this.updateImageLayerWithAPI('setzIndex', this.imageLayerOptions.zIndex,
+      nextImageLayerOptions.zIndex);
+
+    this.updateImageLayerWithAPI('setZooms', this.imageLayerOptions.zooms,
+      nextImageLayerOptions.zooms);
+
+    this.imageLayerOptions = nextImageLayerOptions;
+
+    return false;
+  }
+
+  /**
+   * Remove event listeners.
+   * Destroy imageLayer instance.
+   */
+  componentWillUnmount() {
+    removeInstanceEvent(this.imageLayer, this.AMapEventListeners);
+
+    this.imageLayer.setMap(null);
+    this.imageLayer = null;
+  }
+
+  /**
+   * Ref handle: AMap.ImageLayer instance.
+   */
+  getInstance() {
+    return this.imageLayer;
+  }
+
+  /**
+   * Bind all events on map instance, and save event listeners which will be removed in
+   * componentWillUnmount lifecycle.
+   */
+  bindEvents() {
+    this.AMapEventListeners = [];
+
+    /**
+     * Construct event callbacks.
+     */
+    const eventCallbacks = this.parseEvents();
+
+    bindInstanceEvent(this.imageLayer, eventCallbacks, this.AMapEventListeners);
+  }
+
+  /**
+   * Initialise imageLayer.
+   */
+  initImageLayer(map) {
+    const { visible } = this.props;
+
+    const imageLayer = new window.AMap.ImageLayer({
+      ...this.imageLayerOptions,
+      bounds: toBounds(this.imageLayerOptions.bounds),
+    });
+
+    imageLayer.setMap(map);
+
+    if (visible === false) imageLayer.hide();
+
+    return imageLayer;
+  }
+
+  /**
+   * Return an object of all supported event callbacks.
+   */
+  parseEvents() {
+    return {
+      onComplete: createEventCallback('onComplete', this.imageLayer).bind(this),
+    };
+  }
+
+  /**
+   * Hide or show imageLayer.
+   */
+  toggleVisible(previousProp, nextProp) {
+    if (!isShallowEqual(previousProp, nextProp)) {
+      if (nextProp === true) this.imageLayer.show();
+      if (nextProp === false) this.imageLayer.hide();
+    }
+  }
+
+  /**
+   * Update AMap.ImageLayer instance with named API and given value.
+   * Won't call API if the given value does not change.
+   */
+  updateImageLayerWithAPI(apiName, previousProp, nextProp, newProp = nextProp) {
+    if (!isShallowEqual(previousProp, nextProp)) {
+      callInstanceAPI('ImageLayer', this.imageLayer, apiName, newProp);
+    }
+  }
+
+  /**
+   * Render nothing.
+   */
+  render() {
+    return null;
+  }
+}
+
+export default ImageLayer;
@@ -0,0 +1,135 @@
+import React from 'react';
+import ReactDOM from 'react-dom';
+import AMapContext from '../AMapContext';
+import ImageLayer from '.';
+
+let container;
+let imageLayers;
+
+class MockBounds {
+  constructor(southWest, northEast) {
+    this.southWest = southWest;
+    this.northEast = northEast;
+  }
+}
+
+class MockImageLayer {
+  constructor(options) {
+    this.options = options;
+    this.setMap = jest.fn();
+    this.setImageUrl = jest.fn();
+    this.setBounds = jest.fn();
+    this.setOpacity = jest.fn();
+    this.setzIndex = jest.fn();
+    this.setZooms = jest.fn();
+    this.show = jest.fn();
+    this.hide = jest.fn();
+    this.on = jest.fn();
+    this.off = jest.fn();
+
+    imageLayers.push(this);
+  }
+}
+
+const url = 'https://example.com/a.png';
+const bounds = [[120, 30], [121, 31]];
+
+beforeEach(() => {
+  imageLayers = [];
+  window.AMap = {
+    Bounds: MockBounds,
+    ImageLayer: MockImageLayer,
+  };
+  container = document.createElement('div');
+});
+
+afterEach(() => {
+  ReactDOM.unmountComponentAtNode(container);
+  delete window.AMap;
+});
+
+const renderImageLayer = (map, props) => {
+  ReactDOM.render(
+    <AMapContext.Provider value={map}>
+      <ImageLayer url={url} bounds={bounds} {...props} />
+    </AMapContext.Provider>,
+    container,
+  );
+};
+
+test('Create AMap.ImageLayer from array bounds', () => {
+  const map = {};
+
+  renderImageLayer(map, {});
+
+  const [imageLayer] = imageLayers;
+
+  expect(imageLayer.options).toEqual({
+    bounds: new MockBounds([120, 30], [121, 31]),
+    url,
+    visible: true,
+  });
+  expect(imageLayer.options.bounds).toBeInstanceOf(MockBounds);
+  expect(imageLayer.setMap).toHaveBeenCalledWith(map);
+});
+
+test('Create AMap.ImageLayer from AMap.Bounds', () => {
+  const amapBounds = new MockBounds([120, 30], [121, 31]);
+
+  renderImageLayer({}, { bounds: amapBounds });
+
+  expect(imageLayers[0].options.bounds).toBe(amapBounds);
+});
+
+test('Update bounds only if bounds prop changes', () => {
+  const map = {};
+
+  renderImageLayer(map, {});
+  renderImageLayer(map, {});
+
+  const [imageLayer] = imageLayers;
+
+  expect(imageLayer.setBounds).not.toHaveBeenCalled();
+
+  renderImageLayer(map, { bounds: [[120, 30], [122, 32]] });
+
+  expect(imageLayer.setBounds).toHaveBeenCalledTimes(1);
+  expect(imageLayer.setBounds).toHaveBeenCalledWith(new MockBounds([120, 30], [122, 32]));
+});
+
+test('Update AMap.ImageLayer with setters', () => {
+  const map = {};
+
+  renderImageLayer(map, {});
+  renderImageLayer(map, {
+    url: 'https://example.com/b.png',
+    opacity: 0.5,
+    zIndex: 10,
+    zooms: [3, 18],
+  });
+
+  const [imageLayer] = imageLayers;
+
+  expect(imageLayer.setImageUrl).toHaveBeenCalledWith('https://example.com/b.png');
+  expect(imageLayer.setOpacity).toHaveBeenCalledWith(0.5);
+  expect(imageLayer.setzIndex).toHaveBeenCalledWith(10);
+  expect(imageLayer.setZooms).toHaveBeenCalledWith([3, 18]);
+});
+
+test('Toggle AMap.ImageLayer with visible', () => {
+  const map = {};
+
+  renderImageLayer(map, { visible: false });
+
+  const [imageLayer] = imageLayers;
+
+  expect(imageLayer.hide).toHaveBeenCalledTimes(1);
+
+  renderImageLayer(map, { visible: true });
+
+  expect(imageLayer.show).toHaveBeenCalledTimes(1);
+
+  renderImageLayer(map, { visible: false });
+
+  expect(imageLayer.hide).toHaveBeenCalledTimes(2);
+});
@@ -1,11 +1,14 @@
 import React from 'react';
+import ReactDOM from 'react-dom';
 import PropTypes from 'prop-types';
 import AMapContext from '../AMapContext';
 import breakIfNotChildOfAMap from '../utils/breakIfNotChildOfAMap';
 import cloneDeep from '../utils/cloneDeep';
 import createEventCallback from '../utils/createEventCallback';
+import isNullVoid from '../utils/isNullVoid';
 import isShallowEqual from '../utils/isShallowEqual';
 import { bindInstanceEvent, removeInstanceEvent } from '../utils/instanceEventHandler';
+import { callInstanceAPI, toPixel, toSize } from '../utils/versionAdapter';
 
 /**
  * Fields that need to be deep copied.
@@ -21,6 +24,15 @@ const NEED_DEEP_COPY_FIELDS = ['position'];
  */
 class InfoWindow extends React.Component {
   static propTypes = {
+    /**
+     * self defined prop: React elements rendered as infoWindow content through a portal.
+     * Children take precedence over content, and update without recreating content.
+     */
+    children: PropTypes.node,
+    /**
+     * Render content without the default frame of AMap.InfoWindow, including its close button.
+     */
+    isCustom: PropTypes.bool,
     /**
      * An array of two numbers or AMap.Pixel.
      */
@@ -36,6 +48,14 @@ class InfoWindow extends React.Component {
       PropTypes.arrayOf(PropTypes.number),
       PropTypes.object,
     ]).isRequired,
+    /**
+     * self defined prop: Render close button of custom infoWindow after children.
+     * Signature:
+     * (close) => node
+     * close: Close infoWindow, onClose is called as if the default close button were clicked.
+     * Only applies if isCustom is true, return null to render no close button.
+     */
+    renderCloseButton: PropTypes.func,
     /**
      * An array of two numbers, width and height or AMap.Size.
      */
@@ -45,6 +65,8 @@ class InfoWindow extends React.Component {
     ]),
     /**
      * Show InfoWindow by default, you can toggle show or hide by changing visible.
+     * Closing infoWindow by its close button calls onClose, set visible to false there to keep
+     * it controlled.
      */
     visible: PropTypes.bool,
     /* eslint-disable react/sort-prop-types,react/no-unused-prop-types */
@@ -63,6 +85,10 @@ class InfoWindow extends React.Component {
   };
 
   static defaultProps = {
+    isCustom: false,
+    renderCloseButton: close => (
+      <button className="amap-info-close" type="button" onClick={close}>×</button>
+    ),
     visible: true,
   };
 
@@ -74,9 +100,12 @@ class InfoWindow extends React.Component {
   /**
    * Parse AMap.InfoWindow options.
    * Named properties are event callbacks, other properties are infoWindow options.
+   * Content is the container of children if children are given.
    */
-  static parseInfoWindowOptions(props) {
+  static parseInfoWindowOptions(props, contentContainer) {
     const {
+      children,
+      renderCloseButton,
       onComplete,
       onChange,
       onOpen,
@@ -91,30 +120,11 @@ class InfoWindow extends React.Component {
 
     return {
       ...infoWindowOptions,
+      content: isNullVoid(children) ? infoWindowOptions.content : contentContainer,
       // Will transform an array of two numbers into a Pixel instance
-      offset: (() => {
-        if (offset instanceof window.AMap.Pixel) {
-          return offset;
-        }
-
-        if (offset instanceof Array) {
-          return new window.AMap.Pixel(...offset);
-        }
-
-        return new window.AMap.Pixel(0, 0);
-      })(),
+      offset: toPixel(offset, [0, 0]),
       // Will transform an array of two numbers into a Size instance
-      size: (() => {
-        if (size instanceof window.AMap.Size) {
-          return size;
-        }
-
-        if (size instanceof Array) {
-          return new window.AMap.Size(...size);
-        }
-
-        return null;
-      })(),
+      size: toSize(size, null),
     };
   }
 
@@ -132,7 +142,12 @@ class InfoWindow extends React.Component {
 
     breakIfNotChildOfAMap('InfoWindow', this.map);
 
-    this.infoWindowOptions = InfoWindow.parseInfoWindowOptions(this.props);
+    /**
+     * Children are rendered into the same container during the whole life of infoWindow.
+     */
+    this.contentContainer = document.createElement('div');
+
+    this.infoWindowOptions = InfoWindow.parseInfoWindowOptions(this.props, this.contentContainer);
 
     this.infoWindow = this.initInfoWindow(this.map);
 
@@ -143,9 +158,11 @@ class InfoWindow extends React.Component {
 
   /**
    * Update this.infoWindow by calling AMap.InfoWindow methods.
+   * Render again only if there are children to be rendered or removed.
    */
   shouldComponentUpdate(nextProps) {
-    const nextInfoWindowOptions = InfoWindow.parseInfoWindowOptions(nextProps);
+    const nextInfoWindowOptions = InfoWindow.parseInfoWindowOptions(nextProps,
+      this.contentContainer);
 
     const newInfoWindowOptions = cloneDeep(nextInfoWindowOptions, NEED_DEEP_COPY_FIELDS);
 
@@ -166,7 +183,7 @@ class InfoWindow extends React.Component {
 
     this.infoWindowOptions = nextInfoWindowOptions;
 
-    return false;
+    return !isNullVoid(this.props.children) || !isNullVoid(nextProps.children);
   }
 
   /**
@@ -180,6 +197,34 @@ class InfoWindow extends React.Component {
     this.infoWindow = null;
   }
 
+  /**
+   * Ref handle: AMap.InfoWindow instance.
+   */
+  getInstance() {
+    return this.infoWindow;
+  }
+
+  /**
+   * Ref handle: Whether infoWindow is open.
+   */
+  getIsOpen() {
+    return this.infoWindow.getIsOpen();
+  }
+
+  /**
+   * Ref handle: Close infoWindow.
+   */
+  close() {
+    this.infoWindow.close();
+  }
+
+  /**
+   * Ref handle: Open infoWindow at position, props.position by default.
+   */
+  open(position = this.props.position) {
+    this.infoWindow.open(this.map, position);
+  }
+
   /**
    * Bind all events on map instance, and save event listeners which will be removed in
    * componentWillUnmount lifecycle.
@@ -224,13 +269,13 @@ class InfoWindow extends React.Component {
   }
 
   /**
-   * Hide or show infoWindow.
+   * Hide or show infoWindow once visible changes.
+   * InfoWindow closed by its close button stays closed through unrelated updates, set visible
+   * to false in onClose to open it again by setting visible to true.
    */
   toggleVisible(previousProp, nextProp, position) {
     if (!isShallowEqual(previousProp, nextProp)) {
-      if (nextProp === true) {
-        this.infoWindow.open(this.map, position);
-      }
+      if (nextProp === true) this.infoWindow.open(this.map, position);
       if (nextProp === false) this.infoWindow.close();
     }
   }
@@ -241,15 +286,26 @@ class InfoWindow extends React.Component {
    */
   updateInfoWindowWithAPI(apiName, previousProp, nextProp, newProp) {
     if (!isShallowEqual(previousProp, nextProp)) {
-      this.infoWindow[apiName](newProp);
+      callInstanceAPI('InfoWindow', this.infoWindow, apiName, newProp);
     }
   }
 
   /**
-   * Render nothing.
+   * Render children into infoWindow content.
+   * Custom infoWindow has no default close button, render one after children.
    */
   render() {
-    return null;
+    const { children, isCustom, renderCloseButton } = this.props;
+
+    if (isNullVoid(children)) return null;
+
+    return ReactDOM.createPortal(
+      <React.Fragment>
+        {children}
+        {isCustom && renderCloseButton(() => this.close())}
+      </React.Fragment>,
+      this.contentContainer,
+    );
   }
 }
 
@@ -0,0 +1,85 @@
+import React from 'react';
+import ReactDOM from 'react-dom';
+import AMapContext from '../AMapContext';
+import InfoWindow from '.';
+
+let container;
+let infoWindows;
+
+class MockInfoWindow {
+  constructor(options) {
+    this.options = options;
+    this.isOpen = false;
+    this.open = jest.fn(() => { this.isOpen = true; });
+    this.close = jest.fn(() => { this.isOpen = false; });
+    this.setMap = jest.fn();
+    this.on = jest.fn();
+    this.off = jest.fn();
+
+    infoWindows.push(this);
+  }
+
+  getIsOpen() {
+    return this.isOpen;
+  }
+}
+
+beforeEach(() => {
+  infoWindows = [];
+  window.AMap = {
+    InfoWindow: MockInfoWindow,
+    Pixel: class Pixel {},
+    Size: class Size {},
+  };
+  container = document.createElement('div');
+});
+
+afterEach(() => {
+  ReactDOM.unmountComponentAtNode(container);
+  delete window.AMap;
+});
+
+const renderInfoWindow = (map, props) => {
+  ReactDOM.render(
+    <AMapContext.Provider value={map}>
+      <InfoWindow position={[120, 30]} {...props} />
+    </AMapContext.Provider>,
+    container,
+  );
+};
+
+test('Render children into infoWindow content', () => {
+  const map = {};
+
+  renderInfoWindow(map, { children: <b>Depot</b> });
+
+  const [infoWindow] = infoWindows;
+
+  expect(infoWindow.options.content.innerHTML).toBe('<b>Depot</b>');
+
+  renderInfoWindow(map, { children: <b>Store</b> });
+
+  expect(infoWindow.options.content.innerHTML).toBe('<b>Store</b>');
+});
+
+test('Keep infoWindow closed by its close button through unrelated updates', () => {
+  const map = {};
+
+  renderInfoWindow(map, { visible: true, children: 'Depot' });
+
+  const [infoWindow] = infoWindows;
+
+  expect(infoWindow.open).toHaveBeenCalledTimes(1);
+
+  infoWindow.isOpen = false;
+
+  renderInfoWindow(map, { visible: true, children: 'Depot, open 24 hours' });
+
+  expect(infoWindow.open).toHaveBeenCalledTimes(1);
+
+  renderInfoWindow(map, { visible: false, children: 'Depot, open 24 hours' });
+  renderInfoWindow(map, { visible: true, children: 'Depot, open 24 hours' });
+
+  expect(infoWindow.close).toHaveBeenCalledTimes(1);
+  expect(infoWindow.open).toHaveBeenCalledTimes(2);
+});
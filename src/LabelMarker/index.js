@@ -0,0 +1,265 @@
+import React from 'react';
+import PropTypes from 'prop-types';
+import isEqual from 'lodash/isEqual';
+import AMapContext from '../AMapContext';
+import LabelsLayerContext from '../LabelsLayerContext';
+import breakIfNotChildOfAMap from '../utils/breakIfNotChildOfAMap';
+import cloneDeep from '../utils/cloneDeep';
+import createEventCallback from '../utils/createEventCallback';
+import isShallowEqual from '../utils/isShallowEqual';
+import { bindInstanceEvent, removeInstanceEvent } from '../utils/instanceEventHandler';
+import { callInstanceAPI } from '../utils/versionAdapter';
+import withContextProp from '../utils/withContextProp';
+
+/**
+ * Fields that need to be deep copied.
+ * AMap LBS library mutates options. Deep copy those options before passing to AMap so that
+ * props won't be mutated.
+ */
+const NEED_DEEP_COPY_FIELDS = ['position', 'icon', 'text'];
+
+/**
+ * LabelMarker binding.
+ * LabelMarker has the same options as AMap.LabelMarker unless highlighted below.
+ * LabelMarker must be a descendant of LabelsLayer.
+ * {@link https://lbs.amap.com/api/javascript-api/reference/layer#LabelMarker}
+ * Options are compared deeply, so that icon and text passed as object literals do not call AMap
+ * on every render of thousands of labelMarkers.
+ */
+class LabelMarker extends React.Component {
+  static propTypes = {
+    /**
+     * AMap.LabelMarker icon options, i.e. { image, size, anchor }.
+     */
+    /* eslint-disable react/no-unused-prop-types */
+    icon: PropTypes.object,
+    /**
+     * AMap.LabelsLayer instance of the closest LabelsLayer, read from context.
+     */
+    labelsLayer: PropTypes.object,
+    /**
+     * An array of two numbers, lng and lat, or AMap.LngLat.
+     */
+    position: PropTypes.oneOfType([
+      PropTypes.arrayOf(PropTypes.number),
+      PropTypes.object,
+    ]).isRequired,
+    /**
+     * AMap.LabelMarker text options, i.e. { content, direction, offset, style }.
+     */
+    text: PropTypes.object,
+    /**
+     * Show LabelMarker by default, you can toggle show or hide by changing visible.
+     */
+    visible: PropTypes.bool,
+    /**
+     * Event callback.
+     * Signature:
+     * (labelMarker, ...event) => void
+     * labelMarker: AMap.LabelMarker instance.
+     * event: AMap event.
+     */
+    /* eslint-disable react/sort-prop-types,react/no-unused-prop-types */
+    onComplete: PropTypes.func,
+    onClick: PropTypes.func,
+    onMouseOver: PropTypes.func,
+    onMouseOut: PropTypes.func,
+    onMouseDown: PropTypes.func,
+    onMouseUp: PropTypes.func,
+    onTouchStart: PropTypes.func,
+    onTouchMove: PropTypes.func,
+    onTouchEnd: PropTypes.func,
+    /* eslint-enable */
+  };
+
+  static defaultProps = {
+    visible: true,
+  };
+
+  /**
+   * AMap map instance.
+   */
+  static contextType = AMapContext;
+
+  /**
+   * Parse AMap.LabelMarker options.
+   * Named properties are event callbacks, other properties are labelMarker options.
+   */
+  static parseLabelMarkerOptions(props) {
+    const {
+      labelsLayer,
+      onComplete,
+      onClick,
+      onMouseOver,
+      onMouseOut,
+      onMouseDown,
+      onMouseUp,
+      onTouchStart,
+      onTouchMove,
+      onTouchEnd,
+      ...labelMarkerOptions
+    } = props;
+
+    return labelMarkerOptions;
+  }
+
+  /**
+   * Define event name mapping relations of react binding LabelMarker and AMap.LabelMarker.
+   * Initialise AMap.LabelMarker, add it to labelsLayer and bind events.
+   * Fire complete action as soon as labelMarker has been created.
+   */
+  constructor(props, context) {
+    super(props);
+
+    const { labelsLayer, onComplete } = this.props;
+
+    const map = context;
+
+    breakIfNotChildOfAMap('LabelMarker', labelsLayer, 'LabelsLayer');
+
+    this.labelMarkerOptions = LabelMarker.parseLabelMarkerOptions(this.props);
+
+    this.labelMarker = this.initLabelMarker(labelsLayer);
+
+    this.bindEvents();
+
+    typeof onComplete === 'function' && onComplete(map, this.labelMarker);
+  }
+
+  /**
+   * Update this.labelMarker by calling AMap.LabelMarker methods.
+   */
+  shouldComponentUpdate(nextProps) {
+    const nextLabelMarkerOptions = LabelMarker.parseLabelMarkerOptions(nextProps);
+
+    const newLabelMarkerOptions = cloneDeep(nextLabelMarkerOptions, NEED_DEEP_COPY_FIELDS);
+
+    this.toggleVisible(this.labelMarkerOptions.visible, nextLabelMarkerOptions.visible);
+
+    this.updateLabelMarkerWithAPI('setPosition', this.labelMarkerOptions.position,
+      nextLabelMarkerOptions.position, newLabelMarkerOptions.position);
+
+    this.updateLabelMarkerWithAPI('setText', this.labelMarkerOptions.text,
+      nextLabelMarkerOptions.text, newLabelMarkerOptions.text);
+
+    this.updateLabelMarkerWithAPI('setIcon', this.labelMarkerOptions.icon,
+      nextLabelMarkerOptions.icon, newLabelMarkerOptions.icon);
+
+    this.updateLabelMarkerWithAPI('setOpacity', this.labelMarkerOptions.opacity,
+      nextLabelMarkerOptions.opacity, newLabelMarkerOptions.opacity);
+
+    this.updateLabelMarkerWithAPI('setRank', this.labelMarkerOptions.rank,
+      nextLabelMarkerOptions.rank, newLabelMarkerOptions.rank);
+
+    this.updateLabelMarkerWithAPI('setzIndex', this.labelMarkerOptions.zIndex,
+      nextLabelMarkerOptions.zIndex, newLabelMarkerOptions.zIndex);
+
+    this.updateLabelMarkerWithAPI('setZooms', this.labelMarkerOptions.zooms,
+      nextLabelMarkerOptions.zooms, newLabelMarkerOptions.zooms);
+
+    this.updateLabelMarkerWithAPI('setName', this.labelMarkerOptions.name,
+      nextLabelMarkerOptions.name, newLabelMarkerOptions.name);
+
+    this.updateLabelMarkerWithAPI('setExtData', this.labelMarkerOptions.extData,
+      nextLabelMarkerOptions.extData, newLabelMarkerOptions.extData);
+
+    this.labelMarkerOptions = nextLabelMarkerOptions;
+
+    return false;
+  }
+
+  /**
+   * Remove event listeners.
+   * Remove labelMarker from labelsLayer.
+   */
+  componentWillUnmount() {
+    removeInstanceEvent(this.labelMarker, this.AMapEventListeners);
+
+    this.props.labelsLayer.remove(this.labelMarker);
+    this.labelMarker = null;
+  }
+
+  /**
+   * Ref handle: AMap.LabelMarker instance.
+   */
+  getInstance() {
+    return this.labelMarker;
+  }
+
+  /**
+   * Bind all events on labelMarker instance, and save event listeners which will be removed in
+   * componentWillUnmount lifecycle.
+   */
+  bindEvents() {
+    this.AMapEventListeners = [];
+
+    /**
+     * Construct event callbacks.
+     */
+    const eventCallbacks = this.parseEvents();
+
+    bindInstanceEvent(this.labelMarker, eventCallbacks, this.AMapEventListeners);
+  }
+
+  /**
+   * Initialise AMap.LabelMarker and add it to labelsLayer.
+   */
+  initLabelMarker(labelsLayer) {
+    const { visible } = this.props;
+
+    const newLabelMarkerOptions = cloneDeep(this.labelMarkerOptions, NEED_DEEP_COPY_FIELDS);
+
+    const labelMarker = new window.AMap.LabelMarker(newLabelMarkerOptions);
+
+    labelsLayer.add(labelMarker);
+
+    if (visible === false) labelMarker.hide();
+
+    return labelMarker;
+  }
+
+  /**
+   * Return an object of all supported event callbacks.
+   */
+  parseEvents() {
+    return {
+      onClick: createEventCallback('onClick', this.labelMarker).bind(this),
+      onMouseOver: createEventCallback('onMouseOver', this.labelMarker).bind(this),
+      onMouseOut: createEventCallback('onMouseOut', this.labelMarker).bind(this),
+      onMouseDown: createEventCallback('onMouseDown', this.labelMarker).bind(this),
+      onMouseUp: createEventCallback('onMouseUp', this.labelMarker).bind(this),
+      onTouchStart: createEventCallback('onTouchStart', this.labelMarker).bind(this),
+      onTouchMove: createEventCallback('onTouchMove', this.labelMarker).bind(this),
+      onTouchEnd: createEventCallback('onTouchEnd', this.labelMarker).bind(this),
+    };
+  }
+
+  /**
+   * Hide or show labelMarker.
+   */
+  toggleVisible(previousProp, nextProp) {
+    if (!isShallowEqual(previousProp, nextProp)) {
+      if (nextProp === true) this.labelMarker.show();
+      if (nextProp === false) this.labelMarker.hide();
+    }
+  }
+
+  /**
+   * Update AMap.LabelMarker instance with named API and given value.
+   * Won't call API if the given value does not change deeply.
+   */
+  updateLabelMarkerWithAPI(apiName, previousProp, nextProp, newProp) {
+    if (!isEqual(previousProp, nextProp)) {
+      callInstanceAPI('LabelMarker', this.labelMarker, apiName, newProp);
+    }
+  }
+
+  /**
+   * Render nothing.
+   */
+  render() {
+    return null;
+  }
+}
+
+export default withContextProp(LabelsLayerContext, 'labelsLayer', LabelMarker);
@@ -0,0 +1,176 @@
+import React from 'react';
+import PropTypes from 'prop-types';
+import AMapContext from '../AMapContext';
+import LabelsLayerContext from '../LabelsLayerContext';
+import breakIfNotChildOfAMap from '../utils/breakIfNotChildOfAMap';
+import isShallowEqual from '../utils/isShallowEqual';
+import { callInstanceAPI } from '../utils/versionAdapter';
+
+/**
+ * LabelsLayer binding.
+ * LabelsLayer has the same options as AMap.LabelsLayer unless highlighted below.
+ * {@link https://lbs.amap.com/api/javascript-api/reference/layer#LabelsLayer}
+ * Labels are LabelMarker descendants at any depth, which are added to and removed from
+ * labelsLayer one by one as they mount and unmount. Give them keys so that changing data updates
+ * existing labelMarkers instead of creating them again.
+ */
+class LabelsLayer extends React.Component {
+  static propTypes = {
+    /**
+     * Nodes which render LabelMarker components.
+     */
+    children: PropTypes.node,
+    /**
+     * Show LabelsLayer by default, you can toggle show or hide by changing visible.
+     */
+    visible: PropTypes.bool,
+    /**
+     * Event callback.
+     * Signature:
+     * (map, labelsLayer) => void
+     * map: AMap.Map instance.
+     * labelsLayer: AMap.LabelsLayer instance.
+     */
+    /* eslint-disable react/sort-prop-types,react/no-unused-prop-types */
+    onComplete: PropTypes.func,
+    /* eslint-enable */
+  };
+
+  static defaultProps = {
+    visible: true,
+  };
+
+  /**
+   * AMap map instance.
+   */
+  static contextType = AMapContext;
+
+  /**
+   * Parse AMap.LabelsLayer options.
+   * Named properties are event callbacks, other properties are labelsLayer options.
+   */
+  static parseLabelsLayerOptions(props) {
+    const {
+      children,
+      onComplete,
+      ...labelsLayerOptions
+    } = props;
+
+    return labelsLayerOptions;
+  }
+
+  /**
+   * Initialise AMap.LabelsLayer.
+   * Fire complete action as soon as labelsLayer has been created.
+   */
+  constructor(props, context) {
+    super(props);
+
+    const { onComplete } = this.props;
+
+    const map = context;
+
+    breakIfNotChildOfAMap('LabelsLayer', map);
+
+    this.labelsLayerOptions = LabelsLayer.parseLabelsLayerOptions(this.props);
+
+    this.labelsLayer = this.initLabelsLayer(map);
+
+    typeof onComplete === 'function' && onComplete(map, this.labelsLayer);
+  }
+
+  /**
+   * Update this.labelsLayer by calling AMap.LabelsLayer methods.
+   * Render again so that LabelMarker children receive their changes.
+   */
+  shouldComponentUpdate(nextProps) {
+    const nextLabelsLayerOptions = LabelsLayer.parseLabelsLayerOptions(nextProps);
+
+    this.toggleVisible(this.labelsLayerOptions.visible, nextLabelsLayerOptions.visible);
+
+    this.updateLabelsLayerWithAPI('setCollision', this.labelsLayerOptions.collision,
+      nextLabelsLayerOptions.collision);
+
+    this.updateLabelsLayerWithAPI('setAllowCollision', this.labelsLayerOptions.allowCollision,
+      nextLabelsLayerOptions.allowCollision);
+
+    this.updateLabelsLayerWithAPI('setOpacity', this.labelsLayerOptions.opacity,
+      nextLabelsLayerOptions.opacity);
+
+    this.updateLabelsLayerWithAPI('setzIndex', this.labelsLayerOptions.zIndex,
+      nextLabelsLayerOptions.zIndex);
+
+    this.updateLabelsLayerWithAPI('setZooms', this.labelsLayerOptions.zooms,
+      nextLabelsLayerOptions.zooms);
+
+    this.labelsLayerOptions = nextLabelsLayerOptions;
+
+    return true;
+  }
+
+  /**
+   * Remove labelsLayer from map.
+   * LabelMarker children remove themselves from labelsLayer as they unmount.
+   */
+  componentWillUnmount() {
+    this.labelsLayer.setMap(null);
+    this.labelsLayer = null;
+  }
+
+  /**
+   * Ref handle: AMap.LabelsLayer instance.
+   */
+  getInstance() {
+    return this.labelsLayer;
+  }
+
+  /**
+   * Initialise AMap.LabelsLayer.
+   */
+  initLabelsLayer(map) {
+    const { visible } = this.props;
+
+    const labelsLayer = new window.AMap.LabelsLayer(this.labelsLayerOptions);
+
+    labelsLayer.setMap(map);
+
+    if (visible === false) labelsLayer.hide();
+
+    return labelsLayer;
+  }
+
+  /**
+   * Hide or show labelsLayer.
+   */
+  toggleVisible(previousProp, nextProp) {
+    if (!isShallowEqual(previousProp, nextProp)) {
+      if (nextProp === true) this.labelsLayer.show();
+      if (nextProp === false) this.labelsLayer.hide();
+    }
+  }
+
+  /**
+   * Update AMap.LabelsLayer instance with named API and given value.
+   * Won't call API if the given value does not change.
+   */
+  updateLabelsLayerWithAPI(apiName, previousProp, nextProp) {
+    if (!isShallowEqual(previousProp, nextProp)) {
+      callInstanceAPI('LabelsLayer', this.labelsLayer, apiName, nextProp);
+    }
+  }
+
+  /**
+   * Provide labelsLayer instance to LabelMarker descendants.
+   */
+  render() {
+    const { children } = this.props;
+
+    return (
+      <LabelsLayerContext.Provider value={this.labelsLayer}>
+        {children}
+      </LabelsLayerContext.Provider>
+    );
+  }
+}
+
+export default LabelsLayer;
@@ -0,0 +1,72 @@
+import React from 'react';
+import ReactDOM from 'react-dom';
+import AMapContext from '../AMapContext';
+import LabelMarker from '../LabelMarker';
+import LabelsLayer from '.';
+
+let container;
+let labelsLayers;
+
+class MockLabelsLayer {
+  constructor(options) {
+    this.options = options;
+    this.setMap = jest.fn();
+    this.add = jest.fn();
+    this.remove = jest.fn();
+
+    labelsLayers.push(this);
+  }
+}
+
+class MockLabelMarker {
+  constructor(options) {
+    this.options = options;
+    this.on = jest.fn();
+    this.off = jest.fn();
+  }
+}
+
+beforeEach(() => {
+  labelsLayers = [];
+  window.AMap = {
+    LabelsLayer: MockLabelsLayer,
+    LabelMarker: MockLabelMarker,
+  };
+  container = document.createElement('div');
+});
+
+afterEach(() => {
+  ReactDOM.unmountComponentAtNode(container);
+  delete window.AMap;
+});
+
+const Store = () => <LabelMarker position={[120, 30]} />;
+
+test('Add LabelMarker descendants at any depth to labelsLayer', () => {
+  const map = {};
+  const labelMarkerRef = React.createRef();
+
+  ReactDOM.render(
+    <AMapContext.Provider value={map}>
+      <LabelsLayer>
+        <Store />
+        <div>
+          <LabelMarker ref={labelMarkerRef} position={[121, 31]} />
+        </div>
+      </LabelsLayer>
+    </AMapContext.Provider>,
+    container,
+  );
+
+  const [labelsLayer] = labelsLayers;
+
+  expect(labelsLayer.add).toHaveBeenCalledTimes(2);
+  expect(labelsLayer.add.mock.calls.map(([labelMarker]) => labelMarker.options.position))
+    .toEqual([[120, 30], [121, 31]]);
+  expect(labelMarkerRef.current.getInstance()).toBe(labelsLayer.add.mock.calls[1][0]);
+
+  ReactDOM.unmountComponentAtNode(container);
+
+  expect(labelsLayer.remove).toHaveBeenCalledTimes(2);
+  expect(labelsLayer.setMap).toHaveBeenLastCalledWith(null);
+});
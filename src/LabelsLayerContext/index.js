@@ -0,0 +1,7 @@
+import React from 'react';
+
+/**
+ * Closest LabelsLayer, which LabelMarker components add their labelMarkers to.
+ * Value: AMap.LabelsLayer instance.
+ */
+export default React.createContext();
@@ -7,6 +7,8 @@ import PropTypes from 'prop-types';
 import cloneDeep from 'lodash/cloneDeep';
 import AMapContext from '../AMapContext';
 import breakIfNotChildOfAMap from '../utils/breakIfNotChildOfAMap';
+import { reportError } from '../utils/errorRegistry';
+import requireLibrary from '../utils/requireLibrary';
 
 /**
  * Loca binding.
@@ -57,25 +59,49 @@ class Loca extends React.Component {
   };
 
   /**
-   * Initialise Loca.
+   * Check map scope.
    */
   constructor(props, context) {
     super(props);
 
+    const map = context;
+
+    breakIfNotChildOfAMap('Loca', map);
+  }
+
+  /**
+   * Asynchronously load Loca library if it has not been loaded.
+   * Initialise Loca with the latest props.
+   * Loading failures are reported to AMap, which handles them with onError and fallback.
+   */
+  async componentDidMount() {
+    let LocaLibrary;
+
+    try {
+      LocaLibrary = await requireLibrary('Loca');
+    } catch (error) {
+      if (this.isUnmounted !== true) reportError(this.context, error);
+
+      return;
+    }
+
+    /**
+     * Component may unmount before the library has been loaded.
+     */
+    if (this.isUnmounted === true) return;
+
     const {
       data,
       dataSetOptions,
       layerOptions,
       visualOptions,
-    } = props;
+    } = this.props;
 
-    const map = context;
-
-    breakIfNotChildOfAMap('Loca', map);
+    const map = this.context;
 
-    const locaMap = new window.Loca(map);
+    const locaMap = new LocaLibrary(map);
 
-    this.loca = new window.Loca.VisualLayer({
+    this.loca = new LocaLibrary.VisualLayer({
       container: locaMap,
       ...layerOptions,
     });
@@ -89,10 +115,13 @@ class Loca extends React.Component {
 
   /**
    * Update this.loca by calling Loca methods.
+   * Updates before Loca has been initialised are applied on initialisation.
    * @param  {Object} nextProps
    * @return {Boolean} - Prevent calling render function
    */
   shouldComponentUpdate(nextProps) {
+    if (this.loca === void 0) return false;
+
     const {
       data,
       dataSetOptions,
@@ -112,7 +141,25 @@ class Loca extends React.Component {
    * Destroy loca instance.
    */
   componentWillUnmount() {
-    this.loca.destroy();
+    this.isUnmounted = true;
+
+    if (this.loca !== void 0) this.loca.destroy();
+  }
+
+  /**
+   * Ref handle: Loca.VisualLayer instance.
+   * Undefined until Loca library has been loaded.
+   */
+  getInstance() {
+    return this.loca;
+  }
+
+  /**
+   * Ref handle: Render layer again.
+   * Do nothing until Loca library has been loaded.
+   */
+  renderLayer() {
+    this.loca && this.loca.render();
   }
 
   /**
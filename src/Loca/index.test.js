@@ -0,0 +1,70 @@
+import React from 'react';
+import ReactDOM from 'react-dom';
+import AMapContext from '../AMapContext';
+import requireLibrary from '../utils/requireLibrary';
+import { subscribeErrors } from '../utils/errorRegistry';
+import Loca from '.';
+
+jest.mock('../utils/requireLibrary');
+
+const flushPromises = () => new Promise(resolve => setTimeout(resolve, 0));
+
+const layerOptions = { shape: 'circle', type: 'point' };
+
+let container;
+
+beforeEach(() => {
+  window.AMap = {};
+  container = document.createElement('div');
+});
+
+afterEach(() => {
+  ReactDOM.unmountComponentAtNode(container);
+  delete window.AMap;
+});
+
+test('Report Loca loading failure to AMap', async () => {
+  const map = {};
+  const error = Error('Loca failed to load.');
+  const listener = jest.fn();
+
+  subscribeErrors(map, listener);
+  requireLibrary.mockImplementation(() => Promise.reject(error));
+
+  ReactDOM.render(
+    <AMapContext.Provider value={map}>
+      <Loca data={[]} layerOptions={layerOptions} />
+    </AMapContext.Provider>,
+    container,
+  );
+
+  await flushPromises();
+
+  expect(listener).toHaveBeenCalledWith(error);
+});
+
+test('Ignore Loca loading failure after unmounting', async () => {
+  const map = {};
+  const listener = jest.fn();
+  let rejectLoca;
+
+  subscribeErrors(map, listener);
+  requireLibrary.mockImplementation(() => new Promise((resolve, reject) => {
+    rejectLoca = reject;
+  }));
+
+  ReactDOM.render(
+    <AMapContext.Provider value={map}>
+      <Loca data={[]} layerOptions={layerOptions} />
+    </AMapContext.Provider>,
+    container,
+  );
+
+  ReactDOM.unmountComponentAtNode(container);
+
+  rejectLoca(Error('Loca failed to load.'));
+
+  await flushPromises();
+
+  expect(listener).not.toHaveBeenCalled();
+});
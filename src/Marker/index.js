@@ -1,12 +1,19 @@
 import React from 'react';
+import ReactDOM from 'react-dom';
 import PropTypes from 'prop-types';
+import isUndefined from 'lodash/isUndefined';
+import omitBy from 'lodash/omitBy';
 import AMapContext from '../AMapContext';
+import OverlayContainerContext from '../OverlayContainerContext';
 import breakIfNotChildOfAMap from '../utils/breakIfNotChildOfAMap';
 import cloneDeep from '../utils/cloneDeep';
 import createEventCallback from '../utils/createEventCallback';
 import isNullVoid from '../utils/isNullVoid';
 import isShallowEqual from '../utils/isShallowEqual';
 import { bindInstanceEvent, removeInstanceEvent } from '../utils/instanceEventHandler';
+import { registerOverlay } from '../utils/overlayRegistry';
+import { callInstanceAPI, omitUnsupported, toPixel } from '../utils/versionAdapter';
+import withContextProp from '../utils/withContextProp';
 
 /**
  * Fields that need to be deep copied.
@@ -22,6 +29,11 @@ const NEED_DEEP_COPY_FIELDS = ['position'];
  */
 class Marker extends React.Component {
   static propTypes = {
+    /**
+     * self defined prop: React elements rendered as marker content through a portal.
+     * Children take precedence over content, and update without recreating content.
+     */
+    children: PropTypes.node,
     /* eslint-disable react/no-unused-prop-types */
     icon: PropTypes.oneOfType([
       /**
@@ -82,6 +94,14 @@ class Marker extends React.Component {
        */
       PropTypes.object,
     ]),
+    /**
+     * Closest overlay container, i.e. OverlayGroup, read from context.
+     */
+    overlayContainer: PropTypes.object,
+    /**
+     * self defined prop: Key to select this overlay in AMap fitView.
+     */
+    overlayKey: PropTypes.string,
     /**
      * Show Marker by default, you can toggle show or hide by changing visible.
      */
@@ -127,9 +147,11 @@ class Marker extends React.Component {
   /**
    * Parse AMap.Marker options.
    * Named properties are event callbacks, other properties are marker options.
+   * Content is the container of children if children are given.
    */
-  static parseMarkerOptions(props) {
+  static parseMarkerOptions(props, contentContainer) {
     const {
+      children,
       onComplete,
       onClick,
       onDblClick,
@@ -148,6 +170,8 @@ class Marker extends React.Component {
       onTouchStart,
       onTouchMove,
       onTouchEnd,
+      overlayContainer,
+      overlayKey,
       ...markerOptions
     } = props;
 
@@ -157,8 +181,9 @@ class Marker extends React.Component {
       offset,
     } = markerOptions;
 
-    return {
+    return omitUnsupported('Marker', {
       ...markerOptions,
+      content: isNullVoid(children) ? markerOptions.content : contentContainer,
       icon: (() => {
         /**
          * Changing label to either null or undefined clears icon.
@@ -172,17 +197,7 @@ class Marker extends React.Component {
          */
         return new window.AMap.Icon({
           image: icon.image,
-          imageOffset: (() => {
-            if (icon.imageOffset instanceof window.AMap.Pixel) {
-              return icon.imageOffset;
-            }
-
-            if (icon.imageOffset instanceof Array) {
-              return new window.AMap.Pixel(...icon.imageOffset);
-            }
-
-            return new window.AMap.Pixel(0, 0);
-          })(),
+          imageOffset: toPixel(icon.imageOffset, [0, 0]),
           /**
            * AMap.Icon understands both [x, y] and instance of AMap.Size.
            */
@@ -199,32 +214,12 @@ class Marker extends React.Component {
         return {
           ...label,
           // Will transform an array of two numbers into a Pixel instance
-          offset: (() => {
-            if (label.offset instanceof window.AMap.Pixel) {
-              return label.offset;
-            }
-
-            if (label.offset instanceof Array) {
-              return new window.AMap.Pixel(...label.offset);
-            }
-
-            return new window.AMap.Pixel(0, 0);
-          })(),
+          offset: toPixel(label.offset, [0, 0]),
         };
       })(),
       // Will transform an array of two numbers into a Pixel instance
-      offset: (() => {
-        if (offset instanceof window.AMap.Pixel) {
-          return offset;
-        }
-
-        if (offset instanceof Array) {
-          return new window.AMap.Pixel(...offset);
-        }
-
-        return new window.AMap.Pixel(-10, -34);
-      })(),
-    };
+      offset: toPixel(offset, [-10, -34]),
+    }, props);
   }
 
   /**
@@ -241,20 +236,41 @@ class Marker extends React.Component {
 
     breakIfNotChildOfAMap('Marker', map);
 
-    this.markerOptions = Marker.parseMarkerOptions(this.props);
+    /**
+     * Children are rendered into the same container during the whole life of marker.
+     */
+    this.contentContainer = document.createElement('div');
+
+    this.markerOptions = Marker.parseMarkerOptions(this.props, this.contentContainer);
 
     this.marker = this.initMarker(map);
 
+    this.unregisterOverlay = registerOverlay(map, {
+      instance: this.marker,
+      type: 'Marker',
+      key: this.props.overlayKey,
+    });
+
     this.bindEvents();
 
     typeof onComplete === 'function' && onComplete(map, this.marker);
   }
 
+  /**
+   * Hand marker over to the closest OverlayGroup, if there is one.
+   */
+  componentDidMount() {
+    const { overlayContainer } = this.props;
+
+    overlayContainer && overlayContainer.addOverlay(this.marker);
+  }
+
   /**
    * Update this.marker by calling AMap.Marker methods.
+   * Render again only if there are children to be rendered or removed.
    */
   shouldComponentUpdate(nextProps) {
-    const nextMarkerOptions = Marker.parseMarkerOptions(nextProps);
+    const nextMarkerOptions = Marker.parseMarkerOptions(nextProps, this.contentContainer);
 
     const newMarkerOptions = cloneDeep(nextMarkerOptions, NEED_DEEP_COPY_FIELDS);
 
@@ -314,7 +330,7 @@ class Marker extends React.Component {
 
     this.markerOptions = nextMarkerOptions;
 
-    return false;
+    return !isNullVoid(this.props.children) || !isNullVoid(nextProps.children);
   }
 
   /**
@@ -324,10 +340,53 @@ class Marker extends React.Component {
   componentWillUnmount() {
     removeInstanceEvent(this.marker, this.AMapEventListeners);
 
+    this.unregisterOverlay();
+
+    const { overlayContainer } = this.props;
+
+    overlayContainer && overlayContainer.removeOverlay(this.marker);
+
     this.marker.setMap(null);
     this.marker = null;
   }
 
+  /**
+   * Ref handle: AMap.Marker instance.
+   */
+  getInstance() {
+    return this.marker;
+  }
+
+  /**
+   * Ref handle: Current position, which may differ from props after dragging or moving.
+   */
+  getPosition() {
+    return this.marker.getPosition();
+  }
+
+  /**
+   * Ref handle: Move marker along path.
+   * Arguments are the same as AMap.Marker.moveAlong.
+   */
+  moveAlong(...args) {
+    this.marker.moveAlong(...args);
+  }
+
+  /**
+   * Ref handle: Move marker to position.
+   * Arguments are the same as AMap.Marker.moveTo.
+   */
+  moveTo(...args) {
+    this.marker.moveTo(...args);
+  }
+
+  /**
+   * Ref handle: Stop moving marker.
+   */
+  stopMove() {
+    this.marker.stopMove();
+  }
+
   /**
    * Bind all events on map instance, and save event listeners which will be removed in
    * componentWillUnmount lifecycle.
@@ -351,7 +410,10 @@ class Marker extends React.Component {
 
     const newMarkerOptions = cloneDeep(this.markerOptions, NEED_DEEP_COPY_FIELDS);
 
-    const marker = new window.AMap.Marker(newMarkerOptions);
+    /**
+     * Leave options which are not set, i.e. offset on JS API 2.x, to AMap defaults.
+     */
+    const marker = new window.AMap.Marker(omitBy(newMarkerOptions, isUndefined));
 
     marker.setMap(map);
 
@@ -364,7 +426,7 @@ class Marker extends React.Component {
    * Return an object of all supported event callbacks.
    */
   parseEvents() {
-    return {
+    return omitUnsupported('Marker', {
       onClick: createEventCallback('onClick', this.marker).bind(this),
       onDblClick: createEventCallback('onDblClick', this.marker).bind(this),
       onRightClick: createEventCallback('onRightClick', this.marker).bind(this),
@@ -382,7 +444,7 @@ class Marker extends React.Component {
       onTouchStart: createEventCallback('onTouchStart', this.marker).bind(this),
       onTouchMove: createEventCallback('onTouchMove', this.marker).bind(this),
       onTouchEnd: createEventCallback('onTouchEnd', this.marker).bind(this),
-    };
+    }, this.props);
   }
 
   /**
@@ -401,16 +463,20 @@ class Marker extends React.Component {
    */
   updateMarkerWithAPI(apiName, previousProp, nextProp, newProp) {
     if (!isShallowEqual(previousProp, nextProp)) {
-      this.marker[apiName](newProp);
+      callInstanceAPI('Marker', this.marker, apiName, newProp);
     }
   }
 
   /**
-   * Render nothing.
+   * Render children into marker content.
    */
   render() {
-    return null;
+    const { children } = this.props;
+
+    if (isNullVoid(children)) return null;
+
+    return ReactDOM.createPortal(children, this.contentContainer);
   }
 }
 
-export default Marker;
+export default withContextProp(OverlayContainerContext, 'overlayContainer', Marker);
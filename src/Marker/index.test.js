@@ -0,0 +1,78 @@
+import React from 'react';
+import ReactDOM from 'react-dom';
+import AMapContext from '../AMapContext';
+import Marker from '.';
+
+let container;
+let markers;
+
+class MockMarker {
+  constructor(options) {
+    this.options = options;
+    this.setMap = jest.fn();
+    this.setContent = jest.fn();
+    this.setLabel = jest.fn();
+    this.setOffset = jest.fn();
+    this.setPosition = jest.fn();
+    this.on = jest.fn();
+    this.off = jest.fn();
+
+    markers.push(this);
+  }
+}
+
+beforeEach(() => {
+  markers = [];
+  window.AMap = {
+    Marker: MockMarker,
+    Pixel: class Pixel {},
+  };
+  container = document.createElement('div');
+});
+
+afterEach(() => {
+  ReactDOM.unmountComponentAtNode(container);
+  delete window.AMap;
+});
+
+const renderMarker = (map, children, props) => {
+  ReactDOM.render(
+    <AMapContext.Provider value={map}>
+      <Marker position={[120, 30]} {...props}>{children}</Marker>
+    </AMapContext.Provider>,
+    container,
+  );
+};
+
+test('Render children into marker content through a portal', () => {
+  const map = {};
+
+  renderMarker(map, <span className="price">1 yuan</span>);
+
+  const [marker] = markers;
+  const { content } = marker.options;
+
+  expect(content.querySelector('.price').textContent).toBe('1 yuan');
+
+  renderMarker(map, <span className="price">2 yuan</span>);
+
+  expect(content.querySelector('.price').textContent).toBe('2 yuan');
+  expect(marker.setContent).not.toHaveBeenCalled();
+
+  ReactDOM.unmountComponentAtNode(container);
+
+  expect(content.childNodes).toHaveLength(0);
+  expect(marker.setMap).toHaveBeenLastCalledWith(null);
+});
+
+test('Use content prop once children have been removed', () => {
+  const map = {};
+
+  renderMarker(map, <span>1 yuan</span>);
+
+  renderMarker(map, null, { content: '<b>sold out</b>' });
+
+  const [marker] = markers;
+
+  expect(marker.setContent).toHaveBeenCalledWith('<b>sold out</b>');
+});
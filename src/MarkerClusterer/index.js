@@ -0,0 +1,508 @@
+import React from 'react';
+import ReactDOM from 'react-dom';
+import PropTypes from 'prop-types';
+import AMapContext from '../AMapContext';
+import OverlayContainerContext from '../OverlayContainerContext';
+import breakIfNotChildOfAMap from '../utils/breakIfNotChildOfAMap';
+import { toLngLatArray } from '../utils/coordinates';
+import isShallowEqual from '../utils/isShallowEqual';
+import { bindInstanceEvent, removeInstanceEvent } from '../utils/instanceEventHandler';
+import { reportError } from '../utils/errorRegistry';
+import { requirePlugin } from '../utils/requireLibrary';
+import { callInstanceAPI, isVersion2 } from '../utils/versionAdapter';
+
+/**
+ * Transform marker of a descendant into a data point of AMap.MarkerCluster of JS API 2.0.
+ * The marker is kept in the data point so that clusters can tell which markers they contain.
+ * @param  {AMap.Marker} marker
+ * @return {Object} - { lnglat, marker }
+ */
+function toDataPoint(marker) {
+  return {
+    lnglat: toLngLatArray(marker.getPosition()),
+    marker,
+  };
+}
+
+/**
+ * Get markers of descendants in a cluster.
+ * JS API 1.4 passes markers, JS API 2.0 passes data points as clusterData.
+ * @param  {Object} context - Cluster context or click event
+ * @return {Array} - AMap.Marker instances
+ */
+function toClusterMarkers({ markers, clusterData }) {
+  if (markers !== void 0) return markers;
+
+  return (clusterData || []).map(({ marker }) => marker);
+}
+
+/**
+ * Draw a single marker of AMap.MarkerCluster of JS API 2.0 as the marker of its descendant.
+ * @param {Object} context - { data, marker } passed by AMap.MarkerCluster
+ */
+function renderSingleMarker({ data, marker }) {
+  const [{ marker: original }] = data;
+
+  const content = original.getContent();
+
+  if (content) {
+    marker.setContent(content);
+  } else {
+    marker.setIcon(original.getIcon());
+  }
+
+  marker.setOffset(original.getOffset());
+}
+
+/**
+ * MarkerClusterer binding.
+ * MarkerClusterer has the same options as AMap.MarkerClusterer unless highlighted below.
+ * AMap.MarkerClusterer plugin of JS API 1.4, or AMap.MarkerCluster plugin of JS API 2.0, is
+ * requested on demand if it has not been loaded.
+ * {@link https://lbs.amap.com/api/javascript-api/reference/plugin#AMap.MarkerClusterer}
+ * Markers created by descendant Marker components are clustered instead of being added to map.
+ * Markers mounting or unmounting together are added to or removed from markerClusterer at once.
+ * AMap.MarkerCluster of JS API 2.0 clusters data points, positions of markers are read once they
+ * join, and single markers are drawn with content, icon and offset of the markers, whose click
+ * callbacks are called once they are clicked.
+ * Markers are shown on map if the plugin fails to load, and the failure is reported to AMap.
+ */
+class MarkerClusterer extends React.Component {
+  static propTypes = {
+    /**
+     * Marker components, at any depth.
+     */
+    children: PropTypes.node,
+    /**
+     * self defined prop: Render content of cluster markers.
+     * Signature:
+     * (count, markers) => node
+     * count: Number of markers in the cluster.
+     * markers: AMap.Marker instances in the cluster.
+     * Content is rendered into cluster markers with portals, event handlers of content work.
+     * AMap default cluster styles are used if renderCluster is not set when markerClusterer is
+     * created.
+     */
+    renderCluster: PropTypes.func,
+    /**
+     * Event callback.
+     * Signature:
+     * (map, markerClusterer) => void
+     * map: AMap.Map instance.
+     * markerClusterer: AMap.MarkerClusterer instance.
+     */
+    /* eslint-disable react/sort-prop-types,react/no-unused-prop-types */
+    onComplete: PropTypes.func,
+    /**
+     * self defined prop: Event callback fired once a cluster is clicked.
+     * Signature:
+     * (markerClusterer, markers, event) => void
+     * markerClusterer: AMap.MarkerClusterer instance.
+     * markers: AMap.Marker instances in the cluster.
+     * event: AMap event.
+     */
+    onClusterClick: PropTypes.func,
+    /* eslint-enable */
+  };
+
+  /**
+   * AMap map instance.
+   */
+  static contextType = AMapContext;
+
+  /**
+   * Parse AMap.MarkerClusterer options.
+   * Named properties are event callbacks, other properties are markerClusterer options.
+   */
+  static parseMarkerClustererOptions(props) {
+    const {
+      children,
+      renderCluster,
+      onComplete,
+      onClusterClick,
+      ...markerClustererOptions
+    } = props;
+
+    return markerClustererOptions;
+  }
+
+  /**
+   * Create the overlay container passed to descendants.
+   * Markers are kept until AMap.MarkerClusterer has been created.
+   */
+  constructor(props, context) {
+    super(props);
+
+    const map = context;
+
+    breakIfNotChildOfAMap('MarkerClusterer', map);
+
+    this.markersToAdd = [];
+    this.markersToRemove = [];
+
+    /**
+     * Markers in markerClusterer.
+     */
+    this.markers = [];
+
+    /**
+     * Portal containers and contents of cluster markers rendered by renderCluster, keyed by
+     * cluster marker.
+     */
+    this.clusterContents = new Map();
+
+    /**
+     * Cluster markers drawn since last render of cluster contents.
+     */
+    this.drawnClusterMarkers = new Set();
+
+    /**
+     * Context value stays the same during the whole life of markerClusterer.
+     */
+    this.overlayContainer = {
+      addOverlay: overlay => this.addOverlay(overlay),
+      removeOverlay: overlay => this.removeOverlay(overlay),
+    };
+  }
+
+  /**
+   * Asynchronously load AMap.MarkerClusterer plugin if it has not been loaded.
+   * Initialise AMap.MarkerClusterer with markers of descendants and bind events.
+   * Fire complete action as soon as markerClusterer has been created.
+   * Loading failures are reported to AMap, markers of descendants are shown on map instead.
+   */
+  async componentDidMount() {
+    let MarkerClustererClass;
+
+    try {
+      MarkerClustererClass = await requirePlugin(isVersion2()
+        ? 'AMap.MarkerCluster'
+        : 'AMap.MarkerClusterer');
+    } catch (error) {
+      if (this.isUnmounted !== true) this.handleLoadError(error);
+
+      return;
+    }
+
+    /**
+     * Component may unmount before the plugin has been loaded.
+     */
+    if (this.isUnmounted === true) return;
+
+    const { onComplete } = this.props;
+
+    const map = this.context;
+
+    this.markerClustererOptions = MarkerClusterer.parseMarkerClustererOptions(this.props);
+
+    this.markerClusterer = this.initMarkerClusterer(map, MarkerClustererClass);
+
+    this.bindEvents();
+
+    typeof onComplete === 'function' && onComplete(map, this.markerClusterer);
+  }
+
+  /**
+   * Update this.markerClusterer by calling AMap.MarkerClusterer methods.
+   * Render again so that descendants receive their changes.
+   */
+  shouldComponentUpdate(nextProps) {
+    /**
+     * AMap.MarkerClusterer plugin has not been loaded.
+     */
+    if (this.markerClusterer === void 0) return true;
+
+    const nextMarkerClustererOptions = MarkerClusterer.parseMarkerClustererOptions(nextProps);
+
+    this.updateMarkerClustererWithAPI('setGridSize', this.markerClustererOptions.gridSize,
+      nextMarkerClustererOptions.gridSize);
+
+    this.updateMarkerClustererWithAPI('setMaxZoom', this.markerClustererOptions.maxZoom,
+      nextMarkerClustererOptions.maxZoom);
+
+    this.updateMarkerClustererWithAPI('setMinClusterSize',
+      this.markerClustererOptions.minClusterSize, nextMarkerClustererOptions.minClusterSize);
+
+    this.updateMarkerClustererWithAPI('setStyles', this.markerClustererOptions.styles,
+      nextMarkerClustererOptions.styles);
+
+    this.markerClustererOptions = nextMarkerClustererOptions;
+
+    return true;
+  }
+
+  /**
+   * Remove event listeners.
+   * Destroy markerClusterer instance.
+   */
+  componentWillUnmount() {
+    this.isUnmounted = true;
+
+    clearTimeout(this.flushTimer);
+    clearTimeout(this.clusterRenderTimer);
+
+    this.clusterContents.clear();
+    this.drawnClusterMarkers.clear();
+
+    /**
+     * MarkerClusterer is created after the asynchronous plugin has been loaded.
+     */
+    if (this.markerClusterer !== void 0) {
+      removeInstanceEvent(this.markerClusterer, this.AMapEventListeners);
+
+      if (isVersion2()) {
+        this.markerClusterer.setData([]);
+      } else {
+        this.markerClusterer.clearMarkers();
+      }
+
+      this.markerClusterer.setMap(null);
+      this.markerClusterer = null;
+    }
+  }
+
+  /**
+   * Ref handle: AMap.MarkerClusterer instance, undefined until the plugin has been loaded.
+   */
+  getInstance() {
+    return this.markerClusterer;
+  }
+
+  /**
+   * Cluster marker of a descendant instead of showing it on map.
+   * Overlays other than markers, and markers once the plugin has failed to load, are left on map.
+   */
+  addOverlay(overlay) {
+    if (this.isFailed === true || !(overlay instanceof window.AMap.Marker)) return;
+
+    overlay.setMap(null);
+
+    this.markersToAdd.push(overlay);
+
+    this.scheduleFlush();
+  }
+
+  /**
+   * Bind all events on markerClusterer instance, and save event listeners which will be removed
+   * in componentWillUnmount lifecycle.
+   */
+  bindEvents() {
+    this.AMapEventListeners = [];
+
+    /**
+     * Construct event callbacks.
+     */
+    const eventCallbacks = this.parseEvents();
+
+    bindInstanceEvent(this.markerClusterer, eventCallbacks, this.AMapEventListeners);
+  }
+
+  /**
+   * Add and remove markers collected since last flush.
+   */
+  flushMarkers() {
+    if (this.markerClusterer === void 0 || this.markerClusterer === null) return;
+
+    if (this.markersToAdd.length === 0 && this.markersToRemove.length === 0) return;
+
+    this.markers = this.markers
+      .filter(marker => !this.markersToRemove.includes(marker))
+      .concat(this.markersToAdd);
+
+    /**
+     * AMap.MarkerCluster of JS API 2.0 takes all data points at once.
+     */
+    if (isVersion2()) {
+      this.markerClusterer.setData(this.markers.map(toDataPoint));
+    } else {
+      if (this.markersToAdd.length > 0) this.markerClusterer.addMarkers(this.markersToAdd);
+
+      if (this.markersToRemove.length > 0) {
+        this.markerClusterer.removeMarkers(this.markersToRemove);
+      }
+    }
+
+    this.markersToAdd = [];
+    this.markersToRemove = [];
+  }
+
+  /**
+   * Report loading failure to AMap, and show markers collected so far on map.
+   * Markers of descendants mounting later are left on map.
+   */
+  handleLoadError(error) {
+    const map = this.context;
+
+    this.isFailed = true;
+
+    clearTimeout(this.flushTimer);
+
+    this.markersToAdd.forEach(marker => marker.setMap(map));
+
+    this.markersToAdd = [];
+    this.markersToRemove = [];
+
+    reportError(map, error);
+  }
+
+  /**
+   * Initialise AMap.MarkerClusterer with markers collected before the plugin has been loaded.
+   */
+  initMarkerClusterer(map, MarkerClustererClass) {
+    const { renderCluster } = this.props;
+
+    const markerClusterer = new MarkerClustererClass(map, isVersion2()
+      ? this.markersToAdd.map(toDataPoint)
+      : this.markersToAdd, {
+      ...this.markerClustererOptions,
+      ...(isVersion2() ? { renderMarker: renderSingleMarker } : {}),
+      ...(typeof renderCluster === 'function'
+        ? { renderClusterMarker: context => this.renderClusterMarker(context) }
+        : {}),
+    });
+
+    this.markers = this.markersToAdd;
+
+    this.markersToAdd = [];
+    this.markersToRemove = [];
+
+    return markerClusterer;
+  }
+
+  /**
+   * Return an object of all supported event callbacks.
+   * AMap.MarkerCluster of JS API 2.0 fires click for single markers as well, which is passed on to
+   * the marker of the descendant.
+   */
+  parseEvents() {
+    return {
+      onClick: (event) => {
+        const { onClusterClick } = this.props;
+
+        const markers = toClusterMarkers(event);
+
+        if (isVersion2() && markers.length === 1) {
+          markers[0].emit('click', event);
+
+          return;
+        }
+
+        typeof onClusterClick === 'function'
+          && onClusterClick(this.markerClusterer, markers, event);
+      },
+    };
+  }
+
+  /**
+   * Stop clustering marker of a descendant.
+   * Markers have been cleared if markerClusterer unmounts before its descendants.
+   */
+  removeOverlay(overlay) {
+    if (this.isUnmounted === true) return;
+
+    if (this.markersToAdd.includes(overlay)) {
+      this.markersToAdd = this.markersToAdd.filter(marker => marker !== overlay);
+
+      return;
+    }
+
+    if (!(overlay instanceof window.AMap.Marker)) return;
+
+    this.markersToRemove.push(overlay);
+
+    this.scheduleFlush();
+  }
+
+  /**
+   * Flush markers once descendants mounting or unmounting together have all been collected.
+   */
+  scheduleFlush() {
+    clearTimeout(this.flushTimer);
+
+    this.flushTimer = setTimeout(() => this.flushMarkers(), 0);
+  }
+
+  /**
+   * Update AMap.MarkerClusterer instance with named API and given value.
+   * Won't call API if the given value does not change.
+   */
+  updateMarkerClustererWithAPI(apiName, previousProp, nextProp) {
+    if (!isShallowEqual(previousProp, nextProp)) {
+      callInstanceAPI('MarkerClusterer', this.markerClusterer, apiName, nextProp);
+    }
+  }
+
+  /**
+   * Set a portal container as content of a cluster marker, whose content is rendered with
+   * renderCluster once clusters drawn together have all been collected.
+   * @param {Object} context - { count, marker, markers } passed by AMap.MarkerClusterer, or
+   * { count, marker, clusterData } passed by AMap.MarkerCluster
+   */
+  renderClusterMarker(context) {
+    const { count, marker } = context;
+
+    if (!this.clusterContents.has(marker)) {
+      this.clusterContentId = (this.clusterContentId || 0) + 1;
+
+      this.clusterContents.set(marker, {
+        key: this.clusterContentId,
+        container: document.createElement('div'),
+      });
+    }
+
+    const clusterContent = this.clusterContents.get(marker);
+
+    clusterContent.count = count;
+    clusterContent.markers = toClusterMarkers(context);
+
+    this.drawnClusterMarkers.add(marker);
+
+    marker.setContent(clusterContent.container);
+
+    this.scheduleClusterRender();
+  }
+
+  /**
+   * Render cluster contents once clusters drawn together have all been collected.
+   * Forget contents of cluster markers which have been removed from map since last render.
+   */
+  scheduleClusterRender() {
+    if (this.clusterRenderTimer !== void 0) return;
+
+    this.clusterRenderTimer = setTimeout(() => {
+      this.clusterRenderTimer = void 0;
+
+      this.clusterContents.forEach((clusterContent, marker) => {
+        if (!this.drawnClusterMarkers.has(marker) && !marker.getMap()) {
+          this.clusterContents.delete(marker);
+        }
+      });
+
+      this.drawnClusterMarkers.clear();
+
+      this.forceUpdate();
+    }, 0);
+  }
+
+  /**
+   * Provide overlay container to descendants.
+   * Render cluster contents into cluster markers.
+   */
+  render() {
+    const { children, renderCluster } = this.props;
+
+    return (
+      <OverlayContainerContext.Provider value={this.overlayContainer}>
+        {children}
+        {typeof renderCluster === 'function' && Array.from(this.clusterContents.values())
+          .map(({ key, container, count, markers }) => ReactDOM.createPortal(
+            renderCluster(count, markers),
+            container,
+            key,
+          ))}
+      </OverlayContainerContext.Provider>
+    );
+  }
+}
+
+export default MarkerClusterer;
@@ -0,0 +1,219 @@
+import React from 'react';
+import ReactDOM from 'react-dom';
+import AMapContext from '../AMapContext';
+import Marker from '../Marker';
+import { requirePlugin } from '../utils/requireLibrary';
+import { subscribeErrors } from '../utils/errorRegistry';
+import MarkerClusterer from '.';
+
+jest.mock('../utils/requireLibrary');
+
+const flushPromises = () => new Promise(resolve => setTimeout(resolve, 0));
+
+let container;
+let markers;
+let markerClusterers;
+
+class MockMarker {
+  constructor(options) {
+    this.options = options;
+    this.setMap = jest.fn();
+    this.getPosition = () => ({
+      getLng: () => options.position[0],
+      getLat: () => options.position[1],
+    });
+    this.setLabel = jest.fn();
+    this.setOffset = jest.fn();
+    this.emit = jest.fn();
+    this.on = jest.fn();
+    this.off = jest.fn();
+
+    markers.push(this);
+  }
+}
+
+class MockMarkerClusterer {
+  constructor(map, data, options) {
+    this.map = map;
+    this.data = data;
+    this.options = options;
+    this.addMarkers = jest.fn();
+    this.removeMarkers = jest.fn();
+    this.clearMarkers = jest.fn();
+    this.setData = jest.fn();
+    this.setMap = jest.fn();
+    this.on = jest.fn();
+    this.off = jest.fn();
+
+    markerClusterers.push(this);
+  }
+}
+
+beforeEach(() => {
+  markers = [];
+  markerClusterers = [];
+  window.AMap = {
+    Marker: MockMarker,
+    Pixel: class Pixel {},
+  };
+  container = document.createElement('div');
+  requirePlugin.mockReset();
+});
+
+afterEach(() => {
+  ReactDOM.unmountComponentAtNode(container);
+  delete window.AMap;
+});
+
+const renderMarkerClusterer = (map, positions, props) => {
+  ReactDOM.render(
+    <AMapContext.Provider value={map}>
+      <MarkerClusterer {...props}>
+        {positions.map(position => <Marker key={position.join()} position={position} />)}
+      </MarkerClusterer>
+    </AMapContext.Provider>,
+    container,
+  );
+};
+
+test('Cluster markers mounting together at once', async () => {
+  const map = {};
+
+  requirePlugin.mockImplementation(() => Promise.resolve(MockMarkerClusterer));
+
+  renderMarkerClusterer(map, [[120, 30], [121, 31]]);
+
+  await flushPromises();
+
+  const [markerClusterer] = markerClusterers;
+
+  expect(requirePlugin).toHaveBeenCalledWith('AMap.MarkerClusterer');
+  expect(markerClusterer.data).toEqual(markers);
+  markers.forEach(marker => expect(marker.setMap).toHaveBeenLastCalledWith(null));
+
+  renderMarkerClusterer(map, [[120, 30], [121, 31], [122, 32], [123, 33]]);
+
+  await flushPromises();
+
+  expect(markerClusterer.addMarkers).toHaveBeenCalledTimes(1);
+  expect(markerClusterer.addMarkers).toHaveBeenCalledWith(markers.slice(2));
+
+  renderMarkerClusterer(map, [[120, 30]]);
+
+  await flushPromises();
+
+  expect(markerClusterer.removeMarkers).toHaveBeenCalledTimes(1);
+  expect(markerClusterer.removeMarkers).toHaveBeenCalledWith(markers.slice(1));
+});
+
+test('Cluster data points of markers with AMap.MarkerCluster on JS API 2.0', async () => {
+  const map = {};
+  const onClusterClick = jest.fn();
+
+  window.AMap.version = '2.0';
+  requirePlugin.mockImplementation(() => Promise.resolve(MockMarkerClusterer));
+
+  renderMarkerClusterer(map, [[120, 30], [121, 31]], { onClusterClick });
+
+  await flushPromises();
+
+  const [markerClusterer] = markerClusterers;
+  const [first, second] = markers;
+
+  expect(requirePlugin).toHaveBeenCalledWith('AMap.MarkerCluster');
+  expect(markerClusterer.data).toEqual([
+    { lnglat: [120, 30], marker: first },
+    { lnglat: [121, 31], marker: second },
+  ]);
+
+  renderMarkerClusterer(map, [[121, 31]], { onClusterClick });
+
+  await flushPromises();
+
+  expect(markerClusterer.setData).toHaveBeenCalledWith([{ lnglat: [121, 31], marker: second }]);
+
+  const [[, handleClick]] = markerClusterer.on.mock.calls;
+  const singleClick = { clusterData: [{ marker: second }] };
+  const clusterClick = { clusterData: [{ marker: first }, { marker: second }] };
+
+  handleClick(singleClick);
+  handleClick(clusterClick);
+
+  expect(second.emit).toHaveBeenCalledWith('click', singleClick);
+  expect(onClusterClick).toHaveBeenCalledTimes(1);
+  expect(onClusterClick).toHaveBeenCalledWith(markerClusterer, [first, second], clusterClick);
+});
+
+test('Show markers on map and report failure once plugin fails to load', async () => {
+  const map = {};
+  const error = Error('AMap.MarkerClusterer is not available.');
+  const listener = jest.fn();
+
+  subscribeErrors(map, listener);
+  requirePlugin.mockImplementation(() => Promise.reject(error));
+
+  renderMarkerClusterer(map, [[120, 30], [121, 31]]);
+
+  await flushPromises();
+
+  expect(listener).toHaveBeenCalledWith(error);
+  markers.forEach(marker => expect(marker.setMap).toHaveBeenLastCalledWith(map));
+
+  renderMarkerClusterer(map, [[120, 30], [121, 31], [122, 32]]);
+
+  expect(markers[2].setMap).toHaveBeenLastCalledWith(map);
+});
+
+test('Create nothing once unmounted before plugin has been loaded', async () => {
+  const map = {};
+  const listener = jest.fn();
+  let rejectPlugin;
+
+  subscribeErrors(map, listener);
+  requirePlugin.mockImplementation(() => new Promise((resolve, reject) => {
+    rejectPlugin = reject;
+  }));
+
+  renderMarkerClusterer(map, [[120, 30]]);
+
+  ReactDOM.unmountComponentAtNode(container);
+
+  rejectPlugin(Error('AMap.MarkerClusterer is not available.'));
+
+  await flushPromises();
+
+  expect(markerClusterers).toHaveLength(0);
+  expect(listener).not.toHaveBeenCalled();
+});
+
+test('Render cluster content into cluster markers with portals', async () => {
+  const map = {};
+  const handleClick = jest.fn();
+  const renderCluster = count => (
+    <button type="button" onClick={handleClick}>{count} stores</button>
+  );
+
+  requirePlugin.mockImplementation(() => Promise.resolve(MockMarkerClusterer));
+
+  renderMarkerClusterer(map, [[120, 30], [121, 31]], { renderCluster });
+
+  await flushPromises();
+
+  const [markerClusterer] = markerClusterers;
+  const clusterMarker = { setContent: jest.fn(), getMap: () => map };
+
+  markerClusterer.options.renderClusterMarker({ count: 2, markers, marker: clusterMarker });
+
+  await flushPromises();
+
+  const [[content]] = clusterMarker.setContent.mock.calls;
+
+  expect(content.textContent).toBe('2 stores');
+
+  markerClusterer.options.renderClusterMarker({ count: 3, markers, marker: clusterMarker });
+
+  await flushPromises();
+
+  expect(clusterMarker.setContent).toHaveBeenLastCalledWith(content);
+  expect(content.textContent).toBe('3 stores');
+});
@@ -1,11 +1,14 @@
 import React from 'react';
 import PropTypes from 'prop-types';
+import isEqual from 'lodash/isEqual';
 import AMapContext from '../AMapContext';
 import breakIfNotChildOfAMap from '../utils/breakIfNotChildOfAMap';
 import cloneDeep from '../utils/cloneDeep';
 import createEventCallback from '../utils/createEventCallback';
+import gridCluster from '../utils/gridCluster';
 import isShallowEqual from '../utils/isShallowEqual';
 import { bindInstanceEvent, removeInstanceEvent } from '../utils/instanceEventHandler';
+import { callInstanceAPI, toPixel, toSize } from '../utils/versionAdapter';
 
 /**
  * Fields that need to be deep copied.
@@ -21,13 +24,32 @@ const NEED_DEEP_COPY_FIELDS = ['data', 'style'];
  */
 class MassMarks extends React.Component {
   static propTypes = {
+    /**
+     * self defined prop: Cluster data in grid cells, recomputed once map zoom ends.
+     * true or { gridSize, minClusterSize, getStyle }
+     * gridSize: Cell size in pixels, 60 by default.
+     * minClusterSize: Least number of points to form a cluster, 2 by default.
+     * getStyle: (count) => index of cluster style in style array. By default, clusters of less
+     * than 10 points use style 1, less than 100 use style 2 and so on, up to the last style.
+     * Cluster points are { lnglat, count, members, style }, members are records of data.
+     * Clusters are computed again once data, cluster or style change. Define getStyle outside of
+     * render, a new function on every render clusters data on every render.
+     */
+    /* eslint-disable react/no-unused-prop-types */
+    cluster: PropTypes.oneOfType([
+      PropTypes.bool,
+      PropTypes.shape({
+        getStyle: PropTypes.func,
+        gridSize: PropTypes.number,
+        minClusterSize: PropTypes.number,
+      }),
+    ]),
     /**
      * MassMarks dataset.
      */
     data: PropTypes.arrayOf(PropTypes.shape({
       lnglat: PropTypes.arrayOf(PropTypes.number).isRequired,
     })).isRequired,
-    /* eslint-disable react/no-unused-prop-types */
     style: PropTypes.oneOfType([
       PropTypes.arrayOf(PropTypes.shape({
         /**
@@ -77,6 +99,15 @@ class MassMarks extends React.Component {
     onMouseDown: PropTypes.func,
     onTouchStart: PropTypes.func,
     onTouchEnd: PropTypes.func,
+    /**
+     * self defined prop: Event callback fired once a cluster point is clicked.
+     * Signature:
+     * (massMarks, members, event) => void
+     * massMarks: AMap.MassMarks instance.
+     * members: Records of data in the cluster.
+     * event: AMap event.
+     */
+    onClusterClick: PropTypes.func,
     /* eslint-enable */
   };
 
@@ -104,6 +135,8 @@ class MassMarks extends React.Component {
       onMouseDown,
       onTouchStart,
       onTouchEnd,
+      onClusterClick,
+      cluster,
       ...massMarksOptions
     } = props;
 
@@ -118,29 +151,39 @@ class MassMarks extends React.Component {
           return style.map((styleObject) => {
             return {
               ...styleObject,
-              anchor: styleObject.anchor instanceof window.AMap.Pixel
-                ? styleObject.anchor
-                : new window.AMap.Pixel(...styleObject.anchor),
-              size: styleObject.size instanceof window.AMap.Size
-                ? styleObject.size
-                : new window.AMap.Size(...styleObject.size),
+              anchor: toPixel(styleObject.anchor),
+              size: toSize(styleObject.size),
             };
           });
         }
 
         return {
           ...style,
-          anchor: style.anchor instanceof window.AMap.Pixel
-            ? style.anchor
-            : new window.AMap.Pixel(...style.anchor),
-          size: style.size instanceof window.AMap.Size
-           ? style.size
-            : new window.AMap.Size(...style.size),
+          anchor: toPixel(style.anchor),
+          size: toSize(style.size),
         };
       })(),
     };
   }
 
+  /**
+   * Cluster data with cluster prop at zoom level, return data as it is if cluster is not set.
+   */
+  static clusterData(props, zoom) {
+    const { cluster, data, style } = props;
+
+    if (!cluster) return data;
+
+    const styleCount = style instanceof Array ? style.length : 0;
+
+    return gridCluster(data, zoom, {
+      getStyle: styleCount === 0
+        ? void 0
+        : count => Math.min(String(count).length, styleCount - 1),
+      ...(cluster === true ? {} : cluster),
+    });
+  }
+
   /**
    * Define event name mapping relations of react binding MassMarks and AMap.MassMarks.
    * Initialise AMap.MassMarks and bind events.
@@ -152,6 +195,8 @@ class MassMarks extends React.Component {
 
     breakIfNotChildOfAMap('MassMarks', map);
 
+    this.map = map;
+
     this.massMarksOptions = MassMarks.parseMassMarksOptions(this.props);
 
     this.massMarks = this.initMassMarks(map);
@@ -172,8 +217,24 @@ class MassMarks extends React.Component {
     this.updateMassMarksWithAPI('setStyle', this.massMarksOptions.style, nextMassMarksOptions.style,
       newMassMarksOptions.style);
 
-    this.updateMassMarksWithAPI('setData', this.massMarksOptions.data, nextMassMarksOptions.data,
-      newMassMarksOptions.data);
+    if (nextProps.cluster) {
+      /**
+       * Clusters depend on data, cluster options and styles to choose from.
+       */
+      if (!isShallowEqual(this.props.cluster, nextProps.cluster) ||
+        !isShallowEqual(this.massMarksOptions.data, nextMassMarksOptions.data) ||
+        !isEqual(this.props.style, nextProps.style)) {
+        this.massMarks.setData(MassMarks.clusterData(nextProps, this.map.getZoom()));
+      }
+    } else if (this.props.cluster) {
+      /**
+       * Cluster records refer to data records, only deep copy data which is not clustered.
+       */
+      this.massMarks.setData(newMassMarksOptions.data);
+    } else {
+      this.updateMassMarksWithAPI('setData', this.massMarksOptions.data,
+        nextMassMarksOptions.data, newMassMarksOptions.data);
+    }
 
     this.massMarksOptions = nextMassMarksOptions;
 
@@ -186,11 +247,33 @@ class MassMarks extends React.Component {
    */
   componentWillUnmount() {
     removeInstanceEvent(this.massMarks, this.AMapEventListeners);
+    removeInstanceEvent(this.map, this.mapEventListeners);
 
     this.massMarks.setMap(null);
     this.massMarks = null;
   }
 
+  /**
+   * Ref handle: AMap.MassMarks instance.
+   */
+  getInstance() {
+    return this.massMarks;
+  }
+
+  /**
+   * Ref handle: Current dataset.
+   */
+  getData() {
+    return this.massMarks.getData();
+  }
+
+  /**
+   * Ref handle: Remove all points.
+   */
+  clear() {
+    this.massMarks.clear();
+  }
+
   /**
    * Bind all events on map instance, and save event listeners which will be removed in
    * componentWillUnmount lifecycle.
@@ -204,6 +287,30 @@ class MassMarks extends React.Component {
     const eventCallbacks = this.parseEvents();
 
     bindInstanceEvent(this.massMarks, eventCallbacks, this.AMapEventListeners);
+
+    /**
+     * Cluster clicks are handled besides onClick, both listen to click event.
+     */
+    bindInstanceEvent(this.massMarks, {
+      onClick: (event) => {
+        const { onClusterClick } = this.props;
+
+        if (event.data === void 0 || event.data.members === void 0) return;
+
+        typeof onClusterClick === 'function'
+          && onClusterClick(this.massMarks, event.data.members, event);
+      },
+    }, this.AMapEventListeners);
+
+    this.mapEventListeners = [];
+
+    bindInstanceEvent(this.map, {
+      onZoomEnd: () => {
+        if (this.props.cluster) {
+          this.massMarks.setData(MassMarks.clusterData(this.props, this.map.getZoom()));
+        }
+      },
+    }, this.mapEventListeners);
   }
 
   /**
@@ -211,11 +318,16 @@ class MassMarks extends React.Component {
    */
   initMassMarks(map) {
     const {
-      data,
+      cluster,
       visible,
     } = this.props;
 
-    const newMassMarksData = cloneDeep(data);
+    const massMarksData = MassMarks.clusterData(this.props, map.getZoom());
+
+    /**
+     * Cluster records refer to data records, do not deep copy them.
+     */
+    const newMassMarksData = cluster ? massMarksData : cloneDeep(massMarksData);
     const newMassMarksOptions = cloneDeep(this.massMarksOptions, NEED_DEEP_COPY_FIELDS);
 
     const massMarks = new window.AMap.MassMarks(
@@ -263,7 +375,7 @@ class MassMarks extends React.Component {
    */
   updateMassMarksWithAPI(apiName, previousProp, nextProp, newProp) {
     if (!isShallowEqual(previousProp, nextProp)) {
-      this.massMarks[apiName](newProp);
+      callInstanceAPI('MassMarks', this.massMarks, apiName, newProp);
     }
   }
 
@@ -0,0 +1,86 @@
+import React from 'react';
+import ReactDOM from 'react-dom';
+import AMapContext from '../AMapContext';
+import MassMarks from '.';
+
+let container;
+let massMarksList;
+
+class MockMassMarks {
+  constructor(data, options) {
+    this.data = data;
+    this.options = options;
+    this.setMap = jest.fn();
+    this.setData = jest.fn();
+    this.setStyle = jest.fn();
+    this.on = jest.fn();
+    this.off = jest.fn();
+
+    massMarksList.push(this);
+  }
+}
+
+const data = [
+  { lnglat: [120, 30] },
+  { lnglat: [120.0001, 30.0001] },
+];
+
+const style = [
+  { url: 'small.png', anchor: [5, 5], size: [10, 10] },
+  { url: 'medium.png', anchor: [10, 10], size: [20, 20] },
+];
+
+const createMap = () => ({
+  getZoom: () => 10,
+  on: jest.fn(),
+  off: jest.fn(),
+});
+
+beforeEach(() => {
+  massMarksList = [];
+  window.AMap = {
+    MassMarks: MockMassMarks,
+    Pixel: class Pixel {},
+    Size: class Size {},
+  };
+  container = document.createElement('div');
+});
+
+afterEach(() => {
+  ReactDOM.unmountComponentAtNode(container);
+  delete window.AMap;
+});
+
+const renderMassMarks = (map, props) => {
+  ReactDOM.render(
+    <AMapContext.Provider value={map}>
+      <MassMarks data={data} style={style} {...props} />
+    </AMapContext.Provider>,
+    container,
+  );
+};
+
+test('Cluster data again once style or cluster options change', () => {
+  const map = createMap();
+
+  renderMassMarks(map, { cluster: true });
+
+  const [massMarks] = massMarksList;
+
+  expect(massMarks.data).toHaveLength(1);
+  expect(massMarks.data[0]).toMatchObject({ count: 2, style: 1 });
+
+  renderMassMarks(map, { cluster: true, visible: true });
+
+  expect(massMarks.setData).not.toHaveBeenCalled();
+
+  renderMassMarks(map, { cluster: true, style: [style[0]] });
+
+  expect(massMarks.setData).toHaveBeenCalledTimes(1);
+  expect(massMarks.setData.mock.calls[0][0][0]).toMatchObject({ count: 2, style: 0 });
+
+  renderMassMarks(map, { cluster: { minClusterSize: 3 }, style: [style[0]] });
+
+  expect(massMarks.setData).toHaveBeenCalledTimes(2);
+  expect(massMarks.setData.mock.calls[1][0]).toHaveLength(2);
+});
@@ -0,0 +1,9 @@
+import React from 'react';
+
+/**
+ * Closest component which manages overlays of its descendants, i.e. OverlayGroup.
+ * Value: { addOverlay, removeOverlay }
+ * addOverlay: (overlay) => void, called by overlay components once they have mounted.
+ * removeOverlay: (overlay) => void, called by overlay components before they unmount.
+ */
+export default React.createContext();
@@ -0,0 +1,287 @@
+import React from 'react';
+import PropTypes from 'prop-types';
+import isUndefined from 'lodash/isUndefined';
+import omitBy from 'lodash/omitBy';
+import AMapContext from '../AMapContext';
+import OverlayContainerContext from '../OverlayContainerContext';
+import breakIfNotChildOfAMap from '../utils/breakIfNotChildOfAMap';
+import createEventCallback from '../utils/createEventCallback';
+import isShallowEqual from '../utils/isShallowEqual';
+import { bindInstanceEvent, removeInstanceEvent } from '../utils/instanceEventHandler';
+import { callInstanceAPI } from '../utils/versionAdapter';
+
+/**
+ * Set options and zIndex shared by overlayGroup on an overlay.
+ * @param {Object} overlay - AMap overlay instance
+ * @param {Object} overlayGroupOptions - { options, zIndex }
+ */
+function setSharedOptions(overlay, { options, zIndex }) {
+  const sharedOptions = omitBy({ ...options, zIndex }, isUndefined);
+
+  if (Object.keys(sharedOptions).length === 0) return;
+
+  if (typeof overlay.setOptions === 'function') {
+    overlay.setOptions(sharedOptions);
+  } else if (zIndex !== void 0) {
+    callInstanceAPI('OverlayGroup', overlay, 'setzIndex', zIndex);
+  }
+}
+
+/**
+ * OverlayGroup binding.
+ * {@link https://lbs.amap.com/api/javascript-api/reference/overlay#overlaygroup}
+ * Overlays created by descendant Marker, Text, ElasticMarker, Polygon, Polyline, Circle,
+ * CircleMarker, Rectangle and Ellipse components join the closest OverlayGroup instead of being
+ * controlled one by one.
+ */
+class OverlayGroup extends React.Component {
+  static propTypes = {
+    /**
+     * Overlay components, at any depth.
+     */
+    children: PropTypes.node,
+    /**
+     * self defined prop: Options shared by overlays, i.e. { strokeColor: 'red' }.
+     * Shared options are set on overlays which join the group and once they change, through
+     * setOptions of each overlay. Overlays without setOptions, i.e. Marker, only take zIndex.
+     * Options of an overlay component override shared options once the component updates.
+     */
+    /* eslint-disable react/no-unused-prop-types */
+    options: PropTypes.object,
+    /**
+     * Show OverlayGroup by default, you can toggle show or hide all overlays by changing visible.
+     */
+    visible: PropTypes.bool,
+    /**
+     * self defined prop: zIndex of all overlays.
+     */
+    zIndex: PropTypes.number,
+    /**
+     * Event callback.
+     * Signature:
+     * (map, overlayGroup) => void
+     * map: AMap.Map instance.
+     * overlayGroup: AMap.OverlayGroup instance.
+     */
+    /* eslint-disable react/sort-prop-types,react/no-unused-prop-types */
+    onComplete: PropTypes.func,
+    /**
+     * Event callback bound on every overlay of the group, including overlays which join later.
+     * Signature:
+     * (overlay, ...event) => void
+     * overlay: AMap overlay instance which fires the event.
+     * event: AMap event.
+     */
+    onClick: PropTypes.func,
+    onDblClick: PropTypes.func,
+    onRightClick: PropTypes.func,
+    onMouseOver: PropTypes.func,
+    onMouseOut: PropTypes.func,
+    onMouseDown: PropTypes.func,
+    onMouseUp: PropTypes.func,
+    onTouchStart: PropTypes.func,
+    onTouchMove: PropTypes.func,
+    onTouchEnd: PropTypes.func,
+    /* eslint-enable */
+  };
+
+  static defaultProps = {
+    visible: true,
+  };
+
+  /**
+   * AMap map instance.
+   */
+  static contextType = AMapContext;
+
+  /**
+   * Parse AMap.OverlayGroup options.
+   * Named properties are event callbacks, other properties are overlayGroup options.
+   */
+  static parseOverlayGroupOptions(props) {
+    const {
+      children,
+      onComplete,
+      onClick,
+      onDblClick,
+      onRightClick,
+      onMouseOver,
+      onMouseOut,
+      onMouseDown,
+      onMouseUp,
+      onTouchStart,
+      onTouchMove,
+      onTouchEnd,
+      ...overlayGroupOptions
+    } = props;
+
+    return overlayGroupOptions;
+  }
+
+  /**
+   * Initialise AMap.OverlayGroup.
+   * Create the overlay container passed to descendants.
+   * Fire complete action as soon as overlayGroup has been created.
+   */
+  constructor(props, context) {
+    super(props);
+
+    const { onComplete } = this.props;
+
+    const map = context;
+
+    breakIfNotChildOfAMap('OverlayGroup', map);
+
+    this.overlayGroupOptions = OverlayGroup.parseOverlayGroupOptions(this.props);
+
+    this.overlayGroup = this.initOverlayGroup(map);
+
+    /**
+     * Event listeners of each overlay, keyed by overlay.
+     */
+    this.AMapEventListeners = new Map();
+
+    /**
+     * Context value stays the same during the whole life of overlayGroup.
+     */
+    this.overlayContainer = {
+      addOverlay: overlay => this.addOverlay(overlay),
+      removeOverlay: overlay => this.removeOverlay(overlay),
+    };
+
+    typeof onComplete === 'function' && onComplete(map, this.overlayGroup);
+  }
+
+  /**
+   * Update overlays by calling AMap.OverlayGroup methods.
+   * Render again so that descendants receive their changes.
+   */
+  shouldComponentUpdate(nextProps) {
+    const nextOverlayGroupOptions = OverlayGroup.parseOverlayGroupOptions(nextProps);
+
+    this.toggleVisible(this.overlayGroupOptions.visible, nextOverlayGroupOptions.visible);
+
+    if (!isShallowEqual(this.overlayGroupOptions.options, nextOverlayGroupOptions.options) ||
+      !isShallowEqual(this.overlayGroupOptions.zIndex, nextOverlayGroupOptions.zIndex)) {
+      this.overlayGroup.getOverlays().forEach((overlay) => {
+        setSharedOptions(overlay, nextOverlayGroupOptions);
+      });
+    }
+
+    this.overlayGroupOptions = nextOverlayGroupOptions;
+
+    return true;
+  }
+
+  /**
+   * Remove event listeners.
+   * Remove overlays from overlayGroup.
+   */
+  componentWillUnmount() {
+    this.isUnmounted = true;
+
+    this.AMapEventListeners.forEach((listeners, overlay) => {
+      removeInstanceEvent(overlay, listeners);
+    });
+    this.AMapEventListeners.clear();
+
+    this.overlayGroup.clearOverlays();
+    this.overlayGroup = null;
+  }
+
+  /**
+   * Ref handle: AMap.OverlayGroup instance.
+   */
+  getInstance() {
+    return this.overlayGroup;
+  }
+
+  /**
+   * Add overlay of a descendant to overlayGroup.
+   * Set shared options, hide it if overlayGroup is hidden, and bind event callbacks on it.
+   */
+  addOverlay(overlay) {
+    this.overlayGroup.addOverlay(overlay);
+
+    setSharedOptions(overlay, this.overlayGroupOptions);
+
+    if (this.overlayGroupOptions.visible === false) overlay.hide();
+
+    const listeners = [];
+
+    bindInstanceEvent(overlay, this.parseEvents(overlay), listeners);
+
+    this.AMapEventListeners.set(overlay, listeners);
+  }
+
+  /**
+   * Initialise AMap.OverlayGroup.
+   */
+  initOverlayGroup(map) {
+    const { visible } = this.props;
+
+    const overlayGroup = new window.AMap.OverlayGroup();
+
+    overlayGroup.setMap(map);
+
+    if (visible === false) overlayGroup.hide();
+
+    return overlayGroup;
+  }
+
+  /**
+   * Return an object of all supported event callbacks of an overlay.
+   */
+  parseEvents(overlay) {
+    return {
+      onClick: createEventCallback('onClick', overlay).bind(this),
+      onDblClick: createEventCallback('onDblClick', overlay).bind(this),
+      onRightClick: createEventCallback('onRightClick', overlay).bind(this),
+      onMouseOver: createEventCallback('onMouseOver', overlay).bind(this),
+      onMouseOut: createEventCallback('onMouseOut', overlay).bind(this),
+      onMouseDown: createEventCallback('onMouseDown', overlay).bind(this),
+      onMouseUp: createEventCallback('onMouseUp', overlay).bind(this),
+      onTouchStart: createEventCallback('onTouchStart', overlay).bind(this),
+      onTouchMove: createEventCallback('onTouchMove', overlay).bind(this),
+      onTouchEnd: createEventCallback('onTouchEnd', overlay).bind(this),
+    };
+  }
+
+  /**
+   * Remove overlay of a descendant from overlayGroup, and its event listeners.
+   * Overlays have been removed if overlayGroup unmounts before its descendants.
+   */
+  removeOverlay(overlay) {
+    if (this.isUnmounted === true) return;
+
+    removeInstanceEvent(overlay, this.AMapEventListeners.get(overlay) || []);
+    this.AMapEventListeners.delete(overlay);
+
+    this.overlayGroup.removeOverlay(overlay);
+  }
+
+  /**
+   * Hide or show all overlays.
+   */
+  toggleVisible(previousProp, nextProp) {
+    if (!isShallowEqual(previousProp, nextProp)) {
+      if (nextProp === true) this.overlayGroup.show();
+      if (nextProp === false) this.overlayGroup.hide();
+    }
+  }
+
+  /**
+   * Provide overlay container to descendants.
+   */
+  render() {
+    const { children } = this.props;
+
+    return (
+      <OverlayContainerContext.Provider value={this.overlayContainer}>
+        {children}
+      </OverlayContainerContext.Provider>
+    );
+  }
+}
+
+export default OverlayGroup;
@@ -0,0 +1,90 @@
+import React from 'react';
+import ReactDOM from 'react-dom';
+import AMapContext from '../AMapContext';
+import CircleMarker from '../CircleMarker';
+import Ellipse from '../Ellipse';
+import Rectangle from '../Rectangle';
+import OverlayGroup from '.';
+
+let container;
+let overlayGroups;
+
+class MockOverlay {
+  constructor(options) {
+    this.options = options;
+    this.setMap = jest.fn();
+    this.setOptions = jest.fn();
+    this.hide = jest.fn();
+    this.on = jest.fn();
+    this.off = jest.fn();
+  }
+}
+
+class MockOverlayGroup {
+  constructor() {
+    this.overlays = [];
+    this.setMap = jest.fn();
+    this.addOverlay = jest.fn(overlay => this.overlays.push(overlay));
+    this.removeOverlay = jest.fn();
+    this.clearOverlays = jest.fn();
+    this.hide = jest.fn();
+
+    overlayGroups.push(this);
+  }
+}
+
+beforeEach(() => {
+  overlayGroups = [];
+  window.AMap = {
+    Bounds: class Bounds {},
+    CircleMarker: class MockCircleMarker extends MockOverlay {},
+    Ellipse: class MockEllipse extends MockOverlay {},
+    OverlayGroup: MockOverlayGroup,
+    Rectangle: class MockRectangle extends MockOverlay {},
+  };
+  container = document.createElement('div');
+});
+
+afterEach(() => {
+  ReactDOM.unmountComponentAtNode(container);
+  delete window.AMap;
+});
+
+const Area = () => <Rectangle bounds={[[120, 30], [121, 31]]} />;
+
+test('Add overlays of descendants at any depth to overlayGroup', () => {
+  const map = {};
+  const ellipseRef = React.createRef();
+
+  ReactDOM.render(
+    <AMapContext.Provider value={map}>
+      <OverlayGroup visible={false}>
+        <Area />
+        <div>
+          <Ellipse ref={ellipseRef} center={[120, 30]} radius={[100, 50]} />
+          <CircleMarker center={[120, 30]} radius={10} />
+        </div>
+      </OverlayGroup>
+    </AMapContext.Provider>,
+    container,
+  );
+
+  const [overlayGroup] = overlayGroups;
+  const [rectangle, ellipse, circleMarker] = overlayGroup.overlays;
+
+  expect(rectangle).toBeInstanceOf(window.AMap.Rectangle);
+  expect(ellipse).toBe(ellipseRef.current.getInstance());
+  expect(circleMarker).toBeInstanceOf(window.AMap.CircleMarker);
+  overlayGroup.overlays.forEach(overlay => expect(overlay.hide).toHaveBeenCalled());
+
+  ReactDOM.render(
+    <AMapContext.Provider value={map}>
+      <OverlayGroup visible={false}>
+        <Area />
+      </OverlayGroup>
+    </AMapContext.Provider>,
+    container,
+  );
+
+  expect(overlayGroup.removeOverlay.mock.calls).toEqual([[ellipse], [circleMarker]]);
+});
@@ -161,6 +161,41 @@ class PathNavigator extends React.Component {
     this.pathNavigator = null;
   }
 
+  /**
+   * Ref handle: PathNavigator instance.
+   */
+  getInstance() {
+    return this.pathNavigator;
+  }
+
+  /**
+   * Ref handle: Pause navigation.
+   */
+  pause() {
+    this.pathNavigator.pause();
+  }
+
+  /**
+   * Ref handle: Resume paused navigation.
+   */
+  resume() {
+    this.pathNavigator.resume();
+  }
+
+  /**
+   * Ref handle: Start navigation from point index, the first point by default.
+   */
+  start(pointIndex) {
+    this.pathNavigator.start(pointIndex);
+  }
+
+  /**
+   * Ref handle: Stop navigation.
+   */
+  stop() {
+    this.pathNavigator.stop();
+  }
+
   /**
    * Update pathNavigator range.
    * @param  {Object} currentProp - Current value
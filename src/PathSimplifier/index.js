@@ -5,6 +5,8 @@ import AMapContext from '../AMapContext';
 import breakIfNotChildOfAMap from '../utils/breakIfNotChildOfAMap';
 import isShallowEqual from '../utils/isShallowEqual';
 import createEventCallback from '../utils/createEventCallback';
+import { reportError } from '../utils/errorRegistry';
+import requireLibrary from '../utils/requireLibrary';
 
 /**
  * PathSimplifier binding.
@@ -103,12 +105,30 @@ class PathSimplifier extends React.Component {
   }
 
   /**
-   * Asynchronously load PathSimplifier module.
+   * Asynchronously load AMapUI library if it has not been loaded, then PathSimplifier module.
    * Initialise AMapUI.PathSimplifier and bind events.
    * Binding onComplete event on pathSimplifier instance.
+   * Loading failures are reported to AMap, which handles them with onError and fallback.
    */
-  componentDidMount() {
-    window.AMapUI.loadUI(['misc/PathSimplifier'], (PathSimplifierClass) => {
+  async componentDidMount() {
+    let AMapUI;
+
+    try {
+      AMapUI = await requireLibrary('AMapUI');
+    } catch (error) {
+      if (this.isUnmounted !== true) reportError(this.context, error);
+
+      return;
+    }
+
+    /**
+     * Component may unmount before the library has been loaded.
+     */
+    if (this.isUnmounted === true) return;
+
+    AMapUI.loadUI(['misc/PathSimplifier'], (PathSimplifierClass) => {
+      if (this.isUnmounted === true) return;
+
       const map = this.context;
 
       this.PathSimplifierClass = PathSimplifierClass;
@@ -168,6 +188,8 @@ class PathSimplifier extends React.Component {
    * Remove pathSimplifier.
    */
   componentWillUnmount() {
+    this.isUnmounted = true;
+
     /**
      * The eventCallbacks and pathSimplifier variables are assigned
      * after the asynchronous PathSimplifier module has been loaded.
@@ -189,6 +211,22 @@ class PathSimplifier extends React.Component {
     }
   }
 
+  /**
+   * Ref handle: AMapUI.PathSimplifier instance.
+   * Undefined until PathSimplifier module has been loaded.
+   */
+  getInstance() {
+    return this.pathSimplifier;
+  }
+
+  /**
+   * Ref handle: Select path by index, -1 clears selection.
+   * Do nothing until PathSimplifier module has been loaded.
+   */
+  setSelectedPathIndex(index) {
+    this.pathSimplifier && this.pathSimplifier.setSelectedPathIndex(index);
+  }
+
   /**
    * Allow to create pathNavigator after previous PathNavigator instance is destoryed.
    * @param  {Object} prevState - Previous state
@@ -255,6 +293,14 @@ class PathSimplifier extends React.Component {
     }
   }
 
+  /**
+   * Ref handle: Render paths in the next frame.
+   * Do nothing until PathSimplifier module has been loaded.
+   */
+  renderLater() {
+    this.pathSimplifier && this.pathSimplifier.renderLater();
+  }
+
   /**
    * Destory pathNavigator once the pathSimplifier data is changed.
    * Pass map object instantiated by AMap.Map、pathSimplifier instance
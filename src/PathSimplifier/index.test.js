@@ -0,0 +1,42 @@
+import React from 'react';
+import ReactDOM from 'react-dom';
+import AMapContext from '../AMapContext';
+import requireLibrary from '../utils/requireLibrary';
+import { subscribeErrors } from '../utils/errorRegistry';
+import PathSimplifier from '.';
+
+jest.mock('../utils/requireLibrary');
+
+const flushPromises = () => new Promise(resolve => setTimeout(resolve, 0));
+
+let container;
+
+beforeEach(() => {
+  window.AMap = {};
+  container = document.createElement('div');
+});
+
+afterEach(() => {
+  ReactDOM.unmountComponentAtNode(container);
+  delete window.AMap;
+});
+
+test('Report AMapUI loading failure to AMap', async () => {
+  const map = {};
+  const error = Error('AMapUI failed to load.');
+  const listener = jest.fn();
+
+  subscribeErrors(map, listener);
+  requireLibrary.mockImplementation(() => Promise.reject(error));
+
+  ReactDOM.render(
+    <AMapContext.Provider value={map}>
+      <PathSimplifier data={[]} />
+    </AMapContext.Provider>,
+    container,
+  );
+
+  await flushPromises();
+
+  expect(listener).toHaveBeenCalledWith(error);
+});
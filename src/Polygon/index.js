@@ -1,11 +1,15 @@
 import React from 'react';
 import PropTypes from 'prop-types';
 import AMapContext from '../AMapContext';
+import OverlayContainerContext from '../OverlayContainerContext';
 import breakIfNotChildOfAMap from '../utils/breakIfNotChildOfAMap';
 import cloneDeep from '../utils/cloneDeep';
 import createEventCallback from '../utils/createEventCallback';
 import isShallowEqual from '../utils/isShallowEqual';
 import { bindInstanceEvent, removeInstanceEvent } from '../utils/instanceEventHandler';
+import { registerOverlay } from '../utils/overlayRegistry';
+import { callInstanceAPI } from '../utils/versionAdapter';
+import withContextProp from '../utils/withContextProp';
 import { isEqual } from 'lodash';
 
 /**
@@ -22,6 +26,14 @@ const NEED_DEEP_COPY_FIELDS = ['path'];
  */
 class Polygon extends React.Component {
   static propTypes = {
+    /**
+     * Closest overlay container, i.e. OverlayGroup, read from context.
+     */
+    overlayContainer: PropTypes.object,
+    /**
+     * self defined prop: Key to select this overlay in AMap fitView.
+     */
+    overlayKey: PropTypes.string,
     /**
      * Show polygon by default, you can toggle show or hide by changing visible.
      */
@@ -80,6 +92,8 @@ class Polygon extends React.Component {
       onTouchStart,
       onTouchMove,
       onTouchEnd,
+      overlayContainer,
+      overlayKey,
       ...polygonOptions
     } = props;
 
@@ -104,11 +118,26 @@ class Polygon extends React.Component {
 
     this.polygon = this.initPolygon(map);
 
+    this.unregisterOverlay = registerOverlay(map, {
+      instance: this.polygon,
+      type: 'Polygon',
+      key: this.props.overlayKey,
+    });
+
     this.bindEvents();
 
     typeof onComplete === 'function' && onComplete(map, this.polygon);
   }
 
+  /**
+   * Hand polygon over to the closest OverlayGroup, if there is one.
+   */
+  componentDidMount() {
+    const { overlayContainer } = this.props;
+
+    overlayContainer && overlayContainer.addOverlay(this.polygon);
+  }
+
   /**
    * Update this.polygon by calling AMap.Polygon methods.
    */
@@ -136,10 +165,44 @@ class Polygon extends React.Component {
   componentWillUnmount() {
     removeInstanceEvent(this.polygon, this.AMapEventListeners);
 
+    this.unregisterOverlay();
+
+    const { overlayContainer } = this.props;
+
+    overlayContainer && overlayContainer.removeOverlay(this.polygon);
+
     this.polygon.setMap(null);
     this.polygon = null;
   }
 
+  /**
+   * Ref handle: AMap.Polygon instance.
+   */
+  getInstance() {
+    return this.polygon;
+  }
+
+  /**
+   * Ref handle: Area in square meters.
+   */
+  getArea() {
+    return this.polygon.getArea();
+  }
+
+  /**
+   * Ref handle: Current path, which may differ from props after editing.
+   */
+  getPath() {
+    return this.polygon.getPath();
+  }
+
+  /**
+   * Ref handle: Whether polygon contains point, an array of lng and lat or AMap.LngLat.
+   */
+  contains(point) {
+    return this.polygon.contains(point);
+  }
+
   /**
    * Bind all events on map instance, and save event listeners which will be removed in
    * componentWillUnmount lifecycle.
@@ -215,7 +278,7 @@ class Polygon extends React.Component {
    */
   updatePolygonWithApi(apiName, previousProp, nextProp, newProp) {
     if (!isShallowEqual(previousProp, nextProp)) {
-      this.polygon[apiName](newProp);
+      callInstanceAPI('Polygon', this.polygon, apiName, newProp);
     }
   }
 
@@ -227,4 +290,4 @@ class Polygon extends React.Component {
   }
 }
 
-export default Polygon;
+export default withContextProp(OverlayContainerContext, 'overlayContainer', Polygon);
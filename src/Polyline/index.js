@@ -1,11 +1,15 @@
 import React from 'react';
 import PropTypes from 'prop-types';
 import AMapContext from '../AMapContext';
+import OverlayContainerContext from '../OverlayContainerContext';
 import breakIfNotChildOfAMap from '../utils/breakIfNotChildOfAMap';
 import cloneDeep from '../utils/cloneDeep';
 import createEventCallback from '../utils/createEventCallback';
 import isShallowEqual from '../utils/isShallowEqual';
 import { bindInstanceEvent, removeInstanceEvent } from '../utils/instanceEventHandler';
+import { registerOverlay } from '../utils/overlayRegistry';
+import { callInstanceAPI } from '../utils/versionAdapter';
+import withContextProp from '../utils/withContextProp';
 import { isEqual } from 'lodash';
 
 /**
@@ -22,6 +26,14 @@ const NEED_DEEP_COPY_FIELDS = ['path'];
  */
 class Polyline extends React.Component {
   static propTypes = {
+    /**
+     * Closest overlay container, i.e. OverlayGroup, read from context.
+     */
+    overlayContainer: PropTypes.object,
+    /**
+     * self defined prop: Key to select this overlay in AMap fitView.
+     */
+    overlayKey: PropTypes.string,
     /**
      * Shows Polyline by default, you can toggle show or hide by changing visible.
      */
@@ -80,6 +92,8 @@ class Polyline extends React.Component {
       onTouchStart,
       onTouchMove,
       onTouchEnd,
+      overlayContainer,
+      overlayKey,
       ...polylineOptions
     } = props;
 
@@ -104,11 +118,26 @@ class Polyline extends React.Component {
 
     this.polyline = this.initPolyline(map);
 
+    this.unregisterOverlay = registerOverlay(map, {
+      instance: this.polyline,
+      type: 'Polyline',
+      key: this.props.overlayKey,
+    });
+
     this.bindEvents();
 
     typeof onComplete === 'function' && onComplete(map, this.polyline);
   }
 
+  /**
+   * Hand polyline over to the closest OverlayGroup, if there is one.
+   */
+  componentDidMount() {
+    const { overlayContainer } = this.props;
+
+    overlayContainer && overlayContainer.addOverlay(this.polyline);
+  }
+
   /**
    * Update this.polyline by calling AMap.Polyline methods.
    */
@@ -136,10 +165,37 @@ class Polyline extends React.Component {
   componentWillUnmount() {
     removeInstanceEvent(this.polyline, this.AMapEventListeners);
 
+    this.unregisterOverlay();
+
+    const { overlayContainer } = this.props;
+
+    overlayContainer && overlayContainer.removeOverlay(this.polyline);
+
     this.polyline.setMap(null);
     this.polyline = null;
   }
 
+  /**
+   * Ref handle: AMap.Polyline instance.
+   */
+  getInstance() {
+    return this.polyline;
+  }
+
+  /**
+   * Ref handle: Length in meters.
+   */
+  getLength() {
+    return this.polyline.getLength();
+  }
+
+  /**
+   * Ref handle: Current path, which may differ from props after editing.
+   */
+  getPath() {
+    return this.polyline.getPath();
+  }
+
   /**
    * Bind all events on map instance, and save event listeners which will be removed in
    * componentWillUnmount lifecycle.
@@ -215,7 +271,7 @@ class Polyline extends React.Component {
    */
   updatePolylineWithAPI(apiName, previousProp, nextProp, newProp) {
     if (!isShallowEqual(previousProp, nextProp)) {
-      this.polyline[apiName](newProp);
+      callInstanceAPI('Polyline', this.polyline, apiName, newProp);
     }
   }
 
@@ -227,4 +283,4 @@ class Polyline extends React.Component {
   }
 }
 
-export default Polyline;
+export default withContextProp(OverlayContainerContext, 'overlayContainer', Polyline);
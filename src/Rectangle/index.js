@@ -0,0 +1,308 @@
+import React from 'react';
+import PropTypes from 'prop-types';
+import AMapContext from '../AMapContext';
+import OverlayContainerContext from '../OverlayContainerContext';
+import breakIfNotChildOfAMap from '../utils/breakIfNotChildOfAMap';
+import cloneDeep from '../utils/cloneDeep';
+import { toBounds } from '../utils/coordinates';
+import createEventCallback from '../utils/createEventCallback';
+import isShallowEqual from '../utils/isShallowEqual';
+import { bindInstanceEvent, removeInstanceEvent } from '../utils/instanceEventHandler';
+import { registerOverlay } from '../utils/overlayRegistry';
+import { callInstanceAPI, isVersion2 } from '../utils/versionAdapter';
+import withContextProp from '../utils/withContextProp';
+
+/**
+ * Fields that need to be deep copied.
+ * AMap LBS library mutates options. Deep copy those options before passing to AMap so that
+ * props won't be mutated.
+ */
+const NEED_DEEP_COPY_FIELDS = ['bounds'];
+
+/**
+ * Rectangle binding.
+ * Rectangle has the same options as AMap.Rectangle unless highlighted below.
+ * {@link https://lbs.amap.com/api/javascript-api/reference/overlay#rectangle}
+ */
+class Rectangle extends React.Component {
+  static propTypes = {
+    /**
+     * South west and north east lng lat position, i.e. [[southWest], [northEast]], or
+     * AMap.Bounds instance.
+     */
+    /* eslint-disable-next-line react/no-unused-prop-types */
+    bounds: PropTypes.oneOfType([
+      PropTypes.arrayOf(PropTypes.arrayOf(PropTypes.number)),
+      PropTypes.object,
+    ]).isRequired,
+    /**
+     * Closest overlay container, i.e. OverlayGroup, read from context.
+     */
+    overlayContainer: PropTypes.object,
+    /**
+     * self defined prop: Key to select this overlay in AMap fitView.
+     */
+    overlayKey: PropTypes.string,
+    /**
+     * Show Rectangle by default, you can toggle show or hide by changing visible.
+     */
+    visible: PropTypes.bool,
+    /**
+     * Event callback.
+     * Signature:
+     * (rectangle, ...event) => void
+     * rectangle: AMap.Rectangle instance.
+     * event: AMap event.
+     */
+    /* eslint-disable react/sort-prop-types,react/no-unused-prop-types */
+    onComplete: PropTypes.func,
+    onClick: PropTypes.func,
+    onDblClick: PropTypes.func,
+    onRightClick: PropTypes.func,
+    onHide: PropTypes.func,
+    onShow: PropTypes.func,
+    onMouseDown: PropTypes.func,
+    onMouseUp: PropTypes.func,
+    onMouseOver: PropTypes.func,
+    onMouseOut: PropTypes.func,
+    onChange: PropTypes.func,
+    onTouchStart: PropTypes.func,
+    onTouchMove: PropTypes.func,
+    onTouchEnd: PropTypes.func,
+    /* eslint-enable */
+  };
+
+  static defaultProps = {
+    visible: true,
+  };
+
+  /**
+   * AMap map instance.
+   */
+  static contextType = AMapContext;
+
+  /**
+   * Parse AMap.Rectangle options.
+   * Named properties are event callbacks, other properties are rectangle options.
+   * Bounds is kept as it is so that unchanged bounds props compare equal, it is transformed
+   * into AMap.Bounds right before calling AMap.
+   */
+  static parseRectangleOptions(props) {
+    const {
+      onComplete,
+      onClick,
+      onDblClick,
+      onRightClick,
+      onHide,
+      onShow,
+      onMouseDown,
+      onMouseUp,
+      onMouseOver,
+      onMouseOut,
+      onChange,
+      onTouchStart,
+      onTouchMove,
+      onTouchEnd,
+      overlayContainer,
+      overlayKey,
+      ...rectangleOptions
+    } = props;
+
+    return rectangleOptions;
+  }
+
+  /**
+   * Transform parsed options into options understood by AMap.Rectangle.
+   */
+  static toAMapOptions(rectangleOptions) {
+    return {
+      ...rectangleOptions,
+      bounds: toBounds(rectangleOptions.bounds),
+    };
+  }
+
+  /**
+   * Define event name mapping relations of react binding Rectangle and AMap.Rectangle.
+   * Initialise AMap.Rectangle and bind events.
+   * Fire complete action as soon as rectangle has been created.
+   */
+  constructor(props, context) {
+    super(props);
+
+    const { onComplete } = this.props;
+
+    const map = context;
+
+    breakIfNotChildOfAMap('Rectangle', map);
+
+    this.rectangleOptions = Rectangle.parseRectangleOptions(this.props);
+
+    this.rectangle = this.initRectangle(map);
+
+    this.unregisterOverlay = registerOverlay(map, {
+      instance: this.rectangle,
+      type: 'Rectangle',
+      key: this.props.overlayKey,
+    });
+
+    this.bindEvents();
+
+    typeof onComplete === 'function' && onComplete(map, this.rectangle);
+  }
+
+  /**
+   * Hand rectangle over to the closest OverlayGroup, if there is one.
+   */
+  componentDidMount() {
+    const { overlayContainer } = this.props;
+
+    overlayContainer && overlayContainer.addOverlay(this.rectangle);
+  }
+
+  /**
+   * Update this.rectangle by calling AMap.Rectangle methods.
+   */
+  shouldComponentUpdate(nextProps) {
+    const nextRectangleOptions = Rectangle.parseRectangleOptions(nextProps);
+
+    const newRectangleOptions = Rectangle.toAMapOptions(cloneDeep(nextRectangleOptions,
+      NEED_DEEP_COPY_FIELDS));
+
+    this.toggleVisible(this.rectangleOptions.visible, nextRectangleOptions.visible);
+    /**
+     * Instead of calling one API for a specific option change, AMap.Rectangle exposes
+     * a master method: setOptions, which will update every options with a single function call.
+     */
+    this.updateRectangleWithAPI('setOptions', this.rectangleOptions, nextRectangleOptions,
+      newRectangleOptions);
+
+    this.rectangleOptions = nextRectangleOptions;
+
+    return false;
+  }
+
+  /**
+   * Remove event listeners.
+   * Destroy rectangle instance.
+   */
+  componentWillUnmount() {
+    removeInstanceEvent(this.rectangle, this.AMapEventListeners);
+
+    this.unregisterOverlay();
+
+    const { overlayContainer } = this.props;
+
+    overlayContainer && overlayContainer.removeOverlay(this.rectangle);
+
+    this.rectangle.setMap(null);
+    this.rectangle = null;
+  }
+
+  /**
+   * Ref handle: AMap.Rectangle instance.
+   */
+  getInstance() {
+    return this.rectangle;
+  }
+
+  /**
+   * Ref handle: Bounds of rectangle.
+   */
+  getBounds() {
+    return this.rectangle.getBounds();
+  }
+
+  /**
+   * Ref handle: Whether rectangle contains point, an array of lng and lat or AMap.LngLat.
+   */
+  contains(point) {
+    return this.rectangle.contains(point);
+  }
+
+  /**
+   * Bind all events on map instance, and save event listeners which will be removed in
+   * componentWillUnmount lifecycle.
+   */
+  bindEvents() {
+    this.AMapEventListeners = [];
+
+    /**
+     * Construct event callbacks.
+     */
+    const eventCallbacks = this.parseEvents();
+
+    bindInstanceEvent(this.rectangle, eventCallbacks, this.AMapEventListeners);
+  }
+
+  /**
+   * Initialise AMap.Rectangle.
+   */
+  initRectangle(map) {
+    const { visible } = this.props;
+
+    const newRectangleOptions = Rectangle.toAMapOptions(cloneDeep(this.rectangleOptions,
+      NEED_DEEP_COPY_FIELDS));
+
+    const rectangle = new window.AMap.Rectangle(newRectangleOptions);
+
+    rectangle.setMap(map);
+
+    if (visible === false) rectangle.hide();
+
+    return rectangle;
+  }
+
+  /**
+   * Return an object of all supported event callbacks.
+   */
+  parseEvents() {
+    return {
+      onClick: createEventCallback('onClick', this.rectangle).bind(this),
+      onDblClick: createEventCallback('onDblClick', this.rectangle).bind(this),
+      onRightClick: createEventCallback('onRightClick', this.rectangle).bind(this),
+      onHide: createEventCallback('onHide', this.rectangle).bind(this),
+      onShow: createEventCallback('onShow', this.rectangle).bind(this),
+      onMouseOver: createEventCallback('onMouseOver', this.rectangle).bind(this),
+      onMouseOut: createEventCallback('onMouseOut', this.rectangle).bind(this),
+      onMouseDown: createEventCallback('onMouseDown', this.rectangle).bind(this),
+      onMouseUp: createEventCallback('onMouseUp', this.rectangle).bind(this),
+      onChange: createEventCallback('onChange', this.rectangle).bind(this),
+      onTouchStart: createEventCallback('onTouchStart', this.rectangle).bind(this),
+      onTouchMove: createEventCallback('onTouchMove', this.rectangle).bind(this),
+      onTouchEnd: createEventCallback('onTouchEnd', this.rectangle).bind(this),
+    };
+  }
+
+  /**
+   * Hide or show rectangle.
+   */
+  toggleVisible(previousProp, nextProp) {
+    if (!isShallowEqual(previousProp, nextProp)) {
+      if (nextProp === true) this.rectangle.show();
+      if (nextProp === false) this.rectangle.hide();
+    }
+  }
+
+  /**
+   * Update AMap.Rectangle instance with named API.
+   * Won't call API if prop does not change.
+   */
+  updateRectangleWithAPI(apiName, previousProp, nextProp, newProp) {
+    if (!isShallowEqual(previousProp, nextProp)) {
+      callInstanceAPI('Rectangle', this.rectangle, apiName, newProp);
+      // version 2.0 bounds is a special property, it has to be handled differently.
+      if (isVersion2() && !isShallowEqual(previousProp.bounds, nextProp.bounds)) {
+        this.rectangle.setBounds(newProp.bounds);
+      }
+    }
+  }
+
+  /**
+   * Render nothing.
+   */
+  render() {
+    return null;
+  }
+}
+
+export default withContextProp(OverlayContainerContext, 'overlayContainer', Rectangle);
@@ -0,0 +1,130 @@
+import React from 'react';
+import ReactDOM from 'react-dom';
+import AMapContext from '../AMapContext';
+import Rectangle from '.';
+
+let container;
+let rectangles;
+
+class MockBounds {
+  constructor(southWest, northEast) {
+    this.southWest = southWest;
+    this.northEast = northEast;
+  }
+}
+
+class MockRectangle {
+  constructor(options) {
+    this.options = options;
+    this.setMap = jest.fn();
+    this.setOptions = jest.fn();
+    this.setBounds = jest.fn();
+    this.on = jest.fn();
+    this.off = jest.fn();
+
+    rectangles.push(this);
+  }
+}
+
+beforeEach(() => {
+  rectangles = [];
+  window.AMap = {
+    Bounds: MockBounds,
+    Rectangle: MockRectangle,
+  };
+  container = document.createElement('div');
+});
+
+afterEach(() => {
+  ReactDOM.unmountComponentAtNode(container);
+  delete window.AMap;
+});
+
+const renderRectangle = (map, props) => {
+  ReactDOM.render(
+    <AMapContext.Provider value={map}>
+      <Rectangle {...props} />
+    </AMapContext.Provider>,
+    container,
+  );
+};
+
+test('Create AMap.Rectangle from array bounds', () => {
+  const map = {};
+  const bounds = [[120, 30], [121, 31]];
+
+  renderRectangle(map, { bounds });
+
+  const [rectangle] = rectangles;
+
+  expect(rectangle.options.bounds).toEqual(new MockBounds([120, 30], [121, 31]));
+  expect(rectangle.options.bounds).toBeInstanceOf(MockBounds);
+  expect(rectangle.setMap).toHaveBeenCalledWith(map);
+  /**
+   * Bounds passed to AMap is a copy, props are not mutated.
+   */
+  expect(rectangle.options.bounds.southWest).not.toBe(bounds[0]);
+});
+
+test('Create AMap.Rectangle from AMap.Bounds', () => {
+  const bounds = new MockBounds([120, 30], [121, 31]);
+
+  renderRectangle({}, { bounds });
+
+  expect(rectangles[0].options.bounds).toBeInstanceOf(MockBounds);
+  expect(rectangles[0].options.bounds).toEqual(bounds);
+});
+
+test('Update bounds with setOptions on JS API 1.4', () => {
+  const map = {};
+
+  renderRectangle(map, { bounds: [[120, 30], [121, 31]] });
+  renderRectangle(map, { bounds: [[120, 30], [122, 32]] });
+
+  const [rectangle] = rectangles;
+
+  expect(rectangle.setOptions).toHaveBeenCalledTimes(1);
+  expect(rectangle.setOptions.mock.calls[0][0].bounds)
+    .toEqual(new MockBounds([120, 30], [122, 32]));
+  expect(rectangle.setBounds).not.toHaveBeenCalled();
+});
+
+test('Update bounds with setBounds as well on JS API 2.0', () => {
+  const map = {};
+
+  const bounds = [[120, 30], [122, 32]];
+
+  window.AMap.version = '2.0';
+
+  renderRectangle(map, { bounds: [[120, 30], [121, 31]] });
+  renderRectangle(map, { bounds });
+
+  const [rectangle] = rectangles;
+
+  expect(rectangle.setOptions).toHaveBeenCalledTimes(1);
+  expect(rectangle.setBounds).toHaveBeenCalledTimes(1);
+  expect(rectangle.setBounds).toHaveBeenCalledWith(new MockBounds([120, 30], [122, 32]));
+
+  /**
+   * Other options do not set bounds again.
+   */
+  renderRectangle(map, { bounds, strokeColor: '#f00' });
+
+  expect(rectangle.setOptions).toHaveBeenCalledTimes(2);
+  expect(rectangle.setBounds).toHaveBeenCalledTimes(1);
+});
+
+test('Do not update AMap.Rectangle if bounds does not change', () => {
+  const map = {};
+  const bounds = [[120, 30], [121, 31]];
+
+  window.AMap.version = '2.0';
+
+  renderRectangle(map, { bounds });
+  renderRectangle(map, { bounds });
+
+  const [rectangle] = rectangles;
+
+  expect(rectangle.setOptions).not.toHaveBeenCalled();
+  expect(rectangle.setBounds).not.toHaveBeenCalled();
+});
@@ -0,0 +1,366 @@
+import React from 'react';
+import PropTypes from 'prop-types';
+import isUndefined from 'lodash/isUndefined';
+import omitBy from 'lodash/omitBy';
+import AMapContext from '../AMapContext';
+import OverlayContainerContext from '../OverlayContainerContext';
+import breakIfNotChildOfAMap from '../utils/breakIfNotChildOfAMap';
+import cloneDeep from '../utils/cloneDeep';
+import createEventCallback from '../utils/createEventCallback';
+import isNullVoid from '../utils/isNullVoid';
+import isShallowEqual from '../utils/isShallowEqual';
+import { bindInstanceEvent, removeInstanceEvent } from '../utils/instanceEventHandler';
+import { registerOverlay } from '../utils/overlayRegistry';
+import { callInstanceAPI, toPixel } from '../utils/versionAdapter';
+import withContextProp from '../utils/withContextProp';
+
+/**
+ * Fields that need to be deep copied.
+ * AMap LBS library mutates options. Deep copy those options before passing to AMap so that
+ * props won't be mutated.
+ */
+const NEED_DEEP_COPY_FIELDS = ['position'];
+
+/**
+ * Text binding.
+ * Text has the same options as AMap.Text unless highlighted below.
+ * {@link https://lbs.amap.com/api/javascript-api/reference/overlay#text}
+ */
+class Text extends React.Component {
+  static propTypes = {
+    /**
+     * self defined prop: Strings and numbers joined as text, which take precedence over text.
+     * AMap.Text takes a string only, use Marker children for React elements.
+     */
+    /* eslint-disable react/no-unused-prop-types */
+    children: PropTypes.oneOfType([
+      PropTypes.string,
+      PropTypes.number,
+      PropTypes.arrayOf(PropTypes.oneOfType([
+        PropTypes.string,
+        PropTypes.number,
+      ])),
+    ]),
+    /**
+     * An array of two numbers or AMap.Pixel.
+     */
+    offset: PropTypes.oneOfType([
+      PropTypes.arrayOf(PropTypes.number),
+      /**
+       * AMap.Pixel instance.
+       */
+      PropTypes.object,
+    ]),
+    /**
+     * Closest overlay container, i.e. OverlayGroup, read from context.
+     */
+    overlayContainer: PropTypes.object,
+    /**
+     * self defined prop: Key to select this overlay in AMap fitView.
+     */
+    overlayKey: PropTypes.string,
+    /**
+     * An array of two numbers, lng and lat, or AMap.LngLat.
+     */
+    position: PropTypes.oneOfType([
+      PropTypes.arrayOf(PropTypes.number),
+      PropTypes.object,
+    ]).isRequired,
+    /**
+     * CSS properties of text, i.e. { color: 'red', 'font-size': '12px' }.
+     */
+    style: PropTypes.object,
+    text: PropTypes.string,
+    /**
+     * Show Text by default, you can toggle show or hide by changing visible.
+     */
+    visible: PropTypes.bool,
+    /**
+     * Event callback.
+     * Signature:
+     * (text, ...event) => void
+     * text: AMap.Text instance.
+     * event: AMap event.
+     */
+    /* eslint-disable react/sort-prop-types,react/no-unused-prop-types */
+    onComplete: PropTypes.func,
+    onClick: PropTypes.func,
+    onDblClick: PropTypes.func,
+    onRightClick: PropTypes.func,
+    onMouseMove: PropTypes.func,
+    onMouseOver: PropTypes.func,
+    onMouseOut: PropTypes.func,
+    onMouseDown: PropTypes.func,
+    onMouseUp: PropTypes.func,
+    onDragStart: PropTypes.func,
+    onDragging: PropTypes.func,
+    onDragEnd: PropTypes.func,
+    onMoving: PropTypes.func,
+    onMoveEnd: PropTypes.func,
+    onMoveAlong: PropTypes.func,
+    onTouchStart: PropTypes.func,
+    onTouchMove: PropTypes.func,
+    onTouchEnd: PropTypes.func,
+    /* eslint-enable */
+  };
+
+  static defaultProps = {
+    visible: true,
+  };
+
+  /**
+   * AMap map instance.
+   */
+  static contextType = AMapContext;
+
+  /**
+   * Parse AMap.Text options.
+   * Named properties are event callbacks, other properties are text options.
+   */
+  static parseTextOptions(props) {
+    const {
+      children,
+      onComplete,
+      onClick,
+      onDblClick,
+      onRightClick,
+      onMouseMove,
+      onMouseOver,
+      onMouseOut,
+      onMouseDown,
+      onMouseUp,
+      onDragStart,
+      onDragging,
+      onDragEnd,
+      onMoving,
+      onMoveEnd,
+      onMoveAlong,
+      onTouchStart,
+      onTouchMove,
+      onTouchEnd,
+      overlayContainer,
+      overlayKey,
+      ...textOptions
+    } = props;
+
+    const {
+      offset,
+    } = textOptions;
+
+    return {
+      ...textOptions,
+      // Will transform an array of two numbers into a Pixel instance
+      offset: toPixel(offset),
+      text: isNullVoid(children) ? textOptions.text : React.Children.toArray(children).join(''),
+    };
+  }
+
+  /**
+   * Define event name mapping relations of react binding Text and AMap.Text.
+   * Initialise AMap.Text and bind events.
+   * Fire complete action as soon as text has been created.
+   */
+  constructor(props, context) {
+    super(props);
+
+    const { onComplete } = this.props;
+
+    const map = context;
+
+    breakIfNotChildOfAMap('Text', map);
+
+    this.textOptions = Text.parseTextOptions(this.props);
+
+    this.text = this.initText(map);
+
+    this.unregisterOverlay = registerOverlay(map, {
+      instance: this.text,
+      type: 'Text',
+      key: this.props.overlayKey,
+    });
+
+    this.bindEvents();
+
+    typeof onComplete === 'function' && onComplete(map, this.text);
+  }
+
+  /**
+   * Hand text over to the closest OverlayGroup, if there is one.
+   */
+  componentDidMount() {
+    const { overlayContainer } = this.props;
+
+    overlayContainer && overlayContainer.addOverlay(this.text);
+  }
+
+  /**
+   * Update this.text by calling AMap.Text methods.
+   */
+  shouldComponentUpdate(nextProps) {
+    const nextTextOptions = Text.parseTextOptions(nextProps);
+
+    const newTextOptions = cloneDeep(nextTextOptions, NEED_DEEP_COPY_FIELDS);
+
+    this.toggleVisible(this.textOptions.visible, nextTextOptions.visible);
+
+    this.updateTextWithAPI('setText', this.textOptions.text, nextTextOptions.text,
+      newTextOptions.text);
+
+    this.updateTextWithAPI('setStyle', this.textOptions.style, nextTextOptions.style,
+      newTextOptions.style);
+
+    this.updateTextWithAPI('setAnchor', this.textOptions.anchor, nextTextOptions.anchor,
+      newTextOptions.anchor);
+
+    this.updateTextWithAPI('setOffset', this.textOptions.offset, nextTextOptions.offset,
+      newTextOptions.offset);
+
+    this.updateTextWithAPI('setPosition', this.textOptions.position, nextTextOptions.position,
+      newTextOptions.position);
+
+    this.updateTextWithAPI('setAngle', this.textOptions.angle, nextTextOptions.angle,
+      newTextOptions.angle);
+
+    this.updateTextWithAPI('setzIndex', this.textOptions.zIndex, nextTextOptions.zIndex,
+      newTextOptions.zIndex);
+
+    this.updateTextWithAPI('setClickable', this.textOptions.clickable,
+      nextTextOptions.clickable, newTextOptions.clickable);
+
+    this.updateTextWithAPI('setDraggable', this.textOptions.draggable,
+      nextTextOptions.draggable, newTextOptions.draggable);
+
+    this.updateTextWithAPI('setCursor', this.textOptions.cursor, nextTextOptions.cursor,
+      newTextOptions.cursor);
+
+    this.updateTextWithAPI('setTitle', this.textOptions.title, nextTextOptions.title,
+      newTextOptions.title);
+
+    this.updateTextWithAPI('setExtData', this.textOptions.extData, nextTextOptions.extData,
+      newTextOptions.extData);
+
+    this.textOptions = nextTextOptions;
+
+    return false;
+  }
+
+  /**
+   * Remove event listeners.
+   * Destroy text instance.
+   */
+  componentWillUnmount() {
+    removeInstanceEvent(this.text, this.AMapEventListeners);
+
+    this.unregisterOverlay();
+
+    const { overlayContainer } = this.props;
+
+    overlayContainer && overlayContainer.removeOverlay(this.text);
+
+    this.text.setMap(null);
+    this.text = null;
+  }
+
+  /**
+   * Ref handle: AMap.Text instance.
+   */
+  getInstance() {
+    return this.text;
+  }
+
+  /**
+   * Ref handle: Current position, which may differ from props after dragging or moving.
+   */
+  getPosition() {
+    return this.text.getPosition();
+  }
+
+  /**
+   * Bind all events on map instance, and save event listeners which will be removed in
+   * componentWillUnmount lifecycle.
+   */
+  bindEvents() {
+    this.AMapEventListeners = [];
+
+    /**
+     * Construct event callbacks.
+     */
+    const eventCallbacks = this.parseEvents();
+
+    bindInstanceEvent(this.text, eventCallbacks, this.AMapEventListeners);
+  }
+
+  /**
+   * Initialise AMap.Text
+   */
+  initText(map) {
+    const { visible } = this.props;
+
+    const newTextOptions = cloneDeep(this.textOptions, NEED_DEEP_COPY_FIELDS);
+
+    /**
+     * Leave options which are not set, i.e. offset, to AMap defaults.
+     */
+    const text = new window.AMap.Text(omitBy(newTextOptions, isUndefined));
+
+    text.setMap(map);
+
+    if (visible === false) text.hide();
+
+    return text;
+  }
+
+  /**
+   * Return an object of all supported event callbacks.
+   */
+  parseEvents() {
+    return {
+      onClick: createEventCallback('onClick', this.text).bind(this),
+      onDblClick: createEventCallback('onDblClick', this.text).bind(this),
+      onRightClick: createEventCallback('onRightClick', this.text).bind(this),
+      onMouseMove: createEventCallback('onMouseMove', this.text).bind(this),
+      onMouseOver: createEventCallback('onMouseOver', this.text).bind(this),
+      onMouseOut: createEventCallback('onMouseOut', this.text).bind(this),
+      onMouseDown: createEventCallback('onMouseDown', this.text).bind(this),
+      onMouseUp: createEventCallback('onMouseUp', this.text).bind(this),
+      onDragStart: createEventCallback('onDragStart', this.text).bind(this),
+      onDragging: createEventCallback('onDragging', this.text).bind(this),
+      onDragEnd: createEventCallback('onDragEnd', this.text).bind(this),
+      onMoving: createEventCallback('onMoving', this.text).bind(this),
+      onMoveEnd: createEventCallback('onMoveEnd', this.text).bind(this),
+      onMoveAlong: createEventCallback('onMoveAlong', this.text).bind(this),
+      onTouchStart: createEventCallback('onTouchStart', this.text).bind(this),
+      onTouchMove: createEventCallback('onTouchMove', this.text).bind(this),
+      onTouchEnd: createEventCallback('onTouchEnd', this.text).bind(this),
+    };
+  }
+
+  /**
+   * Hide or show text.
+   */
+  toggleVisible(previousProp, nextProp) {
+    if (!isShallowEqual(previousProp, nextProp)) {
+      if (nextProp === true) this.text.show();
+      if (nextProp === false) this.text.hide();
+    }
+  }
+
+  /**
+   * Update AMap.Text instance with named API and given value.
+   * Won't call API if the given value does not change.
+   */
+  updateTextWithAPI(apiName, previousProp, nextProp, newProp) {
+    if (!isShallowEqual(previousProp, nextProp)) {
+      callInstanceAPI('Text', this.text, apiName, newProp);
+    }
+  }
+
+  /**
+   * Render nothing, children are rendered as text of AMap.Text.
+   */
+  render() {
+    return null;
+  }
+}
+
+export default withContextProp(OverlayContainerContext, 'overlayContainer', Text);
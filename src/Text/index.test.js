@@ -0,0 +1,86 @@
+import React from 'react';
+import ReactDOM from 'react-dom';
+import AMapContext from '../AMapContext';
+import Text from '.';
+
+let container;
+let texts;
+
+class MockText {
+  constructor(options) {
+    this.options = options;
+    this.setMap = jest.fn();
+    this.setText = jest.fn();
+    this.on = jest.fn();
+    this.off = jest.fn();
+
+    texts.push(this);
+  }
+}
+
+beforeEach(() => {
+  texts = [];
+  window.AMap = {
+    Text: MockText,
+    Pixel: class Pixel {},
+  };
+  container = document.createElement('div');
+});
+
+afterEach(() => {
+  ReactDOM.unmountComponentAtNode(container);
+  delete window.AMap;
+});
+
+const renderText = (map, count) => {
+  ReactDOM.render(
+    <AMapContext.Provider value={map}>
+      <Text position={[120, 30]}>{count} stores</Text>
+    </AMapContext.Provider>,
+    container,
+  );
+};
+
+test('Join string children as text', () => {
+  const map = {};
+
+  renderText(map, 3);
+
+  const [text] = texts;
+
+  expect(text.options.text).toBe('3 stores');
+
+  renderText(map, 4);
+
+  expect(text.setText).toHaveBeenCalledWith('4 stores');
+});
+
+test('Expose AMap.Text through an object ref', () => {
+  const text = React.createRef();
+
+  ReactDOM.render(
+    <AMapContext.Provider value={{}}>
+      <Text ref={text} position={[120, 30]}>stores</Text>
+    </AMapContext.Provider>,
+    container,
+  );
+
+  expect(text.current.getInstance()).toBe(texts[0]);
+});
+
+test('Expose AMap.Text through a callback ref', () => {
+  let text;
+
+  ReactDOM.render(
+    <AMapContext.Provider value={{}}>
+      <Text ref={(self) => { text = self; }} position={[120, 30]}>stores</Text>
+    </AMapContext.Provider>,
+    container,
+  );
+
+  expect(text.getInstance()).toBe(texts[0]);
+
+  ReactDOM.unmountComponentAtNode(container);
+
+  expect(text).toBeNull();
+});
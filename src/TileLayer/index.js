@@ -0,0 +1,252 @@
+import React from 'react';
+import PropTypes from 'prop-types';
+import AMapContext from '../AMapContext';
+import breakIfNotChildOfAMap from '../utils/breakIfNotChildOfAMap';
+import createEventCallback from '../utils/createEventCallback';
+import isShallowEqual from '../utils/isShallowEqual';
+import { bindInstanceEvent, removeInstanceEvent } from '../utils/instanceEventHandler';
+import { callInstanceAPI } from '../utils/versionAdapter';
+
+/**
+ * AMap tileLayer classes, keyed by type.
+ */
+const TILE_LAYER_CLASSES = {
+  default: () => window.AMap.TileLayer,
+  Satellite: () => window.AMap.TileLayer.Satellite,
+  RoadNet: () => window.AMap.TileLayer.RoadNet,
+};
+
+/**
+ * TileLayer binding.
+ * TileLayer has the same options as AMap.TileLayer unless highlighted below.
+ * {@link http://lbs.amap.com/api/javascript-api/reference/layer#TileLayer}
+ * TileLayer is created again once type changes.
+ */
+class TileLayer extends React.Component {
+  static propTypes = {
+    /**
+     * Tile url template with [x], [y] and [z] placeholders, or a function.
+     * i.e. 'https://tiles.example.com/[z]/[x]/[y].png'
+     * Function signature:
+     * (x, y, z) => url
+     * Only default type takes getTileUrl.
+     * Functions are not compared by identity, an inline function does not reload tiles on every
+     * render, AMap calls the latest one for tiles loaded afterwards.
+     */
+    /* eslint-disable react/no-unused-prop-types */
+    getTileUrl: PropTypes.oneOfType([
+      PropTypes.string,
+      PropTypes.func,
+    ]),
+    /**
+     * self defined prop: AMap.TileLayer for default, AMap.TileLayer.Satellite for Satellite and
+     * AMap.TileLayer.RoadNet for RoadNet.
+     */
+    type: PropTypes.oneOf(Object.keys(TILE_LAYER_CLASSES)),
+    /**
+     * Shows TileLayer by default, you can toggle show or hide by setting visible.
+     */
+    visible: PropTypes.bool,
+    /**
+     * Event callback.
+     * Signature:
+     * (tileLayer, ...event) => void
+     * tileLayer: AMap.TileLayer instance.
+     * event: AMap event.
+     */
+    /* eslint-disable react/sort-prop-types,react/no-unused-prop-types */
+    onComplete: PropTypes.func,
+    /* eslint-enable */
+  };
+
+  static defaultProps = {
+    type: 'default',
+    visible: true,
+  };
+
+  /**
+   * AMap map instance.
+   */
+  static contextType = AMapContext;
+
+  /**
+   * Parse AMap.TileLayer options.
+   * Named properties are event callbacks, other properties are tileLayer options.
+   */
+  static parseTileLayerOptions(props) {
+    const {
+      onComplete,
+      type,
+      ...tileLayerOptions
+    } = props;
+
+    return tileLayerOptions;
+  }
+
+  /**
+   * Define event name mapping relations of react binding TileLayer and AMap.TileLayer.
+   * Initialise AMap.TileLayer and bind events.
+   */
+  constructor(props, context) {
+    super(props);
+
+    const map = context;
+
+    breakIfNotChildOfAMap('TileLayer', map);
+
+    this.tileLayerOptions = TileLayer.parseTileLayerOptions(this.props);
+
+    /**
+     * Stable getTileUrl handed to AMap, which calls the latest getTileUrl prop.
+     */
+    this.callGetTileUrl = (...params) => this.tileLayerOptions.getTileUrl(...params);
+
+    this.tileLayer = this.initTileLayer(map);
+
+    this.bindEvents();
+  }
+
+  /**
+   * Update this.tileLayer by calling AMap.TileLayer methods.
+   * Create tileLayer again if type changes.
+   */
+  shouldComponentUpdate(nextProps) {
+    const nextTileLayerOptions = TileLayer.parseTileLayerOptions(nextProps);
+
+    if (nextProps.type !== this.props.type) {
+      this.tileLayerOptions = nextTileLayerOptions;
+
+      removeInstanceEvent(this.tileLayer, this.AMapEventListeners);
+      this.tileLayer.setMap(null);
+
+      this.tileLayer = this.initTileLayer(this.context, nextProps.type);
+
+      this.bindEvents();
+
+      return false;
+    }
+
+    this.toggleVisible(this.tileLayerOptions.visible, nextTileLayerOptions.visible);
+
+    this.updateTileLayerWithAPI('setTileUrl', this.toAMapTileUrl(this.tileLayerOptions.getTileUrl),
+      this.toAMapTileUrl(nextTileLayerOptions.getTileUrl));
+
+    this.updateTileLayerWithAPI('setOpacity', this.tileLayerOptions.opacity,
+      nextTileLayerOptions.opacity);
+
+    this.updateTileLayerWithAPI('setzIndex', this.tileLayerOptions.zIndex,
+      nextTileLayerOptions.zIndex);
+
+    this.updateTileLayerWithAPI('setZooms', this.tileLayerOptions.zooms,
+      nextTileLayerOptions.zooms);
+
+    this.tileLayerOptions = nextTileLayerOptions;
+
+    return false;
+  }
+
+  /**
+   * Remove event listeners.
+   * Destroy tileLayer instance.
+   */
+  componentWillUnmount() {
+    removeInstanceEvent(this.tileLayer, this.AMapEventListeners);
+
+    this.tileLayer.setMap(null);
+    this.tileLayer = null;
+  }
+
+  /**
+   * Ref handle: AMap.TileLayer instance.
+   */
+  getInstance() {
+    return this.tileLayer;
+  }
+
+  /**
+   * Bind all events on map instance, and save event listeners which will be removed in
+   * componentWillUnmount lifecycle.
+   */
+  bindEvents() {
+    this.AMapEventListeners = [];
+
+    /**
+     * Construct event callbacks.
+     */
+    const eventCallbacks = this.parseEvents();
+
+    bindInstanceEvent(this.tileLayer, eventCallbacks, this.AMapEventListeners);
+  }
+
+  /**
+   * Initialise tileLayer of type.
+   */
+  initTileLayer(map, type = this.props.type) {
+    const { getTileUrl, visible } = this.tileLayerOptions;
+
+    const TileLayerClass = TILE_LAYER_CLASSES[type]();
+
+    /**
+     * Leave getTileUrl out if it is not given, so that AMap keeps its default tiles.
+     */
+    const tileLayer = new TileLayerClass(getTileUrl === void 0 ? this.tileLayerOptions : {
+      ...this.tileLayerOptions,
+      getTileUrl: this.toAMapTileUrl(getTileUrl),
+    });
+
+    tileLayer.setMap(map);
+
+    if (visible === false) tileLayer.hide();
+
+    return tileLayer;
+  }
+
+  /**
+   * Return an object of all supported event callbacks.
+   */
+  parseEvents() {
+    return {
+      onComplete: createEventCallback('onComplete', this.tileLayer).bind(this),
+    };
+  }
+
+  /**
+   * Transform getTileUrl prop into getTileUrl option of AMap.TileLayer.
+   * Every function becomes the same stable function, so that only switching between a url
+   * template and a function, or changing the template, calls setTileUrl.
+   */
+  toAMapTileUrl(getTileUrl) {
+    if (typeof getTileUrl !== 'function') return getTileUrl;
+
+    return this.callGetTileUrl;
+  }
+
+  /**
+   * Hide or show tileLayer.
+   */
+  toggleVisible(previousProp, nextProp) {
+    if (!isShallowEqual(previousProp, nextProp)) {
+      if (nextProp === true) this.tileLayer.show();
+      if (nextProp === false) this.tileLayer.hide();
+    }
+  }
+
+  /**
+   * Update AMap.TileLayer instance with named API and given value.
+   * Won't call API if the given value does not change.
+   */
+  updateTileLayerWithAPI(apiName, previousProp, nextProp) {
+    if (!isShallowEqual(previousProp, nextProp)) {
+      callInstanceAPI('TileLayer', this.tileLayer, apiName, nextProp);
+    }
+  }
+
+  /**
+   * Render nothing.
+   */
+  render() {
+    return null;
+  }
+}
+
+export default TileLayer;
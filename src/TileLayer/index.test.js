@@ -0,0 +1,101 @@
+import React from 'react';
+import ReactDOM from 'react-dom';
+import AMapContext from '../AMapContext';
+import TileLayer from '.';
+
+let container;
+let tileLayers;
+
+class MockTileLayer {
+  constructor(options) {
+    this.options = options;
+    this.setMap = jest.fn();
+    this.setTileUrl = jest.fn();
+    this.setOpacity = jest.fn();
+    this.setzIndex = jest.fn();
+    this.setZooms = jest.fn();
+    this.show = jest.fn();
+    this.hide = jest.fn();
+    this.on = jest.fn();
+    this.off = jest.fn();
+
+    tileLayers.push(this);
+  }
+}
+
+class MockSatellite extends MockTileLayer {}
+
+beforeEach(() => {
+  tileLayers = [];
+  MockTileLayer.Satellite = MockSatellite;
+  window.AMap = {
+    TileLayer: MockTileLayer,
+  };
+  container = document.createElement('div');
+});
+
+afterEach(() => {
+  ReactDOM.unmountComponentAtNode(container);
+  delete window.AMap;
+});
+
+const renderTileLayer = (map, props) => {
+  ReactDOM.render(
+    <AMapContext.Provider value={map}>
+      <TileLayer {...props} />
+    </AMapContext.Provider>,
+    container,
+  );
+};
+
+test('Create tileLayer again once type changes', () => {
+  const map = {};
+
+  renderTileLayer(map, { opacity: 0.5 });
+  renderTileLayer(map, { opacity: 0.5, type: 'Satellite' });
+
+  const [tileLayer, satellite] = tileLayers;
+
+  expect(tileLayer).toBeInstanceOf(MockTileLayer);
+  expect(tileLayer.setMap).toHaveBeenLastCalledWith(null);
+  expect(tileLayer.off).toHaveBeenCalledTimes(tileLayer.on.mock.calls.length);
+  expect(satellite).toBeInstanceOf(MockSatellite);
+  expect(satellite.options).toEqual({ opacity: 0.5, visible: true });
+  expect(satellite.setMap).toHaveBeenCalledWith(map);
+});
+
+test('Update tileLayer with setters', () => {
+  const map = {};
+
+  renderTileLayer(map, { getTileUrl: 'https://a.example.com/[z]/[x]/[y].png' });
+  renderTileLayer(map, {
+    getTileUrl: 'https://b.example.com/[z]/[x]/[y].png',
+    opacity: 0.5,
+    zIndex: 10,
+    zooms: [3, 18],
+  });
+
+  const [tileLayer] = tileLayers;
+
+  expect(tileLayers).toHaveLength(1);
+  expect(tileLayer.setTileUrl).toHaveBeenCalledWith('https://b.example.com/[z]/[x]/[y].png');
+  expect(tileLayer.setOpacity).toHaveBeenCalledWith(0.5);
+  expect(tileLayer.setzIndex).toHaveBeenCalledWith(10);
+  expect(tileLayer.setZooms).toHaveBeenCalledWith([3, 18]);
+});
+
+test('Call the latest getTileUrl function without reloading tiles', () => {
+  const map = {};
+
+  renderTileLayer(map, { getTileUrl: (x, y, z) => `https://a.example.com/${z}/${x}/${y}.png` });
+  renderTileLayer(map, { getTileUrl: (x, y, z) => `https://b.example.com/${z}/${x}/${y}.png` });
+
+  const [tileLayer] = tileLayers;
+
+  expect(tileLayer.setTileUrl).not.toHaveBeenCalled();
+  expect(tileLayer.options.getTileUrl(1, 2, 3)).toBe('https://b.example.com/3/1/2.png');
+
+  renderTileLayer(map, { getTileUrl: 'https://c.example.com/[z]/[x]/[y].png' });
+
+  expect(tileLayer.setTileUrl).toHaveBeenCalledWith('https://c.example.com/[z]/[x]/[y].png');
+});
@@ -5,6 +5,7 @@ import breakIfNotChildOfAMap from '../utils/breakIfNotChildOfAMap';
 import createEventCallback from '../utils/createEventCallback';
 import isShallowEqual from '../utils/isShallowEqual';
 import { bindInstanceEvent, removeInstanceEvent } from '../utils/instanceEventHandler';
+import { callInstanceAPI } from '../utils/versionAdapter';
 
 /**
  * TileLayerTraffic binding.
@@ -159,7 +160,7 @@ class TileLayerTraffic extends React.Component {
    */
   updateTileLayerTrafficWithAPI(apiName, previousProp, nextProp) {
     if (!isShallowEqual(previousProp, nextProp)) {
-      this.tileLayerTraffic[apiName](nextProp);
+      callInstanceAPI('TileLayerTraffic', this.tileLayerTraffic, apiName, nextProp);
     }
   }
 
@@ -0,0 +1,131 @@
+/**
+ * Hooks for function components rendered inside AMap.
+ * Hooks require React 16.8.0 or later.
+ */
+import React from 'react';
+import AMapContext from '../AMapContext';
+import AMapStatusContext from '../AMapStatusContext';
+import requireLibrary, { LIBRARY_NAMES } from '../utils/requireLibrary';
+import { toInstanceEventName } from '../utils/instanceEventHandler';
+
+/**
+ * Read the map instance and loader state of the closest AMap above in the tree.
+ * AMap renders its children once the map has been created, map is always defined for them.
+ * status is 'loaded', or 'error' once libraries or plugins requested by descendants fail to load
+ * and AMap has no fallback. AMap is 'pending' before that, while it renders no children.
+ * @return {Object} - { map, status }
+ */
+export function useAMap() {
+  const map = React.useContext(AMapContext);
+  const status = React.useContext(AMapStatusContext);
+
+  return {
+    map,
+    status,
+  };
+}
+
+/**
+ * Listen to an event of an AMap instance, and stop listening on unmount or once target changes.
+ * Handler changes take effect immediately without re-binding the listener.
+ * @param {Object} target - AMap instance, i.e. map, marker. Nothing is bound until it is defined.
+ * @param {string} eventName - Event callback name, i.e. onZoomEnd listens to zoomend event, or
+ * AMap event name, i.e. zoomend.
+ * @param {Function} handler - Signature: (target, ...event) => void
+ */
+export function useAMapEvent(target, eventName, handler) {
+  const handlerRef = React.useRef(handler);
+
+  handlerRef.current = handler;
+
+  React.useEffect(() => {
+    if (target === void 0 || target === null) return void 0;
+
+    const instanceEventName = toInstanceEventName(eventName);
+    const listener = (...params) => {
+      typeof handlerRef.current === 'function' && handlerRef.current(target, ...params);
+    };
+
+    target.on(instanceEventName, listener);
+
+    return () => {
+      target.off(instanceEventName, listener);
+    };
+  }, [target, eventName]);
+}
+
+/**
+ * Create an AMap instance with the map of the closest AMap, i.e. an overlay not covered by
+ * components. The instance is created again if deps change, and removed from the map on unmount.
+ * @param  {Function} create - Signature: (map) => instance
+ * @param  {Array} deps - Values the instance depends on
+ * @return {Object} - AMap instance, undefined until created
+ */
+export function useAMapInstance(create, deps = []) {
+  const map = React.useContext(AMapContext);
+  const [instance, setInstance] = React.useState();
+
+  React.useEffect(() => {
+    if (map === void 0) return void 0;
+
+    const createdInstance = create(map);
+
+    setInstance(createdInstance);
+
+    return () => {
+      if (createdInstance && typeof createdInstance.setMap === 'function') {
+        createdInstance.setMap(null);
+      }
+    };
+  }, [map, ...deps]);
+
+  return instance;
+}
+
+/**
+ * Request optional libraries on demand.
+ * @param  {Array} names - Library names, AMapUI and Loca by default
+ * @return {Object} - { AMapUI, Loca, error }, libraries are undefined until loaded
+ */
+export function useAMapLibraries(names = LIBRARY_NAMES) {
+  const [libraries, setLibraries] = React.useState(() => {
+    return names.reduce((result, name) => {
+      return {
+        ...result,
+        [name]: window[name],
+      };
+    }, {});
+  });
+
+  const namesKey = names.join(',');
+
+  React.useEffect(() => {
+    let isUnmounted = false;
+
+    names.forEach((name) => {
+      requireLibrary(name)
+        .then((library) => {
+          if (isUnmounted) return;
+
+          setLibraries(previousLibraries => ({
+            ...previousLibraries,
+            [name]: library,
+          }));
+        })
+        .catch((error) => {
+          if (isUnmounted) return;
+
+          setLibraries(previousLibraries => ({
+            ...previousLibraries,
+            error,
+          }));
+        });
+    });
+
+    return () => {
+      isUnmounted = true;
+    };
+  }, [namesKey]);
+
+  return libraries;
+}
@@ -0,0 +1,119 @@
+import React from 'react';
+import ReactDOM from 'react-dom';
+import { act } from 'react-dom/test-utils';
+import AMap from '../AMap';
+import AMapContext from '../AMapContext';
+import { reportError } from '../utils/errorRegistry';
+import { useAMap, useAMapEvent } from '.';
+
+let container;
+
+beforeEach(() => {
+  container = document.createElement('div');
+});
+
+afterEach(() => {
+  ReactDOM.unmountComponentAtNode(container);
+});
+
+const createMap = () => ({
+  on: jest.fn(),
+  off: jest.fn(),
+});
+
+test('Read map of the closest AMap', () => {
+  const map = createMap();
+  let result;
+
+  function Reader() {
+    result = useAMap();
+
+    return null;
+  }
+
+  act(() => {
+    ReactDOM.render(
+      <AMapContext.Provider value={map}>
+        <Reader />
+      </AMapContext.Provider>,
+      container,
+    );
+  });
+
+  expect(result).toEqual({ map });
+});
+
+test('Read loader status of the closest AMap as loading progresses', async () => {
+  const map = {
+    ...createMap(),
+    destroy: jest.fn(),
+  };
+  const statuses = [];
+  let resolveScript;
+  const loadScript = jest.spyOn(AMap, 'loadScript')
+    .mockImplementation(() => new Promise((resolve) => { resolveScript = resolve; }));
+
+  function Reader() {
+    statuses.push(useAMap().status);
+
+    return null;
+  }
+
+  act(() => {
+    ReactDOM.render(
+      <AMap appKey="key">
+        <Reader />
+      </AMap>,
+      container,
+    );
+  });
+
+  /**
+   * AMap is pending and renders no children while its script loads.
+   */
+  expect(statuses).toEqual([]);
+
+  window.AMap = { Map: jest.fn(() => map) };
+
+  await act(async () => {
+    resolveScript();
+  });
+
+  expect(statuses).toEqual(['loaded']);
+
+  act(() => {
+    reportError(map, new Error('Failed to load plugin'));
+  });
+
+  expect(statuses).toEqual(['loaded', 'error']);
+
+  act(() => {
+    ReactDOM.unmountComponentAtNode(container);
+  });
+
+  loadScript.mockRestore();
+  delete window.AMap;
+});
+
+test('Listen to events by callback names or AMap event names', () => {
+  const map = createMap();
+
+  function Listener() {
+    useAMapEvent(map, 'onZoomEnd', () => {});
+    useAMapEvent(map, 'click', () => {});
+
+    return null;
+  }
+
+  act(() => {
+    ReactDOM.render(<Listener />, container);
+  });
+
+  expect(map.on.mock.calls.map(([eventName]) => eventName)).toEqual(['zoomend', 'click']);
+
+  act(() => {
+    ReactDOM.unmountComponentAtNode(container);
+  });
+
+  expect(map.off.mock.calls.map(([eventName]) => eventName)).toEqual(['zoomend', 'click']);
+});
@@ -1,13 +1,35 @@
 export { default as AMap } from './AMap';
 export { default as AMapContext } from './AMapContext';
 export { default as BezierCurve } from './BezierCurve';
+export { default as CanvasLayer } from './CanvasLayer';
 export { default as Circle } from './Circle';
+export { default as CircleMarker } from './CircleMarker';
+export { default as CustomLayer } from './CustomLayer';
+export { default as ElasticMarker } from './ElasticMarker';
+export { default as Ellipse } from './Ellipse';
+export { default as GeoJSON } from './GeoJSON';
+export { default as HeatMap } from './HeatMap';
+export { default as ImageLayer } from './ImageLayer';
 export { default as InfoWindow } from './InfoWindow';
+export { default as LabelMarker } from './LabelMarker';
+export { default as LabelsLayer } from './LabelsLayer';
 export { default as Loca } from './Loca';
 export { default as Marker } from './Marker';
+export { default as MarkerClusterer } from './MarkerClusterer';
 export { default as MassMarks } from './MassMarks';
+export { default as OverlayGroup } from './OverlayGroup';
 export { default as PathNavigator } from './PathNavigator';
 export { default as PathSimplifier } from './PathSimplifier';
 export { default as Polygon } from './Polygon';
 export { default as Polyline } from './Polyline';
+export { default as Rectangle } from './Rectangle';
+export { default as Text } from './Text';
+export { default as TileLayer } from './TileLayer';
 export { default as TileLayerTraffic } from './TileLayerTraffic';
+export { toGeoJSON } from './utils/geoJSON';
+export {
+  useAMap,
+  useAMapEvent,
+  useAMapInstance,
+  useAMapLibraries,
+} from './hooks';
@@ -0,0 +1,28 @@
+import toWorldPixel from './projection';
+
+/**
+ * Measure a canvas covering bounds at zoom level, and project lng lat to its pixels.
+ * Canvas is scaled down so that neither side exceeds maxSize, large bounds at high zoom levels
+ * would otherwise create canvases browsers refuse to draw.
+ * @param  {Array} bounds - [[southWest], [northEast]]
+ * @param  {number} zoom - Map zoom level, may be fractional
+ * @param  {number} maxSize - Largest width or height in pixels
+ * @return {Object} - { width, height, project }
+ * project: ([lng, lat]) => [x, y], pixel position relative to the top left corner of canvas.
+ */
+export default function canvasProjection([southWest, northEast], zoom, maxSize = 4096) {
+  const [left, bottom] = toWorldPixel(southWest, zoom);
+  const [right, top] = toWorldPixel(northEast, zoom);
+
+  const scale = Math.min(1, maxSize / Math.max(right - left, bottom - top));
+
+  return {
+    width: (right - left) * scale,
+    height: (bottom - top) * scale,
+    project: (lnglat) => {
+      const [x, y] = toWorldPixel(lnglat, zoom);
+
+      return [(x - left) * scale, (y - top) * scale];
+    },
+  };
+}
@@ -0,0 +1,18 @@
+import canvasProjection from './canvasProjection';
+
+test('Measure canvas covering bounds', () => {
+  const { width, height, project } = canvasProjection([[0, -45], [90, 45]], 2);
+
+  expect(width).toBe(256);
+  expect(height).toBeCloseTo(2 * project([0, 0])[1]);
+  expect(project([0, 45])).toEqual([0, 0]);
+  expect(project([45, 0])[0]).toBe(128);
+});
+
+test('Scale canvas down to maxSize', () => {
+  const { width, height, project } = canvasProjection([[0, -45], [90, 45]], 10, 512);
+
+  expect(Math.max(width, height)).toBeCloseTo(512);
+  expect(project([90, -45])[0]).toBeCloseTo(width);
+  expect(project([90, -45])[1]).toBeCloseTo(height);
+});
@@ -0,0 +1,43 @@
+/**
+ * Transform [lng, lat] to AMap.LngLat instance.
+ * @param  {Array|AMap.LngLat} lngLat
+ * @return {AMap.LngLat}
+ */
+export function toLngLat(lngLat) {
+  if (lngLat instanceof Array) return new window.AMap.LngLat(...lngLat);
+
+  return lngLat;
+}
+
+/**
+ * Transform AMap.LngLat into an array of lng and lat.
+ * @param  {Array|AMap.LngLat} lngLat
+ * @return {Array}
+ */
+export function toLngLatArray(lngLat) {
+  if (lngLat instanceof Array) return lngLat;
+
+  return [lngLat.getLng(), lngLat.getLat()];
+}
+
+/**
+ * Transform [[southWest], [northEast]] to AMap.Bounds instance.
+ * @param  {Array|AMap.Bounds} bounds
+ * @return {AMap.Bounds}
+ */
+export function toBounds(bounds) {
+  if (bounds instanceof Array) return new window.AMap.Bounds(...bounds);
+
+  return bounds;
+}
+
+/**
+ * Transform AMap.Bounds instance to [[southWest], [northEast]].
+ * @param  {Array|AMap.Bounds} bounds
+ * @return {Array}
+ */
+export function toBoundsArray(bounds) {
+  if (bounds instanceof Array) return bounds;
+
+  return [toLngLatArray(bounds.getSouthWest()), toLngLatArray(bounds.getNorthEast())];
+}
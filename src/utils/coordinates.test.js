@@ -0,0 +1,46 @@
+import { toBounds, toBoundsArray, toLngLat, toLngLatArray } from './coordinates';
+
+const lngLat = (lng, lat) => ({ getLng: () => lng, getLat: () => lat });
+
+beforeEach(() => {
+  window.AMap = {
+    LngLat: function LngLat(lng, lat) {
+      this.lng = lng;
+      this.lat = lat;
+    },
+    Bounds: function Bounds(southWest, northEast) {
+      this.southWest = southWest;
+      this.northEast = northEast;
+    },
+  };
+});
+
+afterEach(() => {
+  delete window.AMap;
+});
+
+test('Transform arrays to AMap instances', () => {
+  expect(toLngLat([120, 30])).toEqual(new window.AMap.LngLat(120, 30));
+  expect(toBounds([[120, 30], [121, 31]]))
+    .toEqual(new window.AMap.Bounds([120, 30], [121, 31]));
+});
+
+test('Keep AMap instances', () => {
+  const position = new window.AMap.LngLat(120, 30);
+  const bounds = new window.AMap.Bounds([120, 30], [121, 31]);
+
+  expect(toLngLat(position)).toBe(position);
+  expect(toBounds(bounds)).toBe(bounds);
+});
+
+test('Transform AMap instances to arrays', () => {
+  const bounds = {
+    getSouthWest: () => lngLat(120, 30),
+    getNorthEast: () => lngLat(121, 31),
+  };
+
+  expect(toLngLatArray(lngLat(120, 30))).toEqual([120, 30]);
+  expect(toLngLatArray([120, 30])).toEqual([120, 30]);
+  expect(toBoundsArray(bounds)).toEqual([[120, 30], [121, 31]]);
+  expect(toBoundsArray([[120, 30], [121, 31]])).toEqual([[120, 30], [121, 31]]);
+});
@@ -0,0 +1,39 @@
+/**
+ * Error listeners, keyed by map instance.
+ * Descendants which load libraries or plugins on demand report failures to AMap component,
+ * without any of them holding a reference to AMap component.
+ */
+const registries = new WeakMap();
+
+/**
+ * Report an error to listeners of map.
+ * Print the error if nobody listens, so that it never goes unnoticed.
+ * @param {AMap.Map} map
+ * @param {Error} error
+ */
+export function reportError(map, error) {
+  const listeners = (map !== void 0 && map !== null && registries.get(map)) || [];
+
+  if (listeners.length === 0) {
+    // eslint-disable-next-line no-console
+    console.error(error);
+
+    return;
+  }
+
+  listeners.forEach(listener => listener(error));
+}
+
+/**
+ * Listen to errors reported by descendants of map.
+ * @param  {AMap.Map} map
+ * @param  {Function} listener - Signature: (error) => void
+ * @return {Function} - Stop listening.
+ */
+export function subscribeErrors(map, listener) {
+  registries.set(map, [...(registries.get(map) || []), listener]);
+
+  return () => {
+    registries.set(map, registries.get(map).filter(subscribed => subscribed !== listener));
+  };
+}
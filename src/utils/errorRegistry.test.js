@@ -0,0 +1,33 @@
+import { reportError, subscribeErrors } from './errorRegistry';
+
+test('Report errors to listeners of map', () => {
+  const map = {};
+  const otherMap = {};
+  const listener = jest.fn();
+  const error = Error('AMapUI failed to load.');
+
+  const unsubscribe = subscribeErrors(map, listener);
+
+  subscribeErrors(otherMap, () => {});
+
+  reportError(map, error);
+
+  expect(listener).toHaveBeenCalledWith(error);
+
+  unsubscribe();
+
+  reportError(otherMap, error);
+
+  expect(listener).toHaveBeenCalledTimes(1);
+});
+
+test('Print errors nobody listens to', () => {
+  const consoleError = jest.spyOn(console, 'error').mockImplementation(() => {});
+  const error = Error('AMap.Heatmap failed to load.');
+
+  reportError({}, error);
+
+  expect(consoleError).toHaveBeenCalledWith(error);
+
+  consoleError.mockRestore();
+});
@@ -0,0 +1,261 @@
+import { toBoundsArray, toLngLatArray } from './coordinates';
+import { getOverlays } from './overlayRegistry';
+
+/**
+ * Transform GeoJSON data to an array of features.
+ * @param  {Object} data - FeatureCollection, Feature or geometry object
+ * @return {Array} - Features
+ */
+export function toFeatures(data) {
+  if (data === void 0 || data === null) return [];
+
+  if (data.type === 'FeatureCollection') return data.features || [];
+
+  if (data.type === 'Feature') return [data];
+
+  return [{ type: 'Feature', geometry: data, properties: {} }];
+}
+
+/**
+ * Transform a GeoJSON geometry to geometries of binding components.
+ * Multi geometries are split into one geometry of each part.
+ * @param  {Object} geometry - GeoJSON geometry object
+ * @return {Array} - Component geometries, i.e. { type: 'Marker', position }
+ * type: Marker, Polyline or Polygon.
+ * position: [lng, lat] of Marker.
+ * path: Path of Polyline, or path of Polygon which is an array of rings if polygon has holes.
+ */
+export function toComponentGeometries(geometry) {
+  if (geometry === void 0 || geometry === null) return [];
+
+  const { type, coordinates } = geometry;
+
+  switch (type) {
+    case 'Point':
+      return [{ type: 'Marker', position: coordinates }];
+    case 'MultiPoint':
+      return coordinates.map(position => ({ type: 'Marker', position }));
+    case 'LineString':
+      return [{ type: 'Polyline', path: coordinates }];
+    case 'MultiLineString':
+      return coordinates.map(path => ({ type: 'Polyline', path }));
+    case 'Polygon':
+      return [{ type: 'Polygon', path: coordinates.length === 1 ? coordinates[0] : coordinates }];
+    case 'MultiPolygon':
+      return coordinates.map(rings => ({
+        type: 'Polygon',
+        path: rings.length === 1 ? rings[0] : rings,
+      }));
+    case 'GeometryCollection':
+      return geometry.geometries.reduce((result, part) => {
+        return [...result, ...toComponentGeometries(part)];
+      }, []);
+    default:
+      return [];
+  }
+}
+
+/**
+ * Radius of the earth in meters, used by AMap to measure distances.
+ */
+const EARTH_RADIUS = 6378137;
+
+/**
+ * Number of vertices approximating circles and ellipses.
+ */
+const ELLIPSE_VERTEX_COUNT = 64;
+
+/**
+ * Number of steps sampling each segment of bezier curves.
+ */
+const BEZIER_SEGMENT_STEPS = 16;
+
+/**
+ * Close a ring of positions as GeoJSON requires.
+ * @param  {Array} positions
+ * @return {Array}
+ */
+function toRing(positions) {
+  const first = positions[0];
+  const last = positions[positions.length - 1];
+
+  if (positions.length === 0 || (first[0] === last[0] && first[1] === last[1])) return positions;
+
+  return [...positions, first];
+}
+
+/**
+ * Approximate an ellipse with a ring of positions.
+ * @param  {Array} center - [lng, lat]
+ * @param  {Array} radius - [x radius, y radius] in meters
+ * @return {Array} - Ring
+ */
+function toEllipseRing([lng, lat], [radiusX, radiusY]) {
+  const lngPerMeter = 180 / (Math.PI * EARTH_RADIUS * Math.cos((lat * Math.PI) / 180));
+  const latPerMeter = 180 / (Math.PI * EARTH_RADIUS);
+
+  const positions = [];
+
+  for (let index = 0; index < ELLIPSE_VERTEX_COUNT; index += 1) {
+    const angle = (2 * Math.PI * index) / ELLIPSE_VERTEX_COUNT;
+
+    positions.push([
+      lng + (radiusX * Math.cos(angle) * lngPerMeter),
+      lat + (radiusY * Math.sin(angle) * latPerMeter),
+    ]);
+  }
+
+  return toRing(positions);
+}
+
+/**
+ * Position on a bezier curve at t, by De Casteljau's algorithm which works with any number of
+ * control points.
+ * @param  {Array} controls - Start point, control points and end point, [lng, lat] each
+ * @param  {number} t - Between 0 and 1
+ * @return {Array} - [lng, lat]
+ */
+function interpolateBezier(controls, t) {
+  if (controls.length === 1) return controls[0];
+
+  return interpolateBezier(controls.slice(1).map(([lng, lat], index) => [
+    controls[index][0] + ((lng - controls[index][0]) * t),
+    controls[index][1] + ((lat - controls[index][1]) * t),
+  ]), t);
+}
+
+/**
+ * Sample a bezier curve path into positions.
+ * Each point of path is [lng, lat] or control points followed by the point, i.e.
+ * [controlLng, controlLat, lng, lat].
+ * @param  {Array} path - BezierCurve path
+ * @return {Array} - Positions
+ */
+function sampleBezierCurve(path) {
+  const points = path.map((point) => {
+    if (!(point instanceof Array)) return [toLngLatArray(point)];
+
+    const pairs = [];
+
+    for (let index = 0; index < point.length; index += 2) {
+      pairs.push([point[index], point[index + 1]]);
+    }
+
+    return pairs;
+  });
+
+  if (points.length === 0) return [];
+
+  const positions = [points[0][points[0].length - 1]];
+
+  points.slice(1).forEach((pairs, index) => {
+    const previous = points[index];
+    const controls = [previous[previous.length - 1], ...pairs];
+
+    for (let step = 1; step <= BEZIER_SEGMENT_STEPS; step += 1) {
+      positions.push(interpolateBezier(controls, step / BEZIER_SEGMENT_STEPS));
+    }
+  });
+
+  return positions;
+}
+
+/**
+ * Transform path of AMap.Polygon, which may contain holes, to GeoJSON polygon coordinates.
+ * @param  {Array} path
+ * @return {Array} - Rings
+ */
+function toPolygonCoordinates(path) {
+  const rings = path.length > 0 && path[0] instanceof Array && typeof path[0][0] !== 'number'
+    ? path
+    : [path];
+
+  return rings.map(ring => toRing(ring.map(toLngLatArray)));
+}
+
+/**
+ * Geometry of an overlay, keyed by component name.
+ */
+const GEOMETRY_READERS = {
+  Marker: instance => ({ type: 'Point', coordinates: toLngLatArray(instance.getPosition()) }),
+  Text: instance => ({ type: 'Point', coordinates: toLngLatArray(instance.getPosition()) }),
+  ElasticMarker: instance => ({
+    type: 'Point',
+    coordinates: toLngLatArray(instance.getPosition()),
+  }),
+  CircleMarker: instance => ({ type: 'Point', coordinates: toLngLatArray(instance.getCenter()) }),
+  Polyline: instance => ({
+    type: 'LineString',
+    coordinates: instance.getPath().map(toLngLatArray),
+  }),
+  BezierCurve: instance => ({
+    type: 'LineString',
+    coordinates: sampleBezierCurve(instance.getPath()),
+  }),
+  Polygon: instance => ({
+    type: 'Polygon',
+    coordinates: toPolygonCoordinates(instance.getPath()),
+  }),
+  Rectangle: (instance) => {
+    const [[west, south], [east, north]] = toBoundsArray(instance.getBounds());
+
+    return {
+      type: 'Polygon',
+      coordinates: [[[west, south], [east, south], [east, north], [west, north], [west, south]]],
+    };
+  },
+  Circle: instance => ({
+    type: 'Polygon',
+    coordinates: [toEllipseRing(
+      toLngLatArray(instance.getCenter()),
+      [instance.getRadius(), instance.getRadius()],
+    )],
+  }),
+  Ellipse: instance => ({
+    type: 'Polygon',
+    coordinates: [toEllipseRing(toLngLatArray(instance.getCenter()), instance.getRadius())],
+  }),
+};
+
+/**
+ * Transform extData of an overlay to GeoJSON properties.
+ * @param  {*} extData
+ * @return {Object}
+ */
+function toProperties(extData) {
+  if (extData === void 0 || extData === null || extData === '') return {};
+
+  if (typeof extData === 'object' && !(extData instanceof Array)) return { ...extData };
+
+  return { extData };
+}
+
+/**
+ * Transform registered overlays to a GeoJSON FeatureCollection.
+ * Circles and ellipses are approximated by polygons, bezier curves are sampled into lines.
+ * Overlays of other types are skipped.
+ * @param  {Array} overlays - Registered overlays, { instance, type, key }
+ * @return {Object} - FeatureCollection, extData of overlays as properties
+ */
+export function overlaysToGeoJSON(overlays) {
+  return {
+    type: 'FeatureCollection',
+    features: overlays
+      .filter(({ type }) => GEOMETRY_READERS[type] !== void 0)
+      .map(({ instance, type }) => ({
+        type: 'Feature',
+        geometry: GEOMETRY_READERS[type](instance),
+        properties: toProperties(instance.getExtData()),
+      })),
+  };
+}
+
+/**
+ * Transform overlays created by components under a map to a GeoJSON FeatureCollection.
+ * @param  {AMap.Map} map
+ * @param  {Array} keys - Only include overlays with these overlayKey props, all if undefined
+ * @return {Object} - FeatureCollection
+ */
+export function toGeoJSON(map, keys) {
+  return overlaysToGeoJSON(getOverlays(map, keys));
+}
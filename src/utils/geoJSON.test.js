@@ -0,0 +1,128 @@
+import { overlaysToGeoJSON, toComponentGeometries, toFeatures } from './geoJSON';
+
+const lngLat = (lng, lat) => ({ getLng: () => lng, getLat: () => lat });
+
+test('Transform GeoJSON data to features', () => {
+  const feature = { type: 'Feature', geometry: { type: 'Point', coordinates: [120, 30] } };
+
+  expect(toFeatures({ type: 'FeatureCollection', features: [feature] })).toEqual([feature]);
+  expect(toFeatures(feature)).toEqual([feature]);
+  expect(toFeatures(feature.geometry)).toEqual([{
+    type: 'Feature',
+    geometry: feature.geometry,
+    properties: {},
+  }]);
+  expect(toFeatures(null)).toEqual([]);
+});
+
+test('Transform points and lines to Marker and Polyline geometries', () => {
+  expect(toComponentGeometries({ type: 'Point', coordinates: [120, 30] }))
+    .toEqual([{ type: 'Marker', position: [120, 30] }]);
+
+  expect(toComponentGeometries({ type: 'MultiPoint', coordinates: [[120, 30], [121, 31]] }))
+    .toEqual([
+      { type: 'Marker', position: [120, 30] },
+      { type: 'Marker', position: [121, 31] },
+    ]);
+
+  expect(toComponentGeometries({
+    type: 'MultiLineString',
+    coordinates: [[[120, 30], [121, 31]], [[122, 32], [123, 33]]],
+  })).toEqual([
+    { type: 'Polyline', path: [[120, 30], [121, 31]] },
+    { type: 'Polyline', path: [[122, 32], [123, 33]] },
+  ]);
+});
+
+test('Transform polygons with holes to Polygon geometries', () => {
+  const outer = [[0, 0], [10, 0], [10, 10], [0, 10], [0, 0]];
+  const hole = [[2, 2], [4, 2], [4, 4], [2, 2]];
+
+  expect(toComponentGeometries({ type: 'Polygon', coordinates: [outer] }))
+    .toEqual([{ type: 'Polygon', path: outer }]);
+
+  expect(toComponentGeometries({ type: 'MultiPolygon', coordinates: [[outer, hole], [outer]] }))
+    .toEqual([
+      { type: 'Polygon', path: [outer, hole] },
+      { type: 'Polygon', path: outer },
+    ]);
+});
+
+test('Flatten geometry collections and ignore unknown geometries', () => {
+  expect(toComponentGeometries({
+    type: 'GeometryCollection',
+    geometries: [
+      { type: 'Point', coordinates: [120, 30] },
+      { type: 'Unknown', coordinates: [] },
+    ],
+  })).toEqual([{ type: 'Marker', position: [120, 30] }]);
+});
+
+test('Transform markers, polylines and polygons to features', () => {
+  const { type, features } = overlaysToGeoJSON([
+    {
+      type: 'Marker',
+      instance: { getPosition: () => lngLat(120, 30), getExtData: () => ({ name: 'a' }) },
+    },
+    {
+      type: 'Polyline',
+      instance: { getPath: () => [lngLat(120, 30), lngLat(121, 31)], getExtData: () => 7 },
+    },
+    {
+      type: 'Polygon',
+      instance: {
+        getPath: () => [[lngLat(0, 0), lngLat(10, 0), lngLat(10, 10)]],
+        getExtData: () => undefined,
+      },
+    },
+    { type: 'Loca', instance: {} },
+  ]);
+
+  expect(type).toBe('FeatureCollection');
+  expect(features).toEqual([
+    {
+      type: 'Feature',
+      geometry: { type: 'Point', coordinates: [120, 30] },
+      properties: { name: 'a' },
+    },
+    {
+      type: 'Feature',
+      geometry: { type: 'LineString', coordinates: [[120, 30], [121, 31]] },
+      properties: { extData: 7 },
+    },
+    {
+      type: 'Feature',
+      geometry: { type: 'Polygon', coordinates: [[[0, 0], [10, 0], [10, 10], [0, 0]]] },
+      properties: {},
+    },
+  ]);
+});
+
+test('Approximate circles by polygons', () => {
+  const [feature] = overlaysToGeoJSON([{
+    type: 'Circle',
+    instance: { getCenter: () => lngLat(0, 0), getRadius: () => 1000, getExtData: () => ({}) },
+  }]).features;
+
+  const [ring] = feature.geometry.coordinates;
+
+  expect(feature.geometry.type).toBe('Polygon');
+  expect(ring[0]).toEqual(ring[ring.length - 1]);
+  ring.forEach(([lng, lat]) => {
+    expect(Math.hypot(lng, lat) * (Math.PI / 180) * 6378137).toBeCloseTo(1000, 0);
+  });
+});
+
+test('Sample bezier curves into lines', () => {
+  const [feature] = overlaysToGeoJSON([{
+    type: 'BezierCurve',
+    instance: { getPath: () => [[0, 0], [5, 10, 10, 0]], getExtData: () => ({}) },
+  }]).features;
+
+  const { coordinates } = feature.geometry;
+
+  expect(coordinates[0]).toEqual([0, 0]);
+  expect(coordinates[coordinates.length - 1]).toEqual([10, 0]);
+  expect(coordinates[8][0]).toBeCloseTo(5);
+  expect(coordinates[8][1]).toBeCloseTo(5);
+});
@@ -0,0 +1,61 @@
+import toWorldPixel from './projection';
+
+/**
+ * Group MassMarks data into grid cells of gridSize pixels at zoom level.
+ * Cells with at least minClusterSize records become one cluster record at the average position of
+ * its members, other records are kept as they are.
+ * @param  {Array} data - MassMarks data, records with lnglat of [lng, lat]
+ * @param  {number} zoom - Map zoom level, may be fractional
+ * @param  {Object} options - { gridSize, minClusterSize, getStyle }
+ * gridSize: Cell size in pixels, 60 by default.
+ * minClusterSize: Least number of records to form a cluster, 2 by default.
+ * getStyle: (count) => style index of cluster record, no style index if undefined.
+ * @return {Array} - Records and cluster records
+ * Cluster record: { lnglat, count, members, style }
+ */
+export default function gridCluster(data, zoom, {
+  gridSize = 60,
+  minClusterSize = 2,
+  getStyle,
+} = {}) {
+  const cells = new Map();
+
+  data.forEach((record) => {
+    const [x, y] = toWorldPixel(record.lnglat, zoom);
+    const cellKey = `${Math.floor(x / gridSize)},${Math.floor(y / gridSize)}`;
+
+    if (!cells.has(cellKey)) cells.set(cellKey, []);
+
+    cells.get(cellKey).push(record);
+  });
+
+  /**
+   * Push into one array, data may have hundreds of thousands of records.
+   */
+  const result = [];
+
+  cells.forEach((members) => {
+    if (members.length < minClusterSize) {
+      members.forEach(record => result.push(record));
+
+      return;
+    }
+
+    const count = members.length;
+    const [lngSum, latSum] = members.reduce(([lng, lat], { lnglat }) => {
+      return [lng + lnglat[0], lat + lnglat[1]];
+    }, [0, 0]);
+
+    const cluster = {
+      lnglat: [lngSum / count, latSum / count],
+      count,
+      members,
+    };
+
+    if (typeof getStyle === 'function') cluster.style = getStyle(count);
+
+    result.push(cluster);
+  });
+
+  return result;
+}
@@ -0,0 +1,38 @@
+import gridCluster from './gridCluster';
+
+test('Cluster records in the same grid cell', () => {
+  const data = [
+    { lnglat: [120.1, 30.1], name: 'a' },
+    { lnglat: [120.1002, 30.1002], name: 'b' },
+    { lnglat: [121, 31], name: 'c' },
+  ];
+
+  const result = gridCluster(data, 10, { getStyle: count => count - 1 });
+
+  expect(result).toHaveLength(2);
+  expect(result).toContainEqual({
+    lnglat: [120.1001, 30.1001],
+    count: 2,
+    members: [data[0], data[1]],
+    style: 1,
+  });
+  expect(result).toContainEqual(data[2]);
+});
+
+test('Keep records of cells smaller than minClusterSize', () => {
+  const data = [
+    { lnglat: [120.1, 30.1] },
+    { lnglat: [120.1002, 30.1002] },
+  ];
+
+  expect(gridCluster(data, 10, { minClusterSize: 3 })).toEqual(data);
+});
+
+test('Separate records once zoomed in', () => {
+  const data = [
+    { lnglat: [120.1, 30.1] },
+    { lnglat: [120.1002, 30.1002] },
+  ];
+
+  expect(gridCluster(data, 18)).toEqual(data);
+});
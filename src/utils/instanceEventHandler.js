@@ -1,6 +1,17 @@
+/**
+ * Map event callback prop name to AMap event name.
+ * i.e. onZoomEnd to zoomend.
+ * Names without on prefix are AMap event names already, i.e. zoomend.
+ */
+export const toInstanceEventName = (key) => {
+  if (!/^on[A-Z]/.test(key)) return key;
+
+  return key.substring(2).toLowerCase();
+};
+
 export const bindInstanceEvent = (instance, eventCallbacks, eventCBList) => {
   Object.keys(eventCallbacks).forEach((key) => {
-    const eventName = key.substring(2).toLowerCase();
+    const eventName = toInstanceEventName(key);
     const handler = eventCallbacks[key];
 
     instance.on(eventName, handler);
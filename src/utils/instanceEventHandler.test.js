@@ -0,0 +1,12 @@
+import { toInstanceEventName } from './instanceEventHandler';
+
+test('Map event callback names to AMap event names', () => {
+  expect(toInstanceEventName('onZoomEnd')).toBe('zoomend');
+  expect(toInstanceEventName('onClick')).toBe('click');
+});
+
+test('Keep AMap event names', () => {
+  expect(toInstanceEventName('click')).toBe('click');
+  expect(toInstanceEventName('zoomend')).toBe('zoomend');
+  expect(toInstanceEventName('one')).toBe('one');
+});
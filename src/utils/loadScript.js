@@ -0,0 +1,82 @@
+/**
+ * Promises of scripts which are being loaded or have been loaded, keyed by script src.
+ * Components mounting at the same time share one single network request.
+ */
+const scriptPromises = {};
+
+/**
+ * Create script tag and resolve once the script has been loaded.
+ * Reject if the script fails to load or does not load within the given time.
+ * @param  {string} src - Script url
+ * @param  {number} timeout - Milliseconds to wait before giving up, 0 waits forever
+ * @return {Promise}
+ */
+function injectScript(src, timeout) {
+  return new Promise((resolve, reject) => {
+    const scriptTag = document.createElement('script');
+    scriptTag.type = 'text/javascript';
+    scriptTag.src = src;
+
+    let timer;
+
+    /**
+     * Remove the script tag which failed to load, so a retry creates a fresh request.
+     */
+    const fail = (error) => {
+      clearTimeout(timer);
+      scriptTag.onload = null;
+      scriptTag.onerror = null;
+      scriptTag.parentNode && scriptTag.parentNode.removeChild(scriptTag);
+
+      reject(error);
+    };
+
+    scriptTag.onload = () => {
+      clearTimeout(timer);
+
+      resolve();
+    };
+
+    scriptTag.onerror = () => {
+      fail(Error(`Failed to load script: ${src}`));
+    };
+
+    if (timeout > 0) {
+      timer = setTimeout(() => {
+        fail(Error(`Timed out after ${timeout}ms loading script: ${src}`));
+      }, timeout);
+    }
+
+    document.head.appendChild(scriptTag);
+  });
+}
+
+/**
+ * Load a script, retrying the given number of times before rejecting.
+ * Concurrent and subsequent calls with the same src share the same promise.
+ * A failed promise is forgotten so that the script can be requested again later.
+ * @param  {string} src - Script url
+ * @param  {Object} options
+ * @param  {number} options.timeout - Milliseconds to wait for each attempt, 0 waits forever
+ * @param  {number} options.retries - Number of extra attempts after the first failure
+ * @return {Promise}
+ */
+export default function loadScript(src, { timeout = 0, retries = 0 } = {}) {
+  if (scriptPromises[src] !== void 0) return scriptPromises[src];
+
+  const attempt = (retriesLeft) => {
+    return injectScript(src, timeout).catch((error) => {
+      if (retriesLeft > 0) return attempt(retriesLeft - 1);
+
+      throw error;
+    });
+  };
+
+  scriptPromises[src] = attempt(retries).catch((error) => {
+    delete scriptPromises[src];
+
+    throw error;
+  });
+
+  return scriptPromises[src];
+}
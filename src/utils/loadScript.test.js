@@ -0,0 +1,88 @@
+import loadScript from './loadScript';
+
+const findScripts = (src) => {
+  return Array.from(document.head.querySelectorAll('script'))
+    .filter(scriptTag => scriptTag.src === src);
+};
+
+test('Resolve once script has been loaded', () => {
+  const src = 'https://example.com/load.js';
+  const promise = loadScript(src);
+
+  findScripts(src)[0].onload();
+
+  return expect(promise).resolves.toBeUndefined();
+});
+
+test('Share one script tag among concurrent loads', () => {
+  const src = 'https://example.com/concurrent.js';
+  const first = loadScript(src);
+  const second = loadScript(src);
+
+  expect(second).toBe(first);
+  expect(findScripts(src)).toHaveLength(1);
+
+  findScripts(src)[0].onload();
+
+  return expect(Promise.all([first, second])).resolves.toEqual([undefined, undefined]);
+});
+
+test('Reject and remove script tag on error', async () => {
+  const src = 'https://example.com/error.js';
+  const promise = loadScript(src);
+
+  findScripts(src)[0].onerror();
+
+  await expect(promise).rejects.toThrow(`Failed to load script: ${src}`);
+  expect(findScripts(src)).toHaveLength(0);
+});
+
+test('Load again after a failure', async () => {
+  const src = 'https://example.com/reload.js';
+  const failed = loadScript(src);
+
+  findScripts(src)[0].onerror();
+
+  await expect(failed).rejects.toThrow();
+
+  const reloaded = loadScript(src);
+
+  expect(reloaded).not.toBe(failed);
+
+  findScripts(src)[0].onload();
+
+  await expect(reloaded).resolves.toBeUndefined();
+});
+
+test('Retry the given number of times', async () => {
+  const src = 'https://example.com/retry.js';
+  const promise = loadScript(src, { retries: 1 });
+
+  findScripts(src)[0].onerror();
+
+  /**
+   * Retry is chained on the rejected attempt.
+   */
+  await Promise.resolve();
+  await Promise.resolve();
+
+  expect(findScripts(src)).toHaveLength(1);
+
+  findScripts(src)[0].onload();
+
+  await expect(promise).resolves.toBeUndefined();
+});
+
+test('Reject on timeout', async () => {
+  jest.useFakeTimers();
+
+  const src = 'https://example.com/timeout.js';
+  const promise = loadScript(src, { timeout: 1000 });
+
+  jest.advanceTimersByTime(1000);
+
+  await expect(promise).rejects.toThrow(`Timed out after 1000ms loading script: ${src}`);
+  expect(findScripts(src)).toHaveLength(0);
+
+  jest.useRealTimers();
+});
@@ -0,0 +1,83 @@
+/**
+ * Overlays created by components, keyed by map instance.
+ * AMap reads them to fit its viewport, without any overlay component holding a reference to AMap
+ * component.
+ */
+const registries = new WeakMap();
+
+/**
+ * Get overlays and listeners of a map, create them if they do not exist.
+ * @param  {AMap.Map} map
+ * @return {Object} - { overlays, listeners }
+ */
+function getRegistry(map) {
+  if (!registries.has(map)) {
+    registries.set(map, {
+      overlays: [],
+      listeners: [],
+    });
+  }
+
+  return registries.get(map);
+}
+
+/**
+ * Call listeners once overlays have been added or removed.
+ * @param {Object} registry
+ */
+function notify(registry) {
+  registry.listeners.forEach(listener => listener(registry.overlays));
+}
+
+/**
+ * Add an overlay to map registry.
+ * @param  {AMap.Map} map
+ * @param  {Object} overlay - { instance, type, key }
+ * instance: AMap overlay instance.
+ * type: Component name, i.e. Marker.
+ * key: Optional overlayKey prop of the component.
+ * @return {Function} - Remove the overlay from map registry.
+ */
+export function registerOverlay(map, overlay) {
+  const registry = getRegistry(map);
+
+  registry.overlays = [...registry.overlays, overlay];
+
+  notify(registry);
+
+  return () => {
+    registry.overlays = registry.overlays.filter(registered => registered !== overlay);
+
+    notify(registry);
+  };
+}
+
+/**
+ * Get overlays registered on map.
+ * @param  {AMap.Map} map
+ * @param  {Array} keys - Only return overlays with these keys, all overlays if undefined
+ * @return {Array}
+ */
+export function getOverlays(map, keys) {
+  const { overlays } = getRegistry(map);
+
+  if (keys === void 0) return overlays;
+
+  return overlays.filter(overlay => keys.includes(overlay.key));
+}
+
+/**
+ * Listen to overlays being added or removed.
+ * @param  {AMap.Map} map
+ * @param  {Function} listener - Signature: (overlays) => void
+ * @return {Function} - Stop listening.
+ */
+export function subscribeOverlays(map, listener) {
+  const registry = getRegistry(map);
+
+  registry.listeners = [...registry.listeners, listener];
+
+  return () => {
+    registry.listeners = registry.listeners.filter(subscribed => subscribed !== listener);
+  };
+}
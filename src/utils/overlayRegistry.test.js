@@ -0,0 +1,45 @@
+import { getOverlays, registerOverlay, subscribeOverlays } from './overlayRegistry';
+
+test('Register and unregister overlays per map', () => {
+  const map = {};
+  const otherMap = {};
+  const marker = { instance: {}, type: 'Marker', key: 'depot' };
+
+  const unregister = registerOverlay(map, marker);
+
+  expect(getOverlays(map)).toEqual([marker]);
+  expect(getOverlays(otherMap)).toEqual([]);
+
+  unregister();
+
+  expect(getOverlays(map)).toEqual([]);
+});
+
+test('Select overlays by keys', () => {
+  const map = {};
+  const depot = { instance: {}, type: 'Marker', key: 'depot' };
+  const zone = { instance: {}, type: 'Polygon', key: 'zone' };
+  const path = { instance: {}, type: 'Polyline' };
+
+  registerOverlay(map, depot);
+  registerOverlay(map, zone);
+  registerOverlay(map, path);
+
+  expect(getOverlays(map, ['zone', 'depot'])).toEqual([depot, zone]);
+  expect(getOverlays(map)).toHaveLength(3);
+});
+
+test('Notify listeners until unsubscribed', () => {
+  const map = {};
+  const listener = jest.fn();
+
+  const unsubscribe = subscribeOverlays(map, listener);
+  const unregister = registerOverlay(map, { instance: {}, type: 'Circle' });
+
+  expect(listener).toHaveBeenCalledTimes(1);
+
+  unsubscribe();
+  unregister();
+
+  expect(listener).toHaveBeenCalledTimes(1);
+});
@@ -0,0 +1,20 @@
+/**
+ * Size of the world in pixels at zoom level 0, in Web Mercator projection used by AMap.
+ */
+const TILE_SIZE = 256;
+
+/**
+ * Project lng lat to world pixel coordinates at zoom level.
+ * @param  {Array} lnglat - [lng, lat]
+ * @param  {number} zoom
+ * @return {Array} - [x, y]
+ */
+export default function toWorldPixel([lng, lat], zoom) {
+  const worldSize = TILE_SIZE * (2 ** zoom);
+  const sinLat = Math.sin((lat * Math.PI) / 180);
+
+  return [
+    ((lng + 180) / 360) * worldSize,
+    (0.5 - (Math.log((1 + sinLat) / (1 - sinLat)) / (4 * Math.PI))) * worldSize,
+  ];
+}
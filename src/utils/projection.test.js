@@ -0,0 +1,6 @@
+import toWorldPixel from './projection';
+
+test('Project lng lat to world pixel', () => {
+  expect(toWorldPixel([0, 0], 0)).toEqual([128, 128]);
+  expect(toWorldPixel([180, 0], 1)).toEqual([512, 256]);
+});
@@ -0,0 +1,142 @@
+import get from 'lodash/get';
+import loadScript from './loadScript';
+import version2Flag from './mapVersion2Flag';
+
+/**
+ * Options of the AMap component which loaded AMap library.
+ * Optional libraries are requested with the same key, protocol and proxy.
+ */
+let libraryOptions = {};
+
+/**
+ * Promises of optional libraries, keyed by library name.
+ * Libraries are requested once, repeated mounts share the same promise.
+ */
+const libraryPromises = {};
+
+/**
+ * Promises of AMap plugins, keyed by plugin name.
+ */
+const pluginPromises = {};
+
+/**
+ * Create script tag to require AMapUI library.
+ */
+export async function requireAMapUI({ protocol, version, proxyUrl, ...loadOptions }) {
+  let src = `${protocol}://webapi.amap.com/ui/${version}/main-async.js`;
+  if (proxyUrl) {
+    src = `${proxyUrl}/ui/${version}/main-async.js`;
+  }
+
+  await loadScript(src, loadOptions);
+
+  /**
+   * Maps mounting at the same time share the same script, initialise AMapUI only once.
+   */
+  if (window.AMapUI === void 0) window.initAMapUI();
+}
+
+/**
+ * Create script tag to require Loca library.
+ */
+export function requireLoca({ appKey, protocol, version, proxyUrl, ...loadOptions }) {
+  let src = `${protocol}://webapi.amap.com/loca?key=${appKey}&v=${version}`;
+  if (proxyUrl) {
+    src = `${proxyUrl}/loca?key=${appKey}&v=${version}`;
+  }
+
+  return loadScript(src, loadOptions);
+}
+
+/**
+ * Library loaders, keyed by the name of the global variable each library creates.
+ */
+const libraryLoaders = {
+  AMapUI: ({ appKey, locaVersion, uiVersion, version, ...options }) => {
+    return requireAMapUI({
+      ...options,
+      version: version2Flag(version) ? '1.1' : uiVersion,
+    });
+  },
+  Loca: ({ locaVersion, uiVersion, version, ...options }) => {
+    return requireLoca({
+      ...options,
+      version: locaVersion,
+    });
+  },
+};
+
+/**
+ * Names of supported optional libraries.
+ */
+export const LIBRARY_NAMES = Object.keys(libraryLoaders);
+
+/**
+ * Remember options used to request optional libraries.
+ * Called by AMap component before any of its descendants mounts.
+ * @param {Object} options - appKey, protocol, proxyUrl, version, uiVersion, locaVersion,
+ * retries and timeout
+ */
+export function setLibraryOptions(options) {
+  libraryOptions = options;
+}
+
+/**
+ * Request an optional library on demand.
+ * Resolve with the library global once it has been loaded.
+ * A failed request is forgotten so that the library can be requested again later.
+ * @param  {string} name - AMapUI or Loca
+ * @return {Promise}
+ */
+export default function requireLibrary(name) {
+  if (!LIBRARY_NAMES.includes(name)) {
+    return Promise.reject(Error(`${name} is not a supported library. ` +
+      `Supported libraries are ${LIBRARY_NAMES.join(', ')}.`));
+  }
+
+  if (window[name] !== void 0) return Promise.resolve(window[name]);
+
+  if (libraryPromises[name] === void 0) {
+    libraryPromises[name] = libraryLoaders[name](libraryOptions)
+      .then(() => window[name])
+      .catch((error) => {
+        delete libraryPromises[name];
+
+        throw error;
+      });
+  }
+
+  return libraryPromises[name];
+}
+
+/**
+ * Request an AMap plugin on demand, i.e. AMap.ElasticMarker.
+ * Resolve with the plugin class once it has been loaded. Plugins listed in plugins prop of AMap,
+ * or built into the loaded library, resolve immediately.
+ * A failed request is forgotten so that the plugin can be requested again later.
+ * @param  {string} name - Plugin name, i.e. AMap.ElasticMarker
+ * @return {Promise}
+ */
+export function requirePlugin(name) {
+  const getPlugin = () => get(window.AMap, name.replace(/^AMap\./, ''));
+
+  if (getPlugin() !== void 0) return Promise.resolve(getPlugin());
+
+  if (pluginPromises[name] === void 0) {
+    pluginPromises[name] = new Promise((resolve, reject) => {
+      window.AMap.plugin(name, () => {
+        if (getPlugin() === void 0) {
+          delete pluginPromises[name];
+
+          reject(Error(`${name} is not available on AMap JS API ${window.AMap.version}.`));
+
+          return;
+        }
+
+        resolve(getPlugin());
+      });
+    });
+  }
+
+  return pluginPromises[name];
+}
@@ -0,0 +1,73 @@
+import requireLibrary, { requirePlugin, setLibraryOptions } from './requireLibrary';
+
+const findScripts = (path) => {
+  return Array.from(document.head.querySelectorAll('script'))
+    .filter(scriptTag => scriptTag.src.includes(path));
+};
+
+afterEach(() => {
+  delete window.Loca;
+  delete window.AMap;
+});
+
+test('Reject unsupported library', () => {
+  return expect(requireLibrary('Unknown')).rejects.toThrow('Unknown is not a supported library');
+});
+
+test('Resolve library which has already been loaded', () => {
+  window.Loca = {};
+
+  return expect(requireLibrary('Loca')).resolves.toBe(window.Loca);
+});
+
+test('Request library once with options of AMap', async () => {
+  setLibraryOptions({ appKey: 'key', protocol: 'https', locaVersion: '1.0.5' });
+
+  const first = requireLibrary('Loca');
+  const second = requireLibrary('Loca');
+
+  expect(second).toBe(first);
+  expect(findScripts('/loca')).toHaveLength(1);
+  expect(findScripts('/loca')[0].src).toBe('https://webapi.amap.com/loca?key=key&v=1.0.5');
+
+  window.Loca = {};
+  findScripts('/loca')[0].onload();
+
+  await expect(first).resolves.toBe(window.Loca);
+});
+
+test('Resolve plugin which has already been loaded', () => {
+  window.AMap = { ElasticMarker() {} };
+
+  return expect(requirePlugin('AMap.ElasticMarker')).resolves.toBe(window.AMap.ElasticMarker);
+});
+
+test('Request plugin once', async () => {
+  const plugin = jest.fn((name, callback) => setTimeout(() => {
+    window.AMap.MarkerClusterer = () => {};
+    callback();
+  }));
+
+  window.AMap = { plugin };
+
+  const first = requirePlugin('AMap.MarkerClusterer');
+  const second = requirePlugin('AMap.MarkerClusterer');
+
+  expect(second).toBe(first);
+  expect(plugin).toHaveBeenCalledTimes(1);
+
+  const MarkerClusterer = await first;
+
+  expect(MarkerClusterer).toBe(window.AMap.MarkerClusterer);
+});
+
+test('Reject plugin which is not available', async () => {
+  window.AMap = {
+    version: '2.0',
+    plugin: (name, callback) => callback(),
+  };
+
+  await expect(requirePlugin('AMap.Unknown')).rejects.toThrow('AMap.Unknown is not available');
+  // Failed request is forgotten
+  await expect(requirePlugin('AMap.Unknown')).rejects.toThrow('AMap.Unknown is not available');
+});
@@ -0,0 +1,106 @@
+import version2Flag from './mapVersion2Flag';
+import warnOnce from './warnOnce';
+
+/**
+ * Props and events which are no longer available in AMap JS API 2.x, keyed by component name.
+ */
+const UNSUPPORTED_ON_VERSION2 = {
+  AMap: ['onHotspotClick', 'onHotspotOut', 'onHotspotOver'],
+  Marker: ['shadow'],
+};
+
+/**
+ * Whether the loaded AMap library is JS API 2.x.
+ * @return {Boolean}
+ */
+export function isVersion2() {
+  return window.AMap !== void 0 && version2Flag(window.AMap.version) === true;
+}
+
+/**
+ * Transform an array of two numbers into an AMap.Pixel instance.
+ * JS API 1.4 requires offsets to be set explicitly, defaultValue is used if value is missing.
+ * JS API 2.x calculates offsets from anchor, missing value is left for AMap to decide.
+ * @param  {Array|AMap.Pixel} value
+ * @param  {Array} defaultValue - [x, y] used on JS API 1.4 only
+ * @return {AMap.Pixel|undefined}
+ */
+export function toPixel(value, defaultValue) {
+  if (value instanceof window.AMap.Pixel) return value;
+
+  if (value instanceof Array) return new window.AMap.Pixel(...value);
+
+  if (isVersion2() || defaultValue === void 0) return void 0;
+
+  return new window.AMap.Pixel(...defaultValue);
+}
+
+/**
+ * Transform an array of two numbers into an AMap.Size instance.
+ * @param  {Array|AMap.Size} value
+ * @param  {*} defaultValue - Returned if value is missing
+ * @return {AMap.Size|*}
+ */
+export function toSize(value, defaultValue) {
+  if (value instanceof window.AMap.Size) return value;
+
+  if (value instanceof Array) return new window.AMap.Size(...value);
+
+  return defaultValue;
+}
+
+/**
+ * Remove props and events which are not supported by the loaded AMap library.
+ * Warn if any of them has been set.
+ * @param  {string} componentName
+ * @param  {Object} values - Options or event callbacks
+ * @param  {Object} props - Props to check whether an unsupported option has been set
+ * @return {Object}
+ */
+export function omitUnsupported(componentName, values, props = values) {
+  const unsupported = isVersion2() ? UNSUPPORTED_ON_VERSION2[componentName] || [] : [];
+
+  if (unsupported.length === 0) return values;
+
+  return Object.keys(values).reduce((result, key) => {
+    if (!unsupported.includes(key)) {
+      return {
+        ...result,
+        [key]: values[key],
+      };
+    }
+
+    if (props[key] !== void 0) {
+      warnOnce(`${componentName}: ${key} is not supported on AMap JS API ${window.AMap.version}.`);
+    }
+
+    return result;
+  }, {});
+}
+
+/**
+ * Call AMap instance API, whose name may be cased differently between library versions.
+ * i.e. setzIndex and setZIndex.
+ * Warn instead of throwing if the loaded library does not have the API.
+ * @param  {string} componentName
+ * @param  {Object} instance - AMap instance
+ * @param  {string} apiName - API name used by JS API 1.4
+ * @param  {...*} args
+ * @return {*}
+ */
+export function callInstanceAPI(componentName, instance, apiName, ...args) {
+  const availableName = [
+    apiName,
+    apiName.replace(/zIndex$/, 'ZIndex'),
+    apiName.replace(/ZIndex$/, 'zIndex'),
+  ].find(name => typeof instance[name] === 'function');
+
+  if (availableName === void 0) {
+    warnOnce(`${componentName}: ${apiName} is not supported on AMap JS API ` +
+      `${window.AMap.version}.`);
+
+    return void 0;
+  }
+
+  return instance[availableName](...args);
+}
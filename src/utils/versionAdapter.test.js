@@ -0,0 +1,89 @@
+import { callInstanceAPI, omitUnsupported, toPixel, toSize } from './versionAdapter';
+
+class Pixel {
+  constructor(x, y) {
+    this.x = x;
+    this.y = y;
+  }
+}
+
+class Size {
+  constructor(width, height) {
+    this.width = width;
+    this.height = height;
+  }
+}
+
+const mockAMap = (version) => {
+  window.AMap = { version, Pixel, Size };
+};
+
+beforeEach(() => {
+  jest.spyOn(console, 'warn').mockImplementation(() => {});
+});
+
+afterEach(() => {
+  console.warn.mockRestore(); // eslint-disable-line no-console
+  delete window.AMap;
+});
+
+test('Transform array into pixel on every version', () => {
+  mockAMap('2.0');
+  expect(toPixel([1, 2], [0, 0])).toEqual(new Pixel(1, 2));
+
+  mockAMap('1.4.15');
+  expect(toPixel([1, 2], [0, 0])).toEqual(new Pixel(1, 2));
+});
+
+test('Use default pixel on 1.4 only', () => {
+  mockAMap('1.4.15');
+  expect(toPixel(void 0, [-10, -34])).toEqual(new Pixel(-10, -34));
+
+  mockAMap('2.0');
+  expect(toPixel(void 0, [-10, -34])).toBeUndefined();
+});
+
+test('Transform array into size', () => {
+  mockAMap('1.4.15');
+  expect(toSize([10, 20])).toEqual(new Size(10, 20));
+  expect(toSize(void 0, null)).toBeNull();
+});
+
+test('Omit unsupported props on 2.0 and warn if set', () => {
+  mockAMap('2.0');
+
+  const values = { onHotspotClick: () => {}, onClick: () => {} };
+
+  expect(omitUnsupported('AMap', values, { onClick: values.onClick })).toEqual({
+    onClick: values.onClick,
+  });
+  expect(console.warn).not.toHaveBeenCalled(); // eslint-disable-line no-console
+
+  omitUnsupported('AMap', values);
+  expect(console.warn).toHaveBeenCalledTimes(1); // eslint-disable-line no-console
+});
+
+test('Keep every prop on 1.4', () => {
+  mockAMap('1.4.15');
+
+  const values = { onHotspotClick: () => {} };
+
+  expect(omitUnsupported('AMap', values)).toBe(values);
+});
+
+test('Call API with alternative casing', () => {
+  mockAMap('2.0');
+
+  const instance = { setZIndex: jest.fn() };
+
+  callInstanceAPI('Marker', instance, 'setzIndex', 10);
+
+  expect(instance.setZIndex).toHaveBeenCalledWith(10);
+});
+
+test('Warn instead of throwing if API is missing', () => {
+  mockAMap('2.0');
+
+  expect(callInstanceAPI('Marker', {}, 'setShadow', null)).toBeUndefined();
+  expect(console.warn).toHaveBeenCalledTimes(1); // eslint-disable-line no-console
+});
@@ -0,0 +1,94 @@
+import flattenDeep from 'lodash/flattenDeep';
+import { toLngLatArray } from './coordinates';
+
+/**
+ * Smallest difference regarded as a change.
+ * AMap rounds lng lat to 6 decimal places.
+ */
+const EPSILON = 1e-6;
+
+/**
+ * AMap.Map getters of viewport values, keyed by the corresponding setters.
+ */
+const VIEWPORT_GETTERS = {
+  setCenter: 'getCenter',
+  setPitch: 'getPitch',
+  setRotation: 'getRotation',
+  setZoom: 'getZoom',
+};
+
+/**
+ * Read viewport of map.
+ * @param  {AMap.Map} map
+ * @return {Object} - { center, zoom, rotation, pitch, bounds }
+ * center: [lng, lat]
+ * bounds: [[southWest], [northEast]]
+ */
+export function getViewport(map) {
+  const bounds = map.getBounds();
+
+  return {
+    center: toLngLatArray(map.getCenter()),
+    zoom: map.getZoom(),
+    rotation: map.getRotation(),
+    pitch: map.getPitch(),
+    bounds: [
+      toLngLatArray(bounds.getSouthWest()),
+      toLngLatArray(bounds.getNorthEast()),
+    ],
+  };
+}
+
+/**
+ * Compare two numbers, or two arrays of numbers.
+ * @param  {number|Array} valueA
+ * @param  {number|Array} valueB
+ * @return {Boolean}
+ */
+function isNumberEqual(valueA, valueB) {
+  if (valueA instanceof Array && valueB instanceof Array) {
+    return valueA.length === valueB.length
+      && valueA.every((value, index) => isNumberEqual(value, valueB[index]));
+  }
+
+  if (typeof valueA !== 'number' || typeof valueB !== 'number') return false;
+
+  return Math.abs(valueA - valueB) < EPSILON;
+}
+
+/**
+ * Compare two viewports.
+ * @param  {Object} viewportA
+ * @param  {Object} viewportB
+ * @return {Boolean}
+ */
+export function isSameViewport(viewportA, viewportB) {
+  if (viewportA === void 0 || viewportB === void 0) return false;
+
+  return Object.keys(viewportA).every(key => isNumberEqual(
+    flattenDeep([viewportA[key]]),
+    flattenDeep([viewportB[key]]),
+  ));
+}
+
+/**
+ * Whether map viewport already has the value a setter is about to set.
+ * i.e. Props echoing the viewport reported by onViewportChange.
+ * @param  {AMap.Map} map
+ * @param  {string} apiName - setCenter, setZoom, setRotation or setPitch
+ * @param  {*} value - Value to be set
+ * @return {Boolean} - False if apiName is not a viewport setter
+ */
+export function isCurrentViewportValue(map, apiName, value) {
+  const getterName = VIEWPORT_GETTERS[apiName];
+
+  if (getterName === void 0 || value === void 0 || value === null) return false;
+
+  const currentValue = map[getterName]();
+
+  if (apiName === 'setCenter') {
+    return isNumberEqual(toLngLatArray(currentValue), toLngLatArray(value));
+  }
+
+  return isNumberEqual(currentValue, value);
+}
@@ -0,0 +1,45 @@
+import { getViewport, isCurrentViewportValue, isSameViewport } from './viewport';
+
+const lngLat = (lng, lat) => ({ getLng: () => lng, getLat: () => lat });
+
+const map = {
+  getCenter: () => lngLat(120.162692, 30.253647),
+  getZoom: () => 12,
+  getRotation: () => 0,
+  getPitch: () => 0,
+  getBounds: () => ({
+    getSouthWest: () => lngLat(120, 30),
+    getNorthEast: () => lngLat(121, 31),
+  }),
+};
+
+test('Read viewport of map', () => {
+  expect(getViewport(map)).toEqual({
+    center: [120.162692, 30.253647],
+    zoom: 12,
+    rotation: 0,
+    pitch: 0,
+    bounds: [[120, 30], [121, 31]],
+  });
+});
+
+test('Compare viewports', () => {
+  const viewport = getViewport(map);
+
+  expect(isSameViewport(viewport, getViewport(map))).toBe(true);
+  expect(isSameViewport(viewport, { ...viewport, zoom: 13 })).toBe(false);
+  expect(isSameViewport(viewport, void 0)).toBe(false);
+});
+
+test('Recognise value echoing current viewport', () => {
+  expect(isCurrentViewportValue(map, 'setCenter', [120.162692, 30.253647])).toBe(true);
+  expect(isCurrentViewportValue(map, 'setCenter', lngLat(120.162692, 30.253647))).toBe(true);
+  expect(isCurrentViewportValue(map, 'setCenter', [120.16, 30.25])).toBe(false);
+  expect(isCurrentViewportValue(map, 'setZoom', 12)).toBe(true);
+  expect(isCurrentViewportValue(map, 'setZoom', 13)).toBe(false);
+});
+
+test('Ignore setters other than viewport setters', () => {
+  expect(isCurrentViewportValue(map, 'setCity', 'Hangzhou')).toBe(false);
+  expect(isCurrentViewportValue(map, 'setZoom', void 0)).toBe(false);
+});
@@ -0,0 +1,18 @@
+/**
+ * Warnings which have been printed.
+ * Each warning is printed once so that re-rendering does not flood the console.
+ */
+const printedWarnings = new Set();
+
+/**
+ * Print a warning once.
+ * @param {string} message
+ */
+export default function warnOnce(message) {
+  if (printedWarnings.has(message)) return;
+
+  printedWarnings.add(message);
+
+  // eslint-disable-next-line no-console
+  console.warn(message);
+}
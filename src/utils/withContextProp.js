@@ -0,0 +1,22 @@
+import React from 'react';
+
+/**
+ * Pass value of context to component as a prop, so that component reads context without side
+ * effects in render, i.e. in its constructor and lifecycle methods.
+ * Refs are forwarded, ref handles of component keep working.
+ * @param  {Object} Context - React context
+ * @param  {string} propName
+ * @param  {Function} Component
+ * @return {Object} - Component which reads context
+ */
+export default function withContextProp(Context, propName, Component) {
+  const ContextPropComponent = React.forwardRef((props, ref) => (
+    <Context.Consumer>
+      {value => <Component {...props} {...{ [propName]: value }} ref={ref} />}
+    </Context.Consumer>
+  ));
+
+  ContextPropComponent.displayName = Component.displayName || Component.name;
+
+  return ContextPropComponent;
+}